@@ -0,0 +1,7 @@
+// The Chrome extension is exported as a single page: statically rendered pages start
+// with an inline script, and extension pages may only run scripts from files
+module.exports = ({ config }) => (
+  process.env.EXPO_PUBLIC_BUILD_TARGET === 'extension'
+    ? { ...config, web: { ...config.web, output: 'single' } }
+    : config
+);
@@ -0,0 +1,11 @@
+// Shared wheel links (foodspinnerapp://wheel?...) have no route of their own:
+// open them on the spinner screen, which reads the wheel from the link itself
+export function redirectSystemPath({ path }: { path: string; initial: boolean }) {
+    try {
+        const [location] = path.split('?');
+        const normalizedLocation = location.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '/');
+        return /(^|\/)wheel\/?$/.test(normalizedLocation) ? '/' : path;
+    } catch {
+        return '/';
+    }
+}
@@ -0,0 +1,10 @@
+import { Unmatched } from 'expo-router';
+import React from 'react';
+import { isExtension } from '../utils/extension';
+import Index from './index';
+
+// Extension pages are files such as /popup.html, which no route matches, so in the
+// extension every page shows the app
+export default function NotFound() {
+  return isExtension ? <Index /> : <Unmatched />;
+}
@@ -1,45 +1,125 @@
-import React, { useEffect, useRef, useState } from 'react';
+import * as Clipboard from 'expo-clipboard';
+import * as Linking from 'expo-linking';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
     Animated,
     Dimensions,
     Easing,
-    Modal,
-    ScrollView,
+    Platform,
+    Share,
     StyleSheet,
     Text,
     TextInput,
     TouchableOpacity,
+    useColorScheme,
     View,
 } from 'react-native';
+import { Gesture, GestureDetector, ScrollView } from 'react-native-gesture-handler';
 import Svg, { G, Path, Text as SvgText, TSpan } from 'react-native-svg';
+import AssignmentModal from '../components/AssignmentModal';
+import AssignModal from '../components/AssignModal';
+import ComboModal, { MIN_COMBO_WHEELS } from '../components/ComboModal';
+import CustomAlertModal from '../components/CustomAlertModal';
+import HistoryModal from '../components/HistoryModal';
+import ImportExportModal from '../components/ImportExportModal';
+import LiveAnnouncer from '../components/LiveAnnouncer';
+import OptionStyleModal from '../components/OptionStyleModal';
+import PointerDebugOverlay from '../components/PointerDebugOverlay';
+import PromptModal from '../components/PromptModal';
+import ReorderableList from '../components/ReorderableList';
+import ResultModal from '../components/ResultModal';
+import RoomModal from '../components/RoomModal';
+import SegmentedControl from '../components/SegmentedControl';
+import SettingsModal from '../components/SettingsModal';
+import VotingModal from '../components/VotingModal';
+import WheelBar from '../components/WheelBar';
+import WheelPointer, { POINTER_SIZES } from '../components/WheelPointer';
+import { DEFAULT_PALETTE, PALETTES, THEME_MODES, THEMES } from '../constants/theme';
+import useAppSettings from '../hooks/useAppSettings';
+import useHistory from '../hooks/useHistory';
+import useI18n, { I18nContext } from '../hooks/useI18n';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useReducedMotion from '../hooks/useReducedMotion';
+import useRoom, { ROOM_STATUS } from '../hooks/useRoom';
+import useSpinFeedback from '../hooks/useSpinFeedback';
+import useStorageSync from '../hooks/useStorageSync';
+import useTheme, { ThemeContext } from '../hooks/useTheme';
+import useWheels from '../hooks/useWheels';
+import { buildAssignment, getDrawCount, getDrawLabel, parseRoles } from '../utils/assignments';
+import { isExtensionPopup, openInTab } from '../utils/extension';
+import { getIneligibleIds } from '../utils/fairness';
+import { createI18n, resolveLanguage } from '../utils/i18n';
+import { createId } from '../utils/ids';
+import { layoutSliceLabel } from '../utils/labelLayout';
+import { isDuplicateName, moveItem } from '../utils/options';
+import { getOptionsHash } from '../utils/random';
+import { toSharedWheel } from '../utils/roomProtocol';
+import { clearShareLinkFromLocation, createShareLink, parseShareLink } from '../utils/shareLink';
+import {
+    clampWeight,
+    createSpinRandom,
+    DEFAULT_WEIGHT,
+    describeArc,
+    getOptionWeight,
+    getSegments,
+    MAX_WEIGHT,
+    MIN_WEIGHT,
+    polarToCartesian,
+    spin,
+} from '../utils/spinnerEngine';
+import {
+    getAngularVelocity,
+    getButtonSpinSpeed,
+    getPointerTurn,
+    MIN_FLICK_SPEED,
+    WHEEL_DRAWING_ROTATION,
+} from '../utils/spinPhysics';
+import {
+    addBallot,
+    applyVotes,
+    formatTally,
+    formatVoteCounts,
+    getLocalVoterId,
+    getTallyLeaders,
+    tallyVotes,
+} from '../utils/voting';
+import { getLabelColor, getSliceColors } from '../utils/wheelColors';
 
-// Helper functions for SVG
-const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
-    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
-    return {
-        x: centerX + (radius * Math.cos(angleInRadians)),
-        y: centerY + (radius * Math.sin(angleInRadians)),
-    };
+// Spin modes: a normal spin leaves the wheel untouched, the elimination modes
+// take an option off the wheel after every spin
+const SPIN_MODES = {
+    normal: 'normal',
+    winnerOut: 'winnerOut',
+    loserOut: 'loserOut',
 };
 
-const describeArc = (x, y, radius, startAngle, endAngle) => {
-    const start = polarToCartesian(x, y, radius, endAngle);
-    const end = polarToCartesian(x, y, radius, startAngle);
+const SPIN_MODE_CHOICES = [
+    { value: SPIN_MODES.normal, labelKey: 'spinModes.normal' },
+    { value: SPIN_MODES.winnerOut, labelKey: 'spinModes.winnerOut' },
+    { value: SPIN_MODES.loserOut, labelKey: 'spinModes.loserOut' },
+];
+
+// Assignment rounds spin once per person, so each draw is a quick one
+const ASSIGNMENT_SPIN_SPEED = 700;
 
-    const largeArcFlag = endAngle - startAngle <= 180 ? '0' : '1';
+// Each wheel of a combo is thrown this much slower than the next one, so they stop in turn
+const COMBO_STAGGER = 0.8;
 
-    const d = [
-        'M', start.x, start.y,
-        'A', radius, radius, 0, largeArcFlag, 0, end.x, end.y,
-        'L', x, y,
-        'Z',
-    ].join(' ');
+// With reduced motion the wheels fade out and back in, this long each way, instead of turning
+const REDUCED_MOTION_FADE_MS = 150;
 
-    return d;
+// Colors are assigned over the full list so an option keeps its color while others are eliminated
+const getColorsById = (options, paletteColors) => {
+    const sliceColors = getSliceColors(options, paletteColors);
+    return Object.fromEntries(options.map((item, index) => [item.id, sliceColors[index]]));
 };
 
-// Responsive wheel size calculation
-const getWheelDimensions = () => {
+// Combo wheels share one row, and may shrink below the single wheel minimum to fit in it
+const COMBO_WHEEL_GAP = 16;
+const MIN_COMBO_WHEEL_SIZE = 110;
+
+// Responsive wheel size calculation, for one wheel or for each of `wheelCount` side by side
+const getWheelDimensions = (wheelCount = 1) => {
     const { width, height } = Dimensions.get('window');
     
     // Fallback values if dimensions are not available
@@ -70,6 +150,11 @@ const getWheelDimensions = () => {
     // Ensure minimum size
     wheelSize = Math.max(wheelSize, 200);
 
+    if (wheelCount > 1) {
+        const rowWidth = width * 0.95 - COMBO_WHEEL_GAP * (wheelCount - 1);
+        wheelSize = Math.max(MIN_COMBO_WHEEL_SIZE, Math.min(wheelSize, rowWidth / wheelCount));
+    }
+
     return {
         wheelSize,
         centerX: wheelSize / 2,
@@ -79,24 +164,48 @@ const getWheelDimensions = () => {
 };
 
 // Generic Decision Wheel Component
-const DecisionWheel = React.memo(function DecisionWheel({ options, rotationValue }) {
-    const [dimensions, setDimensions] = useState(() => getWheelDimensions());
+const DecisionWheel = React.memo(function DecisionWheel({
+    name,
+    options,
+    rotationValue,
+    dimmedIds,
+    colorsById,
+    isSpinning,
+    onDrag,
+    onFlick,
+    highlightedId,
+    wheelCount = 1,
+}) {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const [dimensions, setDimensions] = useState(() => getWheelDimensions(wheelCount));
     const [isInitialized, setIsInitialized] = useState(false);
+    const [tooltipText, setTooltipText] = useState(null);
+    const lastDragAngleRef = useRef(0);
+
+    // A tapped slice whose label doesn't fit shows its full name for a moment
+    useEffect(() => {
+        if (!tooltipText) {
+            return undefined;
+        }
+        const timer = setTimeout(() => setTooltipText(null), 2500);
+        return () => clearTimeout(timer);
+    }, [tooltipText]);
 
     // Force initialization and handle resize
     useEffect(() => {
         // Force immediate dimension calculation
-        const initialDimensions = getWheelDimensions();
+        const initialDimensions = getWheelDimensions(wheelCount);
         setDimensions(initialDimensions);
         
         // Small delay to ensure DOM is ready
         const timer = setTimeout(() => {
             setIsInitialized(true);
-            setDimensions(getWheelDimensions());
+            setDimensions(getWheelDimensions(wheelCount));
         }, 100);
 
         const handleResize = () => {
-            setDimensions(getWheelDimensions());
+            setDimensions(getWheelDimensions(wheelCount));
         };
 
         const subscription = Dimensions.addEventListener('change', handleResize);
@@ -105,14 +214,59 @@ const DecisionWheel = React.memo(function DecisionWheel({ options, rotationValue
             clearTimeout(timer);
             subscription?.remove();
         };
-    }, []);
+    }, [wheelCount]);
 
     const { wheelSize, centerX, centerY, radius } = dimensions;
-    const segmentAngle = options.length > 0 ? 360 / options.length : 0;
-    const colors = [
-        '#FF6F61', '#6B5B95', '#88B04B', '#F7CAC9', '#92A8D1',
-        '#E77B7C', '#D65076', '#45B8AC', '#C6B49D', '#ADADAD'
-    ];
+    const segments = getSegments(options);
+
+    // Screen readers get the wheel as one image, described by its options and any winner
+    const highlightedOption = highlightedId ? options.find(option => option.id === highlightedId) : null;
+    const wheelName = name ? t('wheel.named', { name }) : t('wheel.unnamed');
+    const accessibilityLabel = [
+        options.length > 0
+            ? t('wheel.a11yOptions', {
+                wheel: wheelName,
+                count: options.length,
+                options: options.map(option => option.name).join(t('common.listSeparator')),
+            })
+            : t('wheel.a11yEmpty', { wheel: wheelName }),
+        highlightedOption ? t('wheel.a11yLanded', { name: highlightedOption.name }) : '',
+    ].filter(Boolean).join(' ');
+
+    // Grab and flick: the wheel follows the pointer around its center, and the speed
+    // at release is handed on. Runs on the JS thread like the rest of the spin
+    const panGesture = useMemo(() => {
+        const getPointerAngle = (event) => Math.atan2(event.y - centerY, event.x - centerX) * 180 / Math.PI;
+        return Gesture.Pan()
+            .runOnJS(true)
+            .enabled(!isSpinning)
+            .minDistance(4)
+            .onStart((event) => {
+                lastDragAngleRef.current = getPointerAngle(event);
+            })
+            .onUpdate((event) => {
+                const angle = getPointerAngle(event);
+                // Unwrap the jump where atan2 goes from 180 to -180
+                const delta = ((angle - lastDragAngleRef.current + 540) % 360) - 180;
+                lastDragAngleRef.current = angle;
+                onDrag(delta);
+            })
+            .onEnd((event) => {
+                onFlick(getAngularVelocity(event.x - centerX, event.y - centerY, event.velocityX, event.velocityY));
+            });
+    }, [centerX, centerY, isSpinning, onDrag, onFlick]);
+
+    // Responsive font size based on wheel size; labels shrink from here to fit their slice
+    const maxFontSize = Math.max(10, wheelSize / 25);
+    const minFontSize = Math.min(10, maxFontSize);
+
+    // While a result is shown everything but the winning slice fades back
+    const getSliceOpacity = (optionId) => {
+        if (highlightedId) {
+            return optionId === highlightedId ? 1 : 0.35;
+        }
+        return dimmedIds?.has(optionId) ? 0.35 : 1;
+    };
 
     // Don't render until initialized to prevent layout issues
     if (!isInitialized || wheelSize <= 0) {
@@ -121,188 +275,192 @@ const DecisionWheel = React.memo(function DecisionWheel({ options, rotationValue
                 width: 250, 
                 height: 250, 
                 borderRadius: 125,
-                backgroundColor: '#f0f0f0',
+                backgroundColor: theme.placeholderWheel,
                 justifyContent: 'center',
                 alignItems: 'center'
             }]}>
-                <Text style={{ color: '#666', fontSize: 16 }}>Loading...</Text>
+                <Text style={{ color: theme.textMuted, fontSize: 16 }}>{t('common.loading')}</Text>
             </View>
         );
     }
 
     return (
-        <Animated.View
-            style={[
-                styles.wheelContainer,
-                {
-                    width: wheelSize,
-                    height: wheelSize,
-                    borderRadius: radius,
-                    transform: [{
-                        rotate: rotationValue.interpolate({
-                            inputRange: [0, 360],
-                            outputRange: ['0deg', '360deg'],
-                        })
-                    }],
-                },
-            ]}
-        >
-            <Svg 
-                height={wheelSize} 
-                width={wheelSize} 
-                viewBox={`0 0 ${wheelSize} ${wheelSize}`}
-                style={{ width: wheelSize, height: wheelSize }}
-            >
-                <G origin={`${centerX}, ${centerY}`} rotation={-90}>
-                    {options.map((option, index) => {
-                        const startAngle = index * segmentAngle;
-                        const endAngle = (index + 1) * segmentAngle;
-                        const pathData = describeArc(centerX, centerY, radius, startAngle, endAngle);
-                        const fillColor = colors[index % colors.length];
-
-                        const textRadius = radius * 0.6;
-                        const textAngle = startAngle + (segmentAngle / 2);
-                        const textPos = polarToCartesian(centerX, centerY, textRadius, textAngle);
-                        const textRotation = textAngle + 90;
-
-                        // Responsive font size based on wheel size
-                        const fontSize = Math.max(10, wheelSize / 25);
-
-                        return (
-                            <G key={option.id}>
-                                <Path d={pathData} fill={fillColor} stroke="#FFF" strokeWidth="2" />
-                                <SvgText
-                                    x={textPos.x}
-                                    y={textPos.y}
-                                    fill="#FFFFFF"
-                                    fontSize={fontSize}
-                                    fontWeight="bold"
-                                    textAnchor="middle"
-                                    alignmentBaseline="middle"
-                                    transform={`rotate(${textRotation}, ${textPos.x}, ${textPos.y})`}
-                                >
-                                    <TSpan>{option.name}</TSpan>
-                                </SvgText>
-                            </G>
-                        );
-                    })}
-                </G>
-            </Svg>
-        </Animated.View>
-    );
-});
-
-// Custom Alert Modal Component
-const CustomAlertModal = ({ isVisible, title, message, onConfirm, onCancel, showCancelButton = false }) => {
-    return (
-        <Modal
-            animationType="fade"
-            transparent={true}
-            visible={isVisible}
-            onRequestClose={showCancelButton ? onCancel : onConfirm}
-        >
-            <View style={modalStyles.centeredView}>
-                <View style={modalStyles.modalView}>
-                    <Text style={modalStyles.modalTitle}>{title}</Text>
-                    <Text style={modalStyles.modalMessage}>{message}</Text>
-                    <View style={modalStyles.buttonContainer}>
-                        {showCancelButton && (
-                            <TouchableOpacity
-                                style={[modalStyles.button, modalStyles.buttonCancel]}
-                                onPress={onCancel}
-                            >
-                                <Text style={modalStyles.textStyle}>Cancel</Text>
-                            </TouchableOpacity>
-                        )}
-                        <TouchableOpacity
-                            style={[modalStyles.button, modalStyles.buttonConfirm]}
-                            onPress={onConfirm}
+        <>
+            <GestureDetector gesture={panGesture}>
+                <View
+                    style={[{ width: wheelSize, height: wheelSize }, Platform.OS === 'web' && !isSpinning && styles.wheelGrab]}
+                    accessible={true}
+                    accessibilityRole="image"
+                    accessibilityLabel={accessibilityLabel}
+                >
+                    <Animated.View
+                        style={[
+                            styles.wheelContainer,
+                            {
+                                width: wheelSize,
+                                height: wheelSize,
+                                borderRadius: radius,
+                                transform: [{
+                                    rotate: rotationValue.interpolate({
+                                        inputRange: [0, 360],
+                                        outputRange: ['0deg', '360deg'],
+                                    })
+                                }],
+                            },
+                        ]}
+                    >
+                        <Svg 
+                            height={wheelSize} 
+                            width={wheelSize} 
+                            viewBox={`0 0 ${wheelSize} ${wheelSize}`}
+                            style={{ width: wheelSize, height: wheelSize }}
                         >
-                            <Text style={modalStyles.textStyle}>OK</Text>
-                        </TouchableOpacity>
-                    </View>
+                            <G origin={`${centerX}, ${centerY}`} rotation={WHEEL_DRAWING_ROTATION}>
+                                {segments.map(({ option, startAngle, endAngle }) => {
+                                    const pathData = describeArc(centerX, centerY, radius, startAngle, endAngle);
+                                    const fillColor = colorsById[option.id];
+                                    const labelText = option.emoji ? `${option.emoji} ${option.name}` : option.name;
+                                    const label = layoutSliceLabel(labelText, {
+                                        radius,
+                                        sweepAngle: endAngle - startAngle,
+                                        maxFontSize,
+                                        minFontSize,
+                                    });
+                                    const showTooltip = !label || label.isTruncated
+                                        ? () => setTooltipText(labelText)
+                                        : undefined;
+
+                                    const textAngle = (startAngle + endAngle) / 2;
+                                    const textPos = label && polarToCartesian(centerX, centerY, label.textRadius, textAngle);
+                                    const textRotation = textAngle + 90;
+
+                                    return (
+                                        <G key={option.id} opacity={getSliceOpacity(option.id)}>
+                                            <Path
+                                                d={pathData}
+                                                fill={fillColor}
+                                                stroke={option.id === highlightedId ? theme.text : theme.wheelStroke}
+                                                strokeWidth={option.id === highlightedId ? 5 : 2}
+                                                onPress={showTooltip}
+                                            />
+                                            {label && (
+                                                <SvgText
+                                                    x={textPos.x}
+                                                    y={textPos.y}
+                                                    fill={getLabelColor(fillColor)}
+                                                    fontSize={label.fontSize}
+                                                    fontWeight="bold"
+                                                    textAnchor="middle"
+                                                    alignmentBaseline="middle"
+                                                    transform={`rotate(${textRotation}, ${textPos.x}, ${textPos.y})`}
+                                                    onPress={showTooltip}
+                                                >
+                                                    {label.lines.map((line, index) => (
+                                                        <TSpan
+                                                            key={index}
+                                                            x={textPos.x}
+                                                            // Centers the block of lines on the label position
+                                                            dy={index === 0 ? -(label.lines.length - 1) / 2 * label.lineHeight : label.lineHeight}
+                                                        >
+                                                            {line}
+                                                        </TSpan>
+                                                    ))}
+                                                </SvgText>
+                                            )}
+                                        </G>
+                                    );
+                                })}
+                            </G>
+                        </Svg>
+                    </Animated.View>
                 </View>
-            </View>
-        </Modal>
+            </GestureDetector>
+            {tooltipText && (
+                <View pointerEvents="none" style={[styles.sliceTooltip, { top: wheelSize / 2 - 20 }]}>
+                    <Text style={styles.sliceTooltipText}>
+                        {tooltipText}
+                    </Text>
+                </View>
+            )}
+        </>
     );
-};
-
-// Styles for the Custom Alert Modal
-const modalStyles = StyleSheet.create({
-    centeredView: {
-        flex: 1,
-        justifyContent: 'center',
-        alignItems: 'center',
-        backgroundColor: 'rgba(0,0,0,0.5)',
-    },
-    modalView: {
-        margin: 20,
-        backgroundColor: 'white',
-        borderRadius: 10,
-        padding: 30,
-        alignItems: 'center',
-        shadowColor: '#000',
-        shadowOffset: {
-            width: 0,
-            height: 2,
-        },
-        shadowOpacity: 0.25,
-        shadowRadius: 4,
-        elevation: 5,
-        width: '80%',
-        maxWidth: 400,
-    },
-    modalTitle: {
-        marginBottom: 15,
-        textAlign: 'center',
-        fontSize: 20,
-        fontWeight: 'bold',
-        color: '#333',
-    },
-    modalMessage: {
-        marginBottom: 20,
-        textAlign: 'center',
-        fontSize: 16,
-        color: '#555',
-    },
-    buttonContainer: {
-        flexDirection: 'row',
-        justifyContent: 'space-around',
-        width: '100%',
-    },
-    button: {
-        borderRadius: 20,
-        padding: 10,
-        elevation: 2,
-        minWidth: 90,
-        alignItems: 'center',
-    },
-    buttonConfirm: {
-        backgroundColor: '#2196F3',
-    },
-    buttonCancel: {
-        backgroundColor: '#f44336',
-        marginRight: 10,
-    },
-    textStyle: {
-        color: 'white',
-        fontWeight: 'bold',
-        textAlign: 'center',
-    },
 });
 
 const DecisionSpinnerApp = () => {
-    const [options, setOptions] = useState([
-        { id: '1', name: 'Go for a walk' },
-        { id: '2', name: 'Read a book' },
-        { id: '3', name: 'Watch a movie' },
-        { id: '4', name: 'Play a game' },
-        { id: '5', name: 'Work on a hobby' },
-    ]);
+    const { isLoaded: isAppSettingsLoaded, settings: appSettings, updateSettings: updateAppSettings } = useAppSettings();
+    // "System" follows the device's language when there is a catalog for it
+    const i18n = useMemo(() => createI18n(resolveLanguage(appSettings.language)), [appSettings.language]);
+    const { t, language } = i18n;
+    const {
+        isLoaded,
+        wheels,
+        activeWheel,
+        options,
+        settings,
+        setOptions,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        updateWheelSettings,
+        createWheel,
+        renameWheel,
+        duplicateWheel,
+        deleteWheel,
+        switchWheel,
+        openSharedWheel,
+    } = useWheels({ t });
+    const {
+        isLoaded: isHistoryLoaded,
+        entries: historyEntries,
+        recordSpin,
+        setDecision,
+        clearHistory,
+    } = useHistory();
+    const storageSync = useStorageSync({
+        onError: () => showCustomAlert(t('alerts.syncFailedTitle'), t('alerts.syncFailedMessage')),
+    });
+    // Whether the host is still collecting ballots, for the room's ballot handler
+    const isVoteOpenRef = useRef(false);
+    // A shared room: the host's spins play on every guest's screen. Ballots that arrive
+    // once voting has closed would quietly change the applied weights, so they are dropped
+    const room = useRoom({
+        onSpin: remoteSpin => playRemoteSpin(remoteSpin),
+        onBallot: (ballot) => {
+            if (isVoteOpenRef.current) {
+                setBallots(current => addBallot(current, ballot));
+            }
+        },
+    });
+    const { shareWheel: shareRoomWheel, shareSpin: shareRoomSpin } = room;
+    const isHosting = room.status === ROOM_STATUS.connected && room.isHost;
+    const isGuest = room.status === ROOM_STATUS.connected && !room.isHost;
+    const colorScheme = useColorScheme();
     const [newItem, setNewItem] = useState('');
+    const [seed, setSeed] = useState('');
     const [screenData, setScreenData] = useState(() => Dimensions.get('window'));
     const [isAppReady, setIsAppReady] = useState(false);
     const spinValue = useRef(new Animated.Value(0)).current;
+    // Resting wheel rotation in degrees; the animated value itself can't be read back synchronously
+    const rotationRef = useRef(0);
+    // Spins fade the wheels instead of turning them when the OS asks for reduced motion
+    const isReduceMotionEnabled = useReducedMotion();
+    const wheelOpacity = useRef(new Animated.Value(1)).current;
+    // What the wheel showed when the spin started. It stays on screen until the wheel
+    // stops, so edits made mid-spin can't move a different slice under the pointer
+    const [spinningWheel, setSpinningWheel] = useState(null);
+    const isSpinningRef = useRef(false);
+    // Assigning people: the setup dialog, the draws still to go and the finished table
+    const [assignVisible, setAssignVisible] = useState(false);
+    const [assignmentProgress, setAssignmentProgress] = useState(null);
+    const [assignment, setAssignment] = useState(null);
+    // The wheels of a combo spin, kept on screen like `spinningWheel` until the last one stops
+    const [spinningCombo, setSpinningCombo] = useState(null);
+    const [comboVisible, setComboVisible] = useState(false);
+    // Each combo wheel turns on its own animated value and remembers its own resting angle
+    const comboRotationsRef = useRef({});
+    // An assignment round counts as spinning from its first draw to its last
+    const isSpinning = !!spinningWheel || !!spinningCombo || !!assignmentProgress;
 
     const [modalVisible, setModalVisible] = useState(false);
     const [modalTitle, setModalTitle] = useState('');
@@ -310,6 +468,167 @@ const DecisionSpinnerApp = () => {
     const [modalOnConfirm, setModalOnConfirm] = useState(() => () => setModalVisible(false));
     const [modalOnCancel, setModalOnCancel] = useState(() => () => setModalVisible(false));
     const [showModalCancelButton, setShowModalCancelButton] = useState(false);
+    const [prompt, setPrompt] = useState(null);
+    const [historyVisible, setHistoryVisible] = useState(false);
+    const [settingsVisible, setSettingsVisible] = useState(false);
+    const [importExportVisible, setImportExportVisible] = useState(false);
+    const [stylingOptionId, setStylingOptionId] = useState(null);
+    // The spin result on screen, and whether "Spin again" is waiting for the wheel to update
+    const [result, setResult] = useState(null);
+    const [isSpinAgainRequested, setIsSpinAgainRequested] = useState(false);
+    const [roomVisible, setRoomVisible] = useState(false);
+    // A voting round: the ballots so far, whether more are being collected, and whether
+    // they have been turned into the weights of the wheel
+    const [votingVisible, setVotingVisible] = useState(false);
+    const [ballots, setBallots] = useState([]);
+    const [isVoteOpen, setIsVoteOpen] = useState(false);
+    const [areVotesApplied, setAreVotesApplied] = useState(false);
+    isVoteOpenRef.current = isVoteOpen;
+    // Options taken off the wheel by the elimination modes, in the order they were drawn
+    const [eliminatedIds, setEliminatedIds] = useState([]);
+    // Editing the option list: the option being renamed in place and the bulk selection
+    const [renaming, setRenaming] = useState(null);
+    const [isSelecting, setIsSelecting] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isDraggingRow, setIsDraggingRow] = useState(false);
+    // Keyboard use of the list: the option whose row has focus, for Delete, and the row
+    // that takes focus over once it is gone
+    const focusedOptionIdRef = useRef(null);
+    const optionNameRefs = useRef({});
+    const [optionIdToFocus, setOptionIdToFocus] = useState(null);
+    // How the active wheel was reached when drilling down into sub-wheels: one step per
+    // parent wheel with the option that won there, top first
+    const [drillPath, setDrillPath] = useState([]);
+
+    // A combo spins several saved wheels at once, each with its own options and settings.
+    // The spin modes only apply to a single wheel
+    const comboSourceWheels = useMemo(
+        () => appSettings.comboWheelIds.map(id => wheels.find(wheel => wheel.id === id)).filter(Boolean),
+        [appSettings.comboWheelIds, wheels]
+    );
+    const isComboMode = !isGuest && comboSourceWheels.length >= MIN_COMBO_WHEELS;
+    const spinMode = isComboMode || isGuest ? SPIN_MODES.normal : (settings.spinMode || SPIN_MODES.normal);
+    const isEliminationMode = spinMode !== SPIN_MODES.normal;
+    // Disabled options stay in the list but are left off the wheel
+    const enabledOptions = useMemo(() => options.filter(item => !item.disabled), [options]);
+    // Applied votes reweight the wheel and leave vetoed options off it until the round ends
+    const votedOptions = useMemo(
+        () => (areVotesApplied ? applyVotes(enabledOptions, ballots) : enabledOptions),
+        [areVotesApplied, enabledOptions, ballots]
+    );
+    const wheelOptions = useMemo(
+        () => (isEliminationMode ? votedOptions.filter(item => !eliminatedIds.includes(item.id)) : votedOptions),
+        [votedOptions, eliminatedIds, isEliminationMode]
+    );
+    const drawnOptions = eliminatedIds
+        .map(id => options.find(item => item.id === id))
+        .filter(Boolean);
+
+    // "System" follows the OS appearance, as app.json sets userInterfaceStyle to automatic
+    const resolvedThemeMode = appSettings.themeMode === THEME_MODES.system
+        ? (colorScheme === 'dark' ? THEME_MODES.dark : THEME_MODES.light)
+        : appSettings.themeMode;
+    const theme = THEMES[resolvedThemeMode] || THEMES.light;
+    const paletteColors = (PALETTES[appSettings.palette] || PALETTES[DEFAULT_PALETTE]).colors;
+    const pointerPosition = appSettings.pointerPosition;
+
+    const wheelNamesById = useMemo(() => Object.fromEntries(wheels.map(wheel => [wheel.id, wheel.name])), [wheels]);
+    const colorsById = useMemo(() => getColorsById(options, paletteColors), [options, paletteColors]);
+
+    // Options the fairness policy keeps from winning the next spin; they are dimmed on the wheel
+    const ineligibleIds = useMemo(() => {
+        const wheelHistory = historyEntries.filter(entry => entry.wheelId === activeWheel.id);
+        return getIneligibleIds(wheelOptions, wheelHistory, {
+            policy: settings.fairnessPolicy,
+            cooldownSpins: settings.cooldownSpins,
+        });
+    }, [historyEntries, activeWheel.id, wheelOptions, settings.fairnessPolicy, settings.cooldownSpins]);
+
+    const comboWheels = useMemo(() => comboSourceWheels.map((wheel) => {
+        const comboOptions = wheel.options.filter(item => !item.disabled);
+        const wheelSettings = wheel.settings || {};
+        return {
+            wheel,
+            options: comboOptions,
+            colorsById: getColorsById(wheel.options, paletteColors),
+            dimmedIds: getIneligibleIds(comboOptions, historyEntries.filter(entry => entry.wheelId === wheel.id), {
+                policy: wheelSettings.fairnessPolicy,
+                cooldownSpins: wheelSettings.cooldownSpins,
+            }),
+        };
+    }), [comboSourceWheels, paletteColors, historyEntries]);
+    const displayedComboWheels = spinningCombo || comboWheels;
+
+    // Guests see the host's wheel instead of their own
+    const guestWheel = isGuest ? room.sharedWheel : null;
+    const guestDimmedIds = useMemo(() => new Set(guestWheel?.dimmedIds || []), [guestWheel]);
+    const restingOptions = isGuest ? guestWheel?.options || [] : wheelOptions;
+
+    const displayedOptions = spinningWheel?.options || assignmentProgress?.remaining || restingOptions;
+    const displayedSegments = useMemo(() => getSegments(displayedOptions), [displayedOptions]);
+    // Mute silences sound and haptics alike without touching either setting
+    const { prepare: prepareFeedback, celebrate } = useSpinFeedback({
+        rotationValue: spinValue,
+        segments: displayedSegments,
+        pointer: pointerPosition,
+        soundEnabled: appSettings.soundEnabled && !appSettings.muted,
+        hapticsEnabled: appSettings.hapticsEnabled && !appSettings.muted,
+    });
+
+    // Opening a share link loads its wheel, once the saved wheels are known. A link
+    // without a name is named in the current language, without reopening on a switch
+    const incomingUrl = Linking.useURL();
+    const sharedWheelNameRef = useRef('');
+    sharedWheelNameRef.current = t('prompts.sharedWheel');
+    useEffect(() => {
+        if (!isLoaded) {
+            return;
+        }
+        const sharedWheel = parseShareLink(incomingUrl);
+        if (sharedWheel) {
+            openSharedWheel({ ...sharedWheel, name: sharedWheel.name || sharedWheelNameRef.current });
+            clearShareLinkFromLocation();
+        }
+    }, [incomingUrl, isLoaded, openSharedWheel]);
+
+    // A new wheel or a new mode always starts a fresh elimination round
+    useEffect(() => {
+        setEliminatedIds([]);
+    }, [activeWheel.id, spinMode]);
+
+    // Selections and renames belong to the list of the wheel they were made on
+    useEffect(() => {
+        setIsSelecting(false);
+        setSelectedIds([]);
+        setRenaming(null);
+    }, [activeWheel.id]);
+
+    // Ballots refer to the options of the wheel they were cast on
+    useEffect(() => {
+        setBallots([]);
+        setIsVoteOpen(false);
+        setAreVotesApplied(false);
+    }, [activeWheel.id]);
+
+    // Switching to any wheel other than the sub-wheel being drilled into leaves the path
+    useEffect(() => {
+        setDrillPath(current => (
+            current.length > 0 && current[current.length - 1].childWheelId === activeWheel.id ? current : []
+        ));
+    }, [activeWheel.id]);
+
+    // The host keeps the room's wheel in step with its own, eliminations and fairness included
+    useEffect(() => {
+        if (isHosting) {
+            shareRoomWheel(toSharedWheel({
+                name: activeWheel.name,
+                options: wheelOptions,
+                colorsById,
+                dimmedIds: ineligibleIds,
+                isVoteOpen,
+            }));
+        }
+    }, [isHosting, activeWheel.name, wheelOptions, colorsById, ineligibleIds, isVoteOpen, shareRoomWheel]);
 
     // Initialize app and update screen dimensions
     useEffect(() => {
@@ -337,15 +656,16 @@ const DecisionSpinnerApp = () => {
         setModalMessage(message);
         setModalOnConfirm(() => {
             const func = () => {
-                onConfirmCallback();
+                // Hide first so a callback can open a follow-up alert
                 setModalVisible(false);
+                onConfirmCallback();
             };
             return func;
         });
         setModalOnCancel(() => {
             const func = () => {
-                onCancelCallback();
                 setModalVisible(false);
+                onCancelCallback();
             };
             return func;
         });
@@ -353,211 +673,1475 @@ const DecisionSpinnerApp = () => {
         setModalVisible(true);
     };
 
+    const closePrompt = () => setPrompt(null);
+
+    const handleCreateWheel = () => {
+        setPrompt({
+            title: t('prompts.newWheel'),
+            initialValue: '',
+            onSubmit: (name) => {
+                createWheel(name);
+                closePrompt();
+            },
+        });
+    };
+
+    const handleRenameWheel = () => {
+        setPrompt({
+            title: t('prompts.renameWheel'),
+            initialValue: activeWheel.name,
+            onSubmit: (name) => {
+                renameWheel(activeWheel.id, name);
+                closePrompt();
+            },
+        });
+    };
+
+    const handleDuplicateWheel = () => {
+        setPrompt({
+            title: t('prompts.duplicateWheel'),
+            initialValue: t('prompts.copyName', { name: activeWheel.name }),
+            onSubmit: (name) => {
+                duplicateWheel(activeWheel.id, name);
+                closePrompt();
+            },
+        });
+    };
+
+    const handleDeleteWheel = () => {
+        const wheelToDelete = activeWheel;
+        showCustomAlert(
+            t('alerts.deleteWheelTitle'),
+            t('alerts.deleteWheelMessage', { name: wheelToDelete.name }),
+            () => deleteWheel(wheelToDelete.id),
+            () => { },
+            true
+        );
+    };
+
     const addItem = () => {
         const trimmedItem = newItem.trim();
         if (trimmedItem) {
-            if (options.some(item => item.name.toLowerCase() === trimmedItem.toLowerCase())) {
-                showCustomAlert("Duplicate Option", `'${trimmedItem}' is already in the list!`);
+            if (isDuplicateName(options, trimmedItem, { locale: language })) {
+                showCustomAlert(t('alerts.duplicateTitle'), t('alerts.duplicateMessage', { name: trimmedItem }));
                 return;
             }
             const newId = Date.now().toString();
-            setOptions([...options, { id: newId, name: trimmedItem }]);
+            setOptions([...options, { id: newId, name: trimmedItem, weight: DEFAULT_WEIGHT }]);
             setNewItem('');
         } else {
-            showCustomAlert("Input Required", "Please type an option before submitting.");
+            showCustomAlert(t('alerts.inputRequiredTitle'), t('alerts.inputRequiredMessage'));
+        }
+    };
+
+    const applyImport = ({ options: importedOptions, name, asNewWheel }) => {
+        if (asNewWheel) {
+            createWheel(name || t('prompts.importedWheel'), importedOptions);
+        } else {
+            setOptions(importedOptions);
+        }
+    };
+
+    const saveOptionStyle = ({ color, emoji, childWheelId }) => {
+        setOptions(options.map(item => (item.id === stylingOptionId ? { ...item, color, emoji, childWheelId } : item)));
+        setStylingOptionId(null);
+    };
+
+    const shareWheel = async () => {
+        const link = createShareLink(activeWheel);
+        if (Platform.OS !== 'web') {
+            await Share.share({ message: link, title: activeWheel.name });
+            return;
+        }
+        if (typeof navigator !== 'undefined' && navigator.share) {
+            try {
+                await navigator.share({ title: activeWheel.name, url: link });
+                return;
+            } catch (error) {
+                // Closing the share sheet is not a failure; anything else falls back to copying
+                if (error?.name === 'AbortError') {
+                    return;
+                }
+            }
         }
+        await Clipboard.setStringAsync(link);
+        showCustomAlert(t('alerts.linkCopiedTitle'), t('alerts.linkCopiedMessage', { link }));
     };
 
     const removeItem = (idToRemove) => {
         setOptions(options.filter(item => item.id !== idToRemove));
     };
 
-    const spinWheel = () => {
-        if (options.length === 0) {
-            showCustomAlert("No Options", "Please add some options first!");
+    const getOptionFocusProps = (optionId) => ({
+        onFocus: () => {
+            focusedOptionIdRef.current = optionId;
+        },
+        onBlur: () => {
+            if (focusedOptionIdRef.current === optionId) {
+                focusedOptionIdRef.current = null;
+            }
+        },
+    });
+
+    // Delete on the web: removes the option whose row has focus and moves focus on to the
+    // next row, or the one before when it was the last. Returns whether there was one
+    const removeFocusedOption = () => {
+        const index = options.findIndex(item => item.id === focusedOptionIdRef.current);
+        if (index < 0 || isGuest) {
+            return false;
+        }
+        const nextFocused = options[index + 1] || options[index - 1];
+        focusedOptionIdRef.current = null;
+        removeItem(options[index].id);
+        setOptionIdToFocus(nextFocused ? nextFocused.id : null);
+        return true;
+    };
+
+    useEffect(() => {
+        if (optionIdToFocus) {
+            optionNameRefs.current[optionIdToFocus]?.focus?.();
+            setOptionIdToFocus(null);
+        }
+    }, [optionIdToFocus]);
+
+    const startRename = (optionItem) => {
+        setRenaming({ id: optionItem.id, text: optionItem.name });
+    };
+
+    // Same rules as adding: a name is required and must not already be in the list
+    const commitRename = () => {
+        if (!renaming) {
+            return;
+        }
+        const trimmedName = renaming.text.trim();
+        setRenaming(null);
+        const current = options.find(item => item.id === renaming.id);
+        if (!current || !trimmedName || trimmedName === current.name) {
+            return;
+        }
+        if (isDuplicateName(options, trimmedName, { ignoreId: renaming.id, locale: language })) {
+            showCustomAlert(t('alerts.duplicateTitle'), t('alerts.duplicateMessage', { name: trimmedName }));
             return;
         }
+        setOptions(options.map(item => (item.id === renaming.id ? { ...item, name: trimmedName } : item)));
+    };
 
-        spinValue.stopAnimation();
-        spinValue.setValue(0);
+    const reorderOptions = (fromIndex, toIndex) => {
+        setOptions(moveItem(options, fromIndex, toIndex));
+    };
+
+    const toggleSelected = (idToToggle) => {
+        setSelectedIds(current => (
+            current.includes(idToToggle) ? current.filter(id => id !== idToToggle) : [...current, idToToggle]
+        ));
+    };
+
+    const toggleSelectAll = () => {
+        setSelectedIds(selectedIds.length === options.length ? [] : options.map(item => item.id));
+    };
+
+    const finishSelecting = () => {
+        setIsSelecting(false);
+        setSelectedIds([]);
+    };
+
+    const deleteSelected = () => {
+        setOptions(options.filter(item => !selectedIds.includes(item.id)));
+        finishSelecting();
+    };
+
+    const setSelectedDisabled = (disabled) => {
+        setOptions(options.map(item => (selectedIds.includes(item.id) ? { ...item, disabled } : item)));
+        setSelectedIds([]);
+    };
+
+    const changeWeight = (idToChange, delta) => {
+        setOptions(options.map(item => {
+            if (item.id !== idToChange) {
+                return item;
+            }
+            return { ...item, weight: clampWeight(getOptionWeight(item) + delta) };
+        }));
+    };
+
+    const changeSpinMode = (mode) => {
+        updateWheelSettings(activeWheel.id, { spinMode: mode });
+    };
+
+    const restoreEliminated = () => {
+        setEliminatedIds([]);
+    };
+
+    const formatDrawOrder = (drawn) => drawn.map((item, index) => `${index + 1}. ${item.name}`).join('\n');
 
-        const randomIndex = Math.floor(Math.random() * options.length);
-        const selectedItem = options[randomIndex].name;
-        const segmentAngle = 360 / options.length;
+    // Takes the drawn option off the wheel and announces the end of the round when it is over
+    const eliminateOption = (drawnItem) => {
+        const nextEliminatedIds = [...eliminatedIds, drawnItem.id];
+        setEliminatedIds(nextEliminatedIds);
 
-        const targetCenterAngle = (randomIndex * segmentAngle) + (segmentAngle / 2);
-        const numFullSpins = 5;
-        const finalRotation = (numFullSpins * 360) + (360 - (targetCenterAngle + 90) % 360);
+        const remaining = votedOptions.filter(item => !nextEliminatedIds.includes(item.id));
+        if (spinMode === SPIN_MODES.loserOut && remaining.length === 1) {
+            showCustomAlert(t('alerts.winnerTitle'), t('alerts.lastStanding', { name: remaining[0].name }));
+            return true;
+        }
+        if (spinMode === SPIN_MODES.winnerOut && remaining.length === 0) {
+            const drawn = nextEliminatedIds.map(id => options.find(item => item.id === id)).filter(Boolean);
+            showCustomAlert(t('alerts.allDrawnTitle'), formatDrawOrder(drawn));
+            return true;
+        }
+        return false;
+    };
+
+    // What a seeded draw needs to be re-run: the seed and a hash of the options as they were
+    // drawn from, excluded ones at weight 0. Unseeded draws have none
+    const createProof = (trimmedSeed, drawOptions, excludedIds = new Set()) => (trimmedSeed
+        ? {
+            seed: trimmedSeed,
+            optionsHash: getOptionsHash(drawOptions.map(item => ({
+                name: item.name,
+                weight: excludedIds.has(item.id) ? 0 : getOptionWeight(item),
+            }))),
+        }
+        : null);
+
+    // Seeded spins show what is needed to re-run the draw
+    const formatProof = (proof) => (proof ? t('result.proof', { seed: proof.seed, hash: proof.optionsHash }) : '');
+
+    const showSpinResult = (winner, remainingCount, proof, entry) => {
+        const titles = {
+            [SPIN_MODES.normal]: t('result.decision'),
+            [SPIN_MODES.winnerOut]: t('result.draw', { number: drawnOptions.length + 1 }),
+            [SPIN_MODES.loserOut]: t('result.knockedOut'),
+        };
+        const detail = [
+            spinMode === SPIN_MODES.loserOut ? t('result.left', { count: remainingCount - 1 }) : '',
+            formatProof(proof),
+        ].filter(Boolean).join('\n');
+        const pathNames = [...drillPath.map(step => step.winnerName), winner.name].join(' › ');
+        setResult({
+            entryIds: [entry.id],
+            title: titles[spinMode],
+            winner,
+            winnerName: winner.emoji ? `${winner.emoji} ${winner.name}` : winner.name,
+            detail: [drillPath.length > 0 ? pathNames : '', detail].filter(Boolean).join('\n'),
+            copyText: [`${entry.wheelName}: ${pathNames}`, formatProof(proof)].filter(Boolean).join('\n'),
+        });
+    };
+
+    // One line for the whole combo, in the order its wheels were picked. A seeded combo
+    // shares its seed between the wheels, each with its own options hash
+    const showComboResult = (spins, entries) => {
+        const combined = spins.map(({ winner }) => winner.name).join(t('common.listSeparator'));
+        const proofs = spins.map(({ proof }) => proof).filter(Boolean);
+        const detail = [
+            ...spins.map(({ comboWheel, winner }) => `${comboWheel.wheel.name}: ${winner.name}`),
+            proofs.length > 0
+                ? t('result.comboProof', {
+                    seed: proofs[0].seed,
+                    hashes: proofs.map(proof => proof.optionsHash).join(t('common.listSeparator')),
+                })
+                : '',
+        ].filter(Boolean).join('\n');
+        setResult({
+            entryIds: entries.map(entry => entry.id),
+            title: t('result.combo'),
+            winnerIdsByWheel: Object.fromEntries(spins.map(({ comboWheel, winner }) => [comboWheel.wheel.id, winner.id])),
+            winnerName: combined,
+            detail,
+            copyText: `${combined}\n${detail}`,
+        });
+    };
+
+    // Closes the result; in the elimination modes that is when the drawn option leaves the wheel.
+    // Returns true when that ended the round
+    const closeResult = () => {
+        setResult(null);
+        return isEliminationMode && !result.isTally ? eliminateOption(result.winner) : false;
+    };
 
-        Animated.timing(spinValue, {
-            toValue: finalRotation,
-            duration: 4000,
-            easing: Easing.out(Easing.ease),
+    const acceptResult = () => {
+        if (!isEliminationMode) {
+            result.entryIds.forEach(entryId => setDecision(entryId, 'accepted'));
+            // An accepted result ends the voting round it came from
+            if (areVotesApplied || result.isTally) {
+                clearVotes();
+            }
+        }
+        closeResult();
+    };
+
+    const spinAgain = () => {
+        if (!closeResult()) {
+            // Spin once the wheel has re-rendered without any option that was just drawn
+            setIsSpinAgainRequested(true);
+        }
+    };
+
+    const openVoting = () => {
+        if (!isGuest) {
+            setIsVoteOpen(true);
+        }
+        setVotingVisible(true);
+    };
+
+    // Guests' ballots go to the host; everyone else votes on this device
+    const castBallot = (ballot) => {
+        if (isGuest) {
+            room.vote(ballot.votes);
+            return;
+        }
+        setBallots(current => addBallot(current, { ...ballot, voterId: getLocalVoterId(ballot.voter) }));
+    };
+
+    const clearVotes = () => {
+        setBallots([]);
+        setIsVoteOpen(false);
+        setAreVotesApplied(false);
+    };
+
+    const spinWithVotes = () => {
+        setIsVoteOpen(false);
+        setAreVotesApplied(true);
+        setVotingVisible(false);
+        setResult(null);
+        // Spin once the wheel shows the voted weights
+        setIsSpinAgainRequested(true);
+    };
+
+    const formatVetoes = count => t('voting.vetoed', { count });
+
+    // Lets the votes decide without spinning. A tie is left to the wheel
+    const showTally = () => {
+        const tally = tallyVotes(enabledOptions, ballots);
+        const leaders = getTallyLeaders(tally);
+        setIsVoteOpen(false);
+        setVotingVisible(false);
+        if (leaders.length === 0) {
+            showCustomAlert(t('alerts.everythingVetoedTitle'), t('alerts.everythingVetoedMessage'));
+            return;
+        }
+        const leaderNames = leaders.map(({ option }) => option.name).join(' / ');
+        const ballotCount = t('voting.ballotCount', { count: ballots.length });
+        setResult({
+            entryIds: [],
+            isTally: true,
+            title: leaders.length === 1 ? t('result.voteSays') : t('result.tie'),
+            winner: leaders.length === 1 ? leaders[0].option : null,
+            winnerName: leaderNames,
+            detail: leaders.length === 1
+                ? `${formatVoteCounts(leaders[0], formatVetoes)} · ${ballotCount}`
+                : t('result.breakTie', { ballots: ballotCount }),
+            copyText: `${activeWheel.name}: ${leaderNames}\n${formatTally(tally, formatVetoes)}`,
+        });
+    };
+
+    // The winner's sub-wheel, if it has one that still exists
+    const resultChildWheel = result?.winner?.childWheelId
+        ? wheels.find(wheel => wheel.id === result.winner.childWheelId)
+        : null;
+
+    // Accepts the result and spins the winner's sub-wheel, one level further down the path
+    const drillDown = () => {
+        const step = {
+            wheelId: activeWheel.id,
+            wheelName: activeWheel.name,
+            winnerId: result.winner.id,
+            winnerName: result.winner.name,
+            childWheelId: resultChildWheel.id,
+        };
+        acceptResult();
+        setDrillPath(current => [...current, step]);
+        switchWheel(resultChildWheel.id);
+        // Spin once the sub-wheel is on screen
+        setIsSpinAgainRequested(true);
+    };
+
+    // Goes back up to the wheel of the given breadcrumb step
+    const climbTo = (stepIndex) => {
+        setDrillPath(drillPath.slice(0, stepIndex));
+        switchWheel(drillPath[stepIndex].wheelId);
+    };
+
+    // Only for a single winner on the active wheel; combo results have no veto
+    const vetoResult = () => {
+        result.entryIds.forEach(entryId => setDecision(entryId, 'vetoed'));
+        setOptions(current => current.filter(item => item.id !== result.winner.id));
+        setResult(null);
+    };
+
+    const fadeWheels = toValue => Animated.timing(wheelOpacity, {
+        toValue,
+        duration: REDUCED_MOTION_FADE_MS,
+        useNativeDriver: true,
+    });
+
+    // Turns each rotation value to its `toValue` over its `duration`. With reduced motion
+    // the wheels fade out, jump there and fade back in instead
+    const createWheelAnimation = (turns) => {
+        if (isReduceMotionEnabled) {
+            return Animated.sequence([
+                fadeWheels(0),
+                Animated.parallel(turns.map(({ value, toValue }) => Animated.timing(value, {
+                    toValue,
+                    duration: 0,
+                    useNativeDriver: true,
+                }))),
+                fadeWheels(1),
+            ]);
+        }
+        return Animated.parallel(turns.map(({ value, toValue, duration }) => Animated.timing(value, {
+            toValue,
+            duration,
+            // Constant deceleration, matching the speed the wheel was flicked with
+            easing: Easing.out(Easing.quad),
             useNativeDriver: true,
-        }).start(() => {
-            showCustomAlert("Your Decision!", `How about: ${selectedItem}?`);
+        })));
+    };
+
+    // Runs a planned spin of the main wheel, which keeps showing `spinOptions` until it
+    // stops; resolves then. `targetId` is where the plan should land
+    const playSpin = ({ spinOptions, spinColorsById, dimmedIds, targetId, toValue, duration }) => new Promise((resolve) => {
+        isSpinningRef.current = true;
+        setSpinningWheel({ options: spinOptions, colorsById: spinColorsById, dimmedIds, targetId });
+        createWheelAnimation([{ value: spinValue, toValue, duration }]).start(() => {
+            // Only the angle matters, so keep the stored value small
+            rotationRef.current = ((toValue % 360) + 360) % 360;
+            spinValue.setValue(rotationRef.current);
+            isSpinningRef.current = false;
+            setSpinningWheel(null);
+            resolve();
         });
+    });
+
+    // Draws a spin of the single wheel from where it rests, with the engine's spin()
+    const planWheelSpin = ({ spinOptions, speed, excludedIds, random }) => spin({
+        options: spinOptions,
+        currentRotation: rotationRef.current,
+        speed,
+        excludedIds,
+        pointer: pointerPosition,
+        random,
+    });
+
+    // Turns the wheel as planned by planWheelSpin, until the winner sits under the pointer.
+    // A room host sends the same plan to the guests; `announce` tells them to show the result
+    const animateSpin = ({ spinOptions, plan, dimmedIds, announce = true }) => {
+        const { toValue, duration } = plan;
+        const targetId = plan.winner.id;
+
+        prepareFeedback();
+        if (isHosting) {
+            shareRoomSpin({
+                wheel: toSharedWheel({ name: activeWheel.name, options: spinOptions, colorsById, dimmedIds }),
+                winnerId: targetId,
+                pointer: pointerPosition,
+                fromRotation: rotationRef.current,
+                toValue,
+                duration,
+                announce,
+            });
+        }
+        return playSpin({ spinOptions, spinColorsById: colorsById, dimmedIds, targetId, toValue, duration });
     };
 
+    // Guests replay the host's spin from the host's starting angle, so every wheel lands alike.
+    // A guest whose pointer is on another side turns the wheel that much further
+    const playRemoteSpin = (remoteSpin) => {
+        const { wheel: sharedWheel, winnerId, pointer, fromRotation, toValue, duration, announce } = remoteSpin;
+        const pointerTurn = getPointerTurn(pointer, pointerPosition);
+        spinValue.stopAnimation();
+        rotationRef.current = fromRotation + pointerTurn;
+        spinValue.setValue(rotationRef.current);
+        setResult(null);
+        playSpin({
+            spinOptions: sharedWheel.options,
+            spinColorsById: sharedWheel.colorsById,
+            dimmedIds: new Set(sharedWheel.dimmedIds),
+            targetId: winnerId,
+            toValue: toValue + pointerTurn,
+            duration,
+        }).then(() => {
+            const winner = sharedWheel.options.find(item => item.id === winnerId);
+            if (!announce || !winner) {
+                return;
+            }
+            celebrate();
+            setResult({
+                entryIds: [],
+                title: t('result.decision'),
+                winner,
+                winnerName: winner.emoji ? `${winner.emoji} ${winner.name}` : winner.name,
+                detail: t('result.spunByHost', { name: sharedWheel.name }),
+                copyText: `${sharedWheel.name}: ${winner.name}`,
+            });
+        });
+    };
+
+    // Proposals go through the same checks as options typed in
+    const acceptProposal = (proposal) => {
+        room.dismissProposal(proposal.id);
+        if (isDuplicateName(options, proposal.name, { locale: language })) {
+            showCustomAlert(t('alerts.duplicateTitle'), t('alerts.duplicateMessage', { name: proposal.name }));
+            return;
+        }
+        setOptions([...options, { id: createId(), name: proposal.name, weight: DEFAULT_WEIGHT }]);
+    };
+
+    const getComboRotation = useCallback((wheelId) => {
+        if (!comboRotationsRef.current[wheelId]) {
+            comboRotationsRef.current[wheelId] = { value: new Animated.Value(0), rest: 0 };
+        }
+        return comboRotationsRef.current[wheelId];
+    }, []);
+
+    // Dragging turns just that wheel; a flick on any of them spins the whole combo
+    const comboDragHandlers = useMemo(() => Object.fromEntries(appSettings.comboWheelIds.map(wheelId => [
+        wheelId,
+        (delta) => {
+            prepareFeedback();
+            const rotation = getComboRotation(wheelId);
+            rotation.rest += delta;
+            rotation.value.setValue(rotation.rest);
+        },
+    ])), [appSettings.comboWheelIds, getComboRotation, prepareFeedback]);
+
+    // Spins every wheel of the combo at once, each drawing from its own options under its
+    // own fairness settings. The last wheel gets the full speed and stops last
+    const spinCombo = (speed) => {
+        const emptyWheel = comboWheels.find(comboWheel => comboWheel.options.length === 0);
+        if (emptyWheel) {
+            showCustomAlert(t('alerts.noOptionsTitle'), t('alerts.comboWheelEmpty', { name: emptyWheel.wheel.name }));
+            return;
+        }
+
+        // One throw for the whole combo, then each wheel's winner and landing in turn
+        const trimmedSeed = seed.trim();
+        const random = createSpinRandom(trimmedSeed);
+        const baseSpeed = speed ?? getButtonSpinSpeed(random);
+        const spins = comboWheels.map((comboWheel, index) => {
+            const rotation = getComboRotation(comboWheel.wheel.id);
+            const { winner, toValue, duration } = spin({
+                options: comboWheel.options,
+                currentRotation: rotation.rest,
+                speed: baseSpeed * COMBO_STAGGER ** (comboWheels.length - 1 - index),
+                excludedIds: comboWheel.dimmedIds,
+                pointer: pointerPosition,
+                random,
+            });
+            const proof = createProof(trimmedSeed, comboWheel.options, comboWheel.dimmedIds);
+            return { comboWheel, winner, rotation, toValue, duration, proof };
+        });
+
+        prepareFeedback();
+        isSpinningRef.current = true;
+        setSpinningCombo(comboWheels);
+        createWheelAnimation(spins.map(({ rotation, toValue, duration }) => ({ value: rotation.value, toValue, duration }))).start(() => {
+            spins.forEach(({ rotation, toValue }) => {
+                rotation.rest = ((toValue % 360) + 360) % 360;
+                rotation.value.setValue(rotation.rest);
+            });
+            isSpinningRef.current = false;
+            setSpinningCombo(null);
+            const entries = spins.map(({ comboWheel, winner, proof }) => recordSpin({
+                wheel: comboWheel.wheel,
+                winner,
+                options: comboWheel.options,
+                proof,
+                excludedIds: comboWheel.dimmedIds,
+            }));
+            celebrate();
+            showComboResult(spins, entries);
+        });
+    };
+
+    // `speed` is the initial angular speed in degrees per second, negative for counter-clockwise.
+    // The button leaves it out, and the spin draws one like any other part of it.
+    // Every spin starts from wherever the wheel currently rests
+    const spinWheel = (speed) => {
+        // One spin at a time; pressing SPIN again while the wheel turns does nothing.
+        // In a room only the host spins
+        if (isSpinningRef.current || assignmentProgress || isGuest) {
+            return;
+        }
+        // Combos stay on this screen; rooms share the single wheel
+        if (isComboMode) {
+            spinCombo(speed);
+            return;
+        }
+        if (options.length === 0) {
+            showCustomAlert(t('alerts.noOptionsTitle'), t('alerts.addOptionsFirst'));
+            return;
+        }
+        if (enabledOptions.length === 0) {
+            showCustomAlert(t('alerts.noOptionsTitle'), t('alerts.allDisabled'));
+            return;
+        }
+        if (votedOptions.length === 0) {
+            showCustomAlert(t('alerts.noOptionsTitle'), t('alerts.allVetoed'));
+            return;
+        }
+        if (spinMode === SPIN_MODES.winnerOut && wheelOptions.length === 0) {
+            showCustomAlert(t('alerts.allDrawnTitle'), formatDrawOrder(drawnOptions));
+            return;
+        }
+        // Removing or disabling the last one standing leaves nothing to knock out
+        if (spinMode === SPIN_MODES.loserOut && wheelOptions.length === 0) {
+            showCustomAlert(t('alerts.noOptionsTitle'), t('alerts.allOut'));
+            return;
+        }
+        if (spinMode === SPIN_MODES.loserOut && wheelOptions.length === 1) {
+            showCustomAlert(t('alerts.winnerTitle'), t('alerts.lastStanding', { name: wheelOptions[0].name }));
+            return;
+        }
+
+        const spinOptions = wheelOptions;
+        const spinWheelInfo = activeWheel;
+        // The same seed and the same options always give the same winner and rotation
+        const trimmedSeed = seed.trim();
+        const plan = planWheelSpin({ spinOptions, speed, excludedIds: ineligibleIds, random: createSpinRandom(trimmedSeed) });
+        const proof = createProof(trimmedSeed, spinOptions, ineligibleIds);
+        const { winner } = plan;
+
+        const path = drillPath.map(({ wheelId, wheelName, winnerId, winnerName }) => ({ wheelId, wheelName, winnerId, winnerName }));
+
+        animateSpin({ spinOptions, plan, dimmedIds: ineligibleIds }).then(() => {
+            const entry = recordSpin({
+                wheel: spinWheelInfo,
+                winner,
+                options: spinOptions,
+                proof,
+                path,
+                excludedIds: ineligibleIds,
+            });
+            celebrate();
+            showSpinResult(winner, spinOptions.length, proof, entry);
+        });
+    };
+
+    // Deals the options out as people, spinning the wheel once per draw. Drawn people
+    // leave the wheel, so nobody is picked twice
+    const runAssignment = async (assignSettings) => {
+        setAssignVisible(false);
+        updateWheelSettings(activeWheel.id, { assignment: assignSettings });
+        if (isSpinningRef.current || assignmentProgress) {
+            return;
+        }
+
+        const people = enabledOptions;
+        const drawSettings = {
+            ...assignSettings,
+            roles: parseRoles(assignSettings.rolesText),
+            labels: {
+                team: number => t('assign.team', { number }),
+                winners: t('assign.winners'),
+                noRole: t('assign.noRole'),
+            },
+        };
+        const drawCount = getDrawCount(assignSettings.mode, people.length, drawSettings);
+        // Every draw comes from the one seeded source, so the proof covers the whole round
+        const trimmedSeed = seed.trim();
+        const random = createSpinRandom(trimmedSeed);
+
+        let remaining = people;
+        const drawn = [];
+        for (let drawIndex = 0; drawIndex < drawCount; drawIndex++) {
+            const plan = planWheelSpin({ spinOptions: remaining, speed: ASSIGNMENT_SPIN_SPEED, random });
+            setAssignmentProgress({ remaining, drawIndex, drawCount, lastDraw: drawn[drawn.length - 1] });
+            await animateSpin({ spinOptions: remaining, plan, dimmedIds: new Set(), announce: false });
+            const person = plan.winner;
+            drawn.push({ ...person, label: getDrawLabel(assignSettings.mode, drawIndex, drawSettings) });
+            remaining = remaining.filter(item => item.id !== person.id);
+        }
+
+        setAssignmentProgress(null);
+        celebrate();
+        setAssignment({
+            ...buildAssignment(assignSettings.mode, drawn, people, drawSettings),
+            proof: createProof(trimmedSeed, people),
+        });
+    };
+
+    const latestSpinWheelRef = useRef(spinWheel);
+    latestSpinWheelRef.current = spinWheel;
+
+    const isDialogOpen = modalVisible || !!prompt || historyVisible || settingsVisible || importExportVisible
+        || !!stylingOptionId || !!result || roomVisible || votingVisible || comboVisible || assignVisible || !!assignment;
+    useKeyboardShortcuts({
+        isEnabled: !isDialogOpen && !renaming,
+        onSpin: () => spinWheel(),
+        onDelete: removeFocusedOption,
+    });
+
+    useEffect(() => {
+        if (isSpinAgainRequested) {
+            setIsSpinAgainRequested(false);
+            latestSpinWheelRef.current();
+        }
+    }, [isSpinAgainRequested]);
+
+    const dragWheel = useCallback((delta) => {
+        prepareFeedback();
+        rotationRef.current += delta;
+        spinValue.setValue(rotationRef.current);
+    }, [prepareFeedback, spinValue]);
+
+    // A gentle release just leaves the wheel where it was dragged
+    const flickWheel = useCallback((speed) => {
+        if (Math.abs(speed) >= MIN_FLICK_SPEED) {
+            latestSpinWheelRef.current(speed);
+        }
+    }, []);
+
     // Responsive styling
     const isLandscape = screenData.width > screenData.height;
     const isTablet = Math.min(screenData.width, screenData.height) > 600;
     const isDesktop = Math.min(screenData.width, screenData.height) > 1024;
 
-    // Show loading state until app is ready
-    if (!isAppReady) {
+    // Show loading state until app is ready and the saved wheels are read
+    if (!isAppReady || !isLoaded || !isHistoryLoaded || !isAppSettingsLoaded) {
         return (
-            <View style={[styles.container, { justifyContent: 'center' }]}>
-                <Text style={[styles.header, { marginBottom: 20 }]}>
-                    Decision Spinner
+            <View style={[styles.container, { justifyContent: 'center', backgroundColor: theme.background }]}>
+                <Text style={[styles.header, { marginBottom: 20, color: theme.text }]}>
+                    {t('app.name')}
                 </Text>
                 <View style={{
                     width: 250,
                     height: 250,
                     borderRadius: 125,
-                    backgroundColor: '#f0f0f0',
+                    backgroundColor: theme.placeholderWheel,
                     justifyContent: 'center',
                     alignItems: 'center',
                     marginBottom: 20
                 }}>
-                    <Text style={{ color: '#666', fontSize: 16 }}>Loading...</Text>
+                    <Text style={{ color: theme.textMuted, fontSize: 16 }}>{t('common.loading')}</Text>
                 </View>
             </View>
         );
     }
 
     return (
-        <View style={[styles.container, isLandscape && styles.containerLandscape]}>
-            {/* Custom Alert Modal */}
-            <CustomAlertModal
-                isVisible={modalVisible}
-                title={modalTitle}
-                message={modalMessage}
-                onConfirm={modalOnConfirm}
-                onCancel={modalOnCancel}
-                showCancelButton={showModalCancelButton}
-            />
-
-            <Text style={[
-                styles.header,
-                isTablet && styles.headerTablet,
-                isDesktop && styles.headerDesktop
-            ]}>
-                {`Confused? Let's make a decision together!`}
-            </Text>
-
-            <View style={[
-                styles.topSection,
-                isLandscape && styles.topSectionLandscape,
-                isTablet && styles.topSectionTablet
-            ]}>
-                <View style={styles.wheelWrapper}>
-                    <DecisionWheel
-                        options={options}
-                        rotationValue={spinValue}
+        <ThemeContext.Provider value={theme}>
+            <I18nContext.Provider value={i18n}>
+                <View style={[
+                    styles.container,
+                    // Right-to-left languages mirror the whole screen, the input row and list included
+                    { backgroundColor: theme.background, direction: i18n.direction },
+                    isLandscape && styles.containerLandscape,
+                    isExtensionPopup && styles.containerPopup
+                ]}>
+                    {/* Custom Alert Modal */}
+                    <CustomAlertModal
+                        isVisible={modalVisible}
+                        title={modalTitle}
+                        message={modalMessage}
+                        onConfirm={modalOnConfirm}
+                        onCancel={modalOnCancel}
+                        showCancelButton={showModalCancelButton}
+                    />
+                    <PromptModal
+                        isVisible={!!prompt}
+                        title={prompt?.title}
+                        initialValue={prompt?.initialValue}
+                        placeholder={t('prompts.wheelNamePlaceholder')}
+                        onSubmit={prompt ? prompt.onSubmit : closePrompt}
+                        onCancel={closePrompt}
+                    />
+                    <HistoryModal
+                        isVisible={historyVisible}
+                        entries={historyEntries}
+                        activeWheel={activeWheel}
+                        onClear={clearHistory}
+                        onClose={() => setHistoryVisible(false)}
+                    />
+                    <SettingsModal
+                        isVisible={settingsVisible}
+                        wheelName={activeWheel.name}
+                        settings={settings}
+                        onChangeSettings={changes => updateWheelSettings(activeWheel.id, changes)}
+                        appSettings={appSettings}
+                        onChangeAppSettings={updateAppSettings}
+                        storageSync={storageSync}
+                        onClose={() => setSettingsVisible(false)}
+                    />
+                    <ImportExportModal
+                        isVisible={importExportVisible}
+                        wheel={activeWheel}
+                        onApplyImport={applyImport}
+                        onClose={() => setImportExportVisible(false)}
+                    />
+                    <ResultModal
+                        isVisible={!!result}
+                        result={result}
+                        confettiColors={paletteColors}
+                        acceptLabel={t(isEliminationMode ? 'result.continue' : (isGuest ? 'common.ok' : 'result.accept'))}
+                        drillDownLabel={resultChildWheel ? t('result.spinChild', { name: resultChildWheel.name }) : undefined}
+                        onDrillDown={resultChildWheel ? drillDown : undefined}
+                        onSpinAgain={isGuest ? undefined : (result?.isTally ? spinWithVotes : spinAgain)}
+                        onVeto={isEliminationMode || isGuest || result?.isTally || result?.winnerIdsByWheel ? undefined : vetoResult}
+                        onAccept={acceptResult}
+                    />
+                    <LiveAnnouncer message={result ? `${result.title} ${result.winnerName}` : ''} />
+                    <VotingModal
+                        isVisible={votingVisible}
+                        options={isGuest ? guestWheel?.options || [] : enabledOptions}
+                        ballots={ballots}
+                        isGuest={isGuest}
+                        onCastBallot={castBallot}
+                        onSpin={spinWithVotes}
+                        onTally={showTally}
+                        onDiscard={() => {
+                            clearVotes();
+                            setVotingVisible(false);
+                        }}
+                        onClose={() => setVotingVisible(false)}
+                    />
+                    <RoomModal
+                        isVisible={roomVisible}
+                        room={room}
+                        relayUrl={appSettings.relayUrl}
+                        playerName={appSettings.playerName}
+                        onChangeConnection={updateAppSettings}
+                        onAcceptProposal={acceptProposal}
+                        onClose={() => setRoomVisible(false)}
+                    />
+                    <ComboModal
+                        isVisible={comboVisible}
+                        wheels={wheels}
+                        selectedIds={appSettings.comboWheelIds}
+                        onSave={(comboWheelIds) => {
+                            updateAppSettings({ comboWheelIds });
+                            setComboVisible(false);
+                        }}
+                        onCancel={() => setComboVisible(false)}
+                    />
+                    <AssignModal
+                        isVisible={assignVisible}
+                        peopleCount={enabledOptions.length}
+                        initialSettings={settings.assignment}
+                        onStart={runAssignment}
+                        onCancel={() => setAssignVisible(false)}
+                    />
+                    <AssignmentModal
+                        isVisible={!!assignment}
+                        assignment={assignment}
+                        wheelName={activeWheel.name}
+                        onClose={() => setAssignment(null)}
+                    />
+                    <OptionStyleModal
+                        isVisible={!!stylingOptionId}
+                        option={options.find(item => item.id === stylingOptionId)}
+                        paletteColors={paletteColors}
+                        linkableWheels={wheels.filter(wheel => wheel.id !== activeWheel.id)}
+                        onSave={saveOptionStyle}
+                        onCancel={() => setStylingOptionId(null)}
                     />
-                    {/* Arrow positioned at the bottom of the wheel */}
-                    <View style={styles.arrowContainer}>
-                        <View style={[
-                            styles.arrow,
-                            isTablet && styles.arrowTablet,
-                            isDesktop && styles.arrowDesktop
-                        ]} />
-                    </View>
-                </View>
-            </View>
 
-            <TouchableOpacity
-                style={[
-                    styles.spinButton,
-                    isTablet && styles.spinButtonTablet,
-                    isDesktop && styles.spinButtonDesktop
-                ]}
-                onPress={spinWheel}
-            >
-                <Text style={[
-                    styles.buttonText,
-                    isTablet && styles.buttonTextTablet,
-                    isDesktop && styles.buttonTextDesktop
-                ]}>SPIN</Text>
-            </TouchableOpacity>
-
-            <View style={[
-                styles.inputSection,
-                isLandscape && styles.inputSectionLandscape,
-                isTablet && styles.inputSectionTablet,
-                isDesktop && styles.inputSectionDesktop
-            ]}>
-                <TextInput
-                    style={[
-                        styles.input,
-                        isTablet && styles.inputTablet,
-                        isDesktop && styles.inputDesktop
-                    ]}
-                    placeholder="Type Options"
-                    value={newItem}
-                    onChangeText={setNewItem}
-                    onSubmitEditing={addItem}
-                />
-                <TouchableOpacity
-                    style={[
-                        styles.submitButton,
-                        isTablet && styles.submitButtonTablet,
-                        isDesktop && styles.submitButtonDesktop
-                    ]}
-                    onPress={addItem}
-                >
-                    <Text style={[
-                        styles.buttonText,
-                        isTablet && styles.buttonTextTablet,
-                        isDesktop && styles.buttonTextDesktop
-                    ]}>Submit</Text>
-                </TouchableOpacity>
-            </View>
+                    {/* The extension popup has no room to spare for the tagline */}
+                    {!isExtensionPopup && (
+                        <Text style={[
+                            styles.header,
+                            { color: theme.text },
+                            isTablet && styles.headerTablet,
+                            isDesktop && styles.headerDesktop
+                        ]}>
+                            {t('app.tagline')}
+                        </Text>
+                    )}
 
-            <ScrollView style={[
-                styles.optionsList,
-                isLandscape && styles.optionsListLandscape,
-                isTablet && styles.optionsListTablet,
-                isDesktop && styles.optionsListDesktop
-            ]}>
-                {options.length === 0 ? (
-                    <Text style={[
-                        styles.noOptionsText,
-                        isTablet && styles.noOptionsTextTablet,
-                        isDesktop && styles.noOptionsTextDesktop
+                    <WheelBar
+                        wheels={wheels}
+                        activeWheelId={activeWheel.id}
+                        onSwitch={switchWheel}
+                        onCreate={handleCreateWheel}
+                        onRename={handleRenameWheel}
+                        onDuplicate={handleDuplicateWheel}
+                        onDelete={handleDeleteWheel}
+                        onCombo={() => setComboVisible(true)}
+                    />
+
+                    {drillPath.length > 0 && !isComboMode && !isGuest && (
+                        <View style={styles.breadcrumb}>
+                            {drillPath.map((step, index) => (
+                                <TouchableOpacity
+                                    key={`${step.wheelId}-${index}`}
+                                    style={styles.breadcrumbTouch}
+                                    onPress={() => climbTo(index)}
+                                >
+                                    <Text style={[styles.breadcrumbText, { color: theme.primary }]}>
+                                        {`${step.wheelName}: ${step.winnerName}`}
+                                        <Text style={{ color: theme.textMuted }}>{'  ›'}</Text>
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                            <Text style={[styles.breadcrumbText, styles.breadcrumbCurrent, { color: theme.text }]}>
+                                {activeWheel.name}
+                            </Text>
+                        </View>
+                    )}
+
+                    <Animated.View style={[
+                        styles.topSection,
+                        isLandscape && styles.topSectionLandscape,
+                        isTablet && styles.topSectionTablet,
+                        { opacity: wheelOpacity }
                     ]}>
-                        No options added yet. Type some above!
-                    </Text>
-                ) : (
-                    options.map((optionItem) => (
-                        <View key={optionItem.id} style={[
-                            styles.optionItem,
-                            isTablet && styles.optionItemTablet,
-                            isDesktop && styles.optionItemDesktop
-                        ]}>
-                            <Text style={[
-                                styles.optionItemText,
-                                isTablet && styles.optionItemTextTablet,
-                                isDesktop && styles.optionItemTextDesktop
-                            ]}>
-                                {optionItem.name}
+                        {isComboMode ? (
+                            <View style={styles.comboRow}>
+                                {displayedComboWheels.map(comboWheel => (
+                                    <View key={comboWheel.wheel.id} style={styles.comboWheel}>
+                                        {/* The option list below edits the wheel whose name was tapped */}
+                                        <TouchableOpacity
+                                            style={styles.comboWheelNameTouch}
+                                            onPress={() => switchWheel(comboWheel.wheel.id)}
+                                        >
+                                            <Text
+                                                style={[
+                                                    styles.comboWheelName,
+                                                    { color: comboWheel.wheel.id === activeWheel.id ? theme.primary : theme.textSecondary }
+                                                ]}
+                                                numberOfLines={1}
+                                            >
+                                                {comboWheel.wheel.name}
+                                            </Text>
+                                        </TouchableOpacity>
+                                        <View style={styles.wheelWrapper}>
+                                            <DecisionWheel
+                                                name={comboWheel.wheel.name}
+                                                wheelCount={displayedComboWheels.length}
+                                                options={comboWheel.options}
+                                                rotationValue={getComboRotation(comboWheel.wheel.id).value}
+                                                dimmedIds={comboWheel.dimmedIds}
+                                                colorsById={comboWheel.colorsById}
+                                                highlightedId={result?.winnerIdsByWheel?.[comboWheel.wheel.id]}
+                                                isSpinning={isSpinning}
+                                                onDrag={comboDragHandlers[comboWheel.wheel.id]}
+                                                onFlick={flickWheel}
+                                            />
+                                            <WheelPointer position={pointerPosition} color={theme.accent} />
+                                            {appSettings.showPointerDebug && (
+                                                <PointerDebugOverlay
+                                                    rotationValue={getComboRotation(comboWheel.wheel.id).value}
+                                                    initialRotation={getComboRotation(comboWheel.wheel.id).rest}
+                                                    options={comboWheel.options}
+                                                    pointer={pointerPosition}
+                                                    expectedId={result?.winnerIdsByWheel?.[comboWheel.wheel.id]}
+                                                />
+                                            )}
+                                        </View>
+                                    </View>
+                                ))}
+                            </View>
+                        ) : (
+                            <View style={styles.wheelWrapper}>
+                                <DecisionWheel
+                                    name={isGuest ? guestWheel?.name : activeWheel.name}
+                                    options={displayedOptions}
+                                    rotationValue={spinValue}
+                                    dimmedIds={spinningWheel ? spinningWheel.dimmedIds : (isGuest ? guestDimmedIds : ineligibleIds)}
+                                    colorsById={spinningWheel ? spinningWheel.colorsById : (isGuest ? guestWheel?.colorsById || {} : colorsById)}
+                                    highlightedId={result?.winner?.id}
+                                    isSpinning={isSpinning || isGuest}
+                                    onDrag={dragWheel}
+                                    onFlick={flickWheel}
+                                />
+                                <WheelPointer
+                                    position={pointerPosition}
+                                    color={theme.accent}
+                                    size={isDesktop ? POINTER_SIZES.desktop : (isTablet ? POINTER_SIZES.tablet : POINTER_SIZES.regular)}
+                                />
+                                {appSettings.showPointerDebug && (
+                                    <PointerDebugOverlay
+                                        rotationValue={spinValue}
+                                        initialRotation={rotationRef.current}
+                                        options={displayedOptions}
+                                        pointer={pointerPosition}
+                                        expectedId={spinningWheel ? spinningWheel.targetId : result?.winner?.id}
+                                    />
+                                )}
+                            </View>
+                        )}
+                    </Animated.View>
+
+                    {!isComboMode && (
+                        <SegmentedControl
+                            choices={SPIN_MODE_CHOICES.map(({ value, labelKey }) => ({ value, label: t(labelKey) }))}
+                            value={spinMode}
+                            onChange={changeSpinMode}
+                            style={styles.modeSelector}
+                        />
+                    )}
+
+                    {isEliminationMode && (
+                        <View style={styles.eliminationStatus}>
+                            <Text style={[styles.eliminationStatusText, { color: theme.textSecondary }]}>
+                                {spinMode === SPIN_MODES.winnerOut
+                                    ? t('status.drawn', { count: drawnOptions.length, total: enabledOptions.length })
+                                    : t('status.stillIn', { count: wheelOptions.length, total: enabledOptions.length })}
+                            </Text>
+                            {drawnOptions.length > 0 && (
+                                <TouchableOpacity onPress={restoreEliminated} style={styles.restoreButtonTouch}>
+                                    <Text style={[styles.restoreButton, { color: theme.primary }]}>{t('status.restoreAll')}</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    )}
+
+                    {assignmentProgress && (
+                        <View style={styles.eliminationStatus}>
+                            <Text style={[styles.eliminationStatusText, { color: theme.textSecondary }]}>
+                                {t('status.assignmentDraw', { number: assignmentProgress.drawIndex + 1, total: assignmentProgress.drawCount })}
+                                {assignmentProgress.lastDraw
+                                    ? ` · ${assignmentProgress.lastDraw.name} → ${assignmentProgress.lastDraw.label}`
+                                    : ''}
+                            </Text>
+                        </View>
+                    )}
+
+                    {room.status === ROOM_STATUS.connected && (
+                        <View style={styles.eliminationStatus}>
+                            <Text style={[styles.eliminationStatusText, { color: theme.textSecondary }]}>
+                                {isGuest
+                                    ? t('status.guestRoom', { code: room.code, wheel: guestWheel?.name || t('status.waitingForHost') })
+                                    : t('status.hostingRoom', { code: room.code, count: room.participants.length })}
+                            </Text>
+                            {isGuest && guestWheel?.isVoteOpen && (
+                                <TouchableOpacity onPress={openVoting} style={styles.restoreButtonTouch}>
+                                    <Text style={[styles.restoreButton, { color: theme.accent }]}>{t('toolbar.vote')}</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity onPress={() => setRoomVisible(true)} style={styles.restoreButtonTouch}>
+                                <Text style={[styles.restoreButton, { color: theme.primary }]}>
+                                    {room.proposals.length > 0 ? t('status.proposed', { count: room.proposals.length }) : t('toolbar.room')}
+                                </Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    {(isVoteOpen || areVotesApplied) && (
+                        <View style={styles.eliminationStatus}>
+                            <Text style={[styles.eliminationStatusText, { color: theme.textSecondary }]}>
+                                {areVotesApplied
+                                    ? t('status.votesApplied', { count: ballots.length, vetoed: enabledOptions.length - votedOptions.length })
+                                    : t('status.votingOpen', { count: ballots.length })}
                             </Text>
                             <TouchableOpacity
-                                onPress={() => removeItem(optionItem.id)}
-                                style={styles.removeButtonTouch}
+                                onPress={areVotesApplied ? clearVotes : () => setVotingVisible(true)}
+                                style={styles.restoreButtonTouch}
                             >
-                                <Text style={[
-                                    styles.removeButton,
-                                    isTablet && styles.removeButtonTablet,
-                                    isDesktop && styles.removeButtonDesktop
-                                ]}>×</Text>
+                                <Text style={[styles.restoreButton, { color: theme.primary }]}>
+                                    {areVotesApplied ? t('status.clearVotes') : t('status.openVote')}
+                                </Text>
                             </TouchableOpacity>
                         </View>
-                    ))
-                )}
-            </ScrollView>
-        </View>
+                    )}
+
+                    <View style={styles.seedRow}>
+                        <Text style={[styles.seedLabel, { color: theme.textSecondary }]}>{t('seed.label')}</Text>
+                        <TextInput
+                            style={[styles.seedInput, { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }]}
+                            placeholder={t('seed.placeholder')}
+                            placeholderTextColor={theme.placeholder}
+                            value={seed}
+                            onChangeText={setSeed}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+                    </View>
+
+                    <TouchableOpacity
+                        style={[
+                            styles.spinButton,
+                            { backgroundColor: theme.accent },
+                            isTablet && styles.spinButtonTablet,
+                            isDesktop && styles.spinButtonDesktop,
+                            (isSpinning || isGuest) && styles.spinButtonBusy
+                        ]}
+                        onPress={() => spinWheel()}
+                        disabled={isSpinning || isGuest}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('spin.a11yLabel')}
+                        accessibilityHint={Platform.OS === 'web' ? t('spin.a11yHint') : undefined}
+                        accessibilityState={{ disabled: isSpinning || isGuest, busy: isSpinning }}
+                    >
+                        <Text style={[
+                            styles.buttonText,
+                            isTablet && styles.buttonTextTablet,
+                            isDesktop && styles.buttonTextDesktop
+                        ]}>{t('spin.button')}</Text>
+                    </TouchableOpacity>
+
+                    <View style={styles.toolbar}>
+                        <TouchableOpacity
+                            style={styles.toolbarButton}
+                            onPress={() => setHistoryVisible(true)}
+                        >
+                            <Text style={[
+                                styles.toolbarButtonText,
+                                { color: theme.primary },
+                                isTablet && styles.toolbarButtonTextTablet
+                            ]}>{t('toolbar.history')}</Text>
+                        </TouchableOpacity>
+                        {/* Group features are left to the full tab, where they have room */}
+                        {!isExtensionPopup && (
+                            <>
+                                <TouchableOpacity
+                                    style={styles.toolbarButton}
+                                    onPress={() => setAssignVisible(true)}
+                                    disabled={isSpinning || isComboMode}
+                                >
+                                    <Text style={[
+                                        styles.toolbarButtonText,
+                                        { color: isSpinning || isComboMode ? theme.disabled : theme.primary },
+                                        isTablet && styles.toolbarButtonTextTablet
+                                    ]}>{t('toolbar.assign')}</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={styles.toolbarButton}
+                                    onPress={openVoting}
+                                    disabled={isSpinning || isComboMode || (isGuest && !guestWheel?.isVoteOpen)}
+                                >
+                                    <Text style={[
+                                        styles.toolbarButtonText,
+                                        {
+                                            color: isSpinning || isComboMode || (isGuest && !guestWheel?.isVoteOpen)
+                                                ? theme.disabled
+                                                : theme.primary,
+                                        },
+                                        isTablet && styles.toolbarButtonTextTablet
+                                    ]}>{t('toolbar.vote')}</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={styles.toolbarButton}
+                                    onPress={() => setRoomVisible(true)}
+                                >
+                                    <Text style={[
+                                        styles.toolbarButtonText,
+                                        { color: theme.primary },
+                                        isTablet && styles.toolbarButtonTextTablet
+                                    ]}>{t('toolbar.room')}</Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                        <TouchableOpacity
+                            style={styles.toolbarButton}
+                            onPress={() => setSettingsVisible(true)}
+                        >
+                            <Text style={[
+                                styles.toolbarButtonText,
+                                { color: theme.primary },
+                                isTablet && styles.toolbarButtonTextTablet
+                            ]}>{t('toolbar.settings')}</Text>
+                        </TouchableOpacity>
+                        {!isExtensionPopup && (
+                            <>
+                                <TouchableOpacity
+                                    style={styles.toolbarButton}
+                                    onPress={() => setImportExportVisible(true)}
+                                >
+                                    <Text style={[
+                                        styles.toolbarButtonText,
+                                        { color: theme.primary },
+                                        isTablet && styles.toolbarButtonTextTablet
+                                    ]}>{t('toolbar.importExport')}</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={styles.toolbarButton}
+                                    onPress={shareWheel}
+                                >
+                                    <Text style={[
+                                        styles.toolbarButtonText,
+                                        { color: theme.primary },
+                                        isTablet && styles.toolbarButtonTextTablet
+                                    ]}>{t('toolbar.share')}</Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                        <TouchableOpacity
+                            style={styles.toolbarButton}
+                            onPress={() => updateAppSettings({ muted: !appSettings.muted })}
+                        >
+                            <Text style={[
+                                styles.toolbarButtonText,
+                                { color: theme.primary },
+                                isTablet && styles.toolbarButtonTextTablet
+                            ]}>{appSettings.muted ? t('toolbar.unmute') : t('toolbar.mute')}</Text>
+                        </TouchableOpacity>
+                        {isExtensionPopup && (
+                            <TouchableOpacity
+                                style={styles.toolbarButton}
+                                onPress={openInTab}
+                            >
+                                <Text style={[styles.toolbarButtonText, { color: theme.primary }]}>{t('toolbar.openInTab')}</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+
+                    {/* Guests propose options in the room instead of editing a list */}
+                    {!isGuest && (
+                        <>
+                            <View style={[
+                                styles.inputSection,
+                                isLandscape && styles.inputSectionLandscape,
+                                isTablet && styles.inputSectionTablet,
+                                isDesktop && styles.inputSectionDesktop
+                            ]}>
+                                <TextInput
+                                    style={[
+                                        styles.input,
+                                        { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text },
+                                        isTablet && styles.inputTablet,
+                                        isDesktop && styles.inputDesktop
+                                    ]}
+                                    placeholder={t('list.placeholder')}
+                                    placeholderTextColor={theme.placeholder}
+                                    value={newItem}
+                                    onChangeText={setNewItem}
+                                    onSubmitEditing={addItem}
+                                />
+                                <TouchableOpacity
+                                    style={[
+                                        styles.submitButton,
+                                        { backgroundColor: theme.primary },
+                                        isTablet && styles.submitButtonTablet,
+                                        isDesktop && styles.submitButtonDesktop
+                                    ]}
+                                    onPress={addItem}
+                                >
+                                    <Text style={[
+                                        styles.buttonText,
+                                        isTablet && styles.buttonTextTablet,
+                                        isDesktop && styles.buttonTextDesktop
+                                    ]}>{t('list.submit')}</Text>
+                                </TouchableOpacity>
+                            </View>
+
+                            <View style={styles.listToolbar}>
+                                {isSelecting ? (
+                                    <>
+                                        <TouchableOpacity onPress={toggleSelectAll} style={styles.listToolbarTouch}>
+                                            <Text style={[styles.listToolbarText, { color: theme.primary }]}>
+                                                {selectedIds.length === options.length ? t('list.selectNone') : t('list.selectAll')}
+                                            </Text>
+                                        </TouchableOpacity>
+                                        {[
+                                            { label: t('list.enable'), onPress: () => setSelectedDisabled(false) },
+                                            { label: t('list.disable'), onPress: () => setSelectedDisabled(true) },
+                                            { label: t('list.deleteSelected', { count: selectedIds.length }), onPress: deleteSelected, color: theme.danger },
+                                        ].map(({ label, onPress, color }) => (
+                                            <TouchableOpacity
+                                                key={label}
+                                                onPress={onPress}
+                                                disabled={selectedIds.length === 0}
+                                                style={styles.listToolbarTouch}
+                                            >
+                                                <Text style={[
+                                                    styles.listToolbarText,
+                                                    { color: selectedIds.length === 0 ? theme.disabled : color || theme.primary }
+                                                ]}>{label}</Text>
+                                            </TouchableOpacity>
+                                        ))}
+                                        <TouchableOpacity onPress={finishSelecting} style={styles.listToolbarTouch}>
+                                            <Text style={[styles.listToolbarText, { color: theme.primary }]}>{t('common.done')}</Text>
+                                        </TouchableOpacity>
+                                    </>
+                                ) : (
+                                    <>
+                                        <TouchableOpacity
+                                            onPress={() => setIsSelecting(true)}
+                                            disabled={options.length === 0}
+                                            style={styles.listToolbarTouch}
+                                        >
+                                            <Text style={[
+                                                styles.listToolbarText,
+                                                { color: options.length === 0 ? theme.disabled : theme.primary }
+                                            ]}>{t('list.select')}</Text>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity onPress={undo} disabled={!canUndo} style={styles.listToolbarTouch}>
+                                            <Text style={[styles.listToolbarText, { color: canUndo ? theme.primary : theme.disabled }]}>{t('list.undo')}</Text>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity onPress={redo} disabled={!canRedo} style={styles.listToolbarTouch}>
+                                            <Text style={[styles.listToolbarText, { color: canRedo ? theme.primary : theme.disabled }]}>{t('list.redo')}</Text>
+                                        </TouchableOpacity>
+                                    </>
+                                )}
+                            </View>
+
+                            <ScrollView
+                                style={[
+                                    styles.optionsList,
+                                    { backgroundColor: theme.surface, borderColor: theme.borderMuted },
+                                    isLandscape && styles.optionsListLandscape,
+                                    isTablet && styles.optionsListTablet,
+                                    isDesktop && styles.optionsListDesktop
+                                ]}
+                                scrollEnabled={!isDraggingRow}
+                            >
+                                {options.length === 0 ? (
+                                    <Text style={[
+                                        styles.noOptionsText,
+                                        { color: theme.textMuted },
+                                        isTablet && styles.noOptionsTextTablet,
+                                        isDesktop && styles.noOptionsTextDesktop
+                                    ]}>
+                                        {t('list.empty')}
+                                    </Text>
+                                ) : (
+                                    <ReorderableList
+                                        items={options}
+                                        keyExtractor={item => item.id}
+                                        onReorder={reorderOptions}
+                                        onDragChange={setIsDraggingRow}
+                                        renderItem={(optionItem, dragHandle) => {
+                                            const drawIndex = isEliminationMode ? eliminatedIds.indexOf(optionItem.id) : -1;
+                                            const isSelected = selectedIds.includes(optionItem.id);
+                                            const isRenaming = renaming?.id === optionItem.id;
+                                            return (
+                                                <View style={[
+                                                    styles.optionItem,
+                                                    { borderBottomColor: theme.surfaceMuted },
+                                                    isTablet && styles.optionItemTablet,
+                                                    isDesktop && styles.optionItemDesktop,
+                                                    (drawIndex >= 0 || optionItem.disabled) && styles.optionItemEliminated
+                                                ]}>
+                                                    {isSelecting ? (
+                                                        <TouchableOpacity
+                                                            onPress={() => toggleSelected(optionItem.id)}
+                                                            style={styles.checkboxTouch}
+                                                            accessibilityRole="checkbox"
+                                                            accessibilityLabel={t('list.a11ySelect', { name: optionItem.name })}
+                                                            accessibilityState={{ checked: isSelected }}
+                                                            {...getOptionFocusProps(optionItem.id)}
+                                                        >
+                                                            <Text style={[styles.checkbox, { color: theme.primary }]}>{isSelected ? '☑' : '☐'}</Text>
+                                                        </TouchableOpacity>
+                                                    ) : dragHandle}
+                                                    <TouchableOpacity
+                                                        onPress={() => setStylingOptionId(optionItem.id)}
+                                                        style={styles.colorDotTouch}
+                                                        accessibilityRole="button"
+                                                        accessibilityLabel={t('list.a11yStyle', { name: optionItem.name })}
+                                                        {...getOptionFocusProps(optionItem.id)}
+                                                    >
+                                                        <View style={[styles.colorDot, { backgroundColor: colorsById[optionItem.id] }]} />
+                                                    </TouchableOpacity>
+                                                    {isRenaming ? (
+                                                        <TextInput
+                                                            style={[
+                                                                styles.optionItemText,
+                                                                styles.renameInput,
+                                                                { color: theme.text, borderColor: theme.primary },
+                                                                isTablet && styles.optionItemTextTablet,
+                                                                isDesktop && styles.optionItemTextDesktop
+                                                            ]}
+                                                            value={renaming.text}
+                                                            onChangeText={text => setRenaming({ ...renaming, text })}
+                                                            // Submitting blurs a single-line input, which saves the name
+                                                            onBlur={commitRename}
+                                                            autoFocus
+                                                            selectTextOnFocus
+                                                        />
+                                                    ) : (
+                                                        <TouchableOpacity
+                                                            ref={(node) => {
+                                                                optionNameRefs.current[optionItem.id] = node;
+                                                            }}
+                                                            style={styles.optionNameTouch}
+                                                            onPress={() => (isSelecting ? toggleSelected(optionItem.id) : startRename(optionItem))}
+                                                            accessibilityRole="button"
+                                                            accessibilityLabel={[
+                                                                optionItem.name,
+                                                                optionItem.disabled ? t('list.off') : '',
+                                                                t('list.a11yWeight', { weight: getOptionWeight(optionItem) }),
+                                                            ].filter(Boolean).join(t('common.listSeparator'))}
+                                                            accessibilityHint={isSelecting ? t('list.a11ySelectHint') : t('list.a11yRenameHint')}
+                                                            {...getOptionFocusProps(optionItem.id)}
+                                                        >
+                                                            <Text style={[
+                                                                styles.optionItemText,
+                                                                { color: theme.text },
+                                                                isTablet && styles.optionItemTextTablet,
+                                                                isDesktop && styles.optionItemTextDesktop
+                                                            ]}>
+                                                                {optionItem.emoji ? `${optionItem.emoji} ${optionItem.name}` : optionItem.name}
+                                                            </Text>
+                                                        </TouchableOpacity>
+                                                    )}
+                                                    {optionItem.disabled && (
+                                                        <Text style={[styles.eliminatedBadge, { color: theme.textMuted }]}>{t('list.off')}</Text>
+                                                    )}
+                                                    {!!optionItem.childWheelId && wheelNamesById[optionItem.childWheelId] && (
+                                                        <Text style={[styles.eliminatedBadge, styles.childWheelBadge, { color: theme.primary }]} numberOfLines={1}>
+                                                            {`› ${wheelNamesById[optionItem.childWheelId]}`}
+                                                        </Text>
+                                                    )}
+                                                    {drawIndex >= 0 && (
+                                                        <Text style={[styles.eliminatedBadge, { color: theme.accent }]}>
+                                                            {spinMode === SPIN_MODES.winnerOut ? `#${drawIndex + 1}` : t('list.out')}
+                                                        </Text>
+                                                    )}
+                                                    <View style={styles.weightControl}>
+                                                        <TouchableOpacity
+                                                            onPress={() => changeWeight(optionItem.id, -1)}
+                                                            disabled={getOptionWeight(optionItem) <= MIN_WEIGHT}
+                                                            style={styles.weightButtonTouch}
+                                                            accessibilityRole="button"
+                                                            accessibilityLabel={t('list.a11yLowerWeight', { name: optionItem.name })}
+                                                            accessibilityState={{ disabled: getOptionWeight(optionItem) <= MIN_WEIGHT }}
+                                                            {...getOptionFocusProps(optionItem.id)}
+                                                        >
+                                                            <Text style={[
+                                                                styles.weightButton,
+                                                                { color: getOptionWeight(optionItem) <= MIN_WEIGHT ? theme.disabled : theme.primary }
+                                                            ]}>−</Text>
+                                                        </TouchableOpacity>
+                                                        <Text style={[
+                                                            styles.weightText,
+                                                            { color: theme.textSecondary },
+                                                            isTablet && styles.weightTextTablet,
+                                                            isDesktop && styles.weightTextDesktop
+                                                        ]}>
+                                                            ×{getOptionWeight(optionItem)}
+                                                        </Text>
+                                                        <TouchableOpacity
+                                                            onPress={() => changeWeight(optionItem.id, 1)}
+                                                            disabled={getOptionWeight(optionItem) >= MAX_WEIGHT}
+                                                            style={styles.weightButtonTouch}
+                                                            accessibilityRole="button"
+                                                            accessibilityLabel={t('list.a11yRaiseWeight', { name: optionItem.name })}
+                                                            accessibilityState={{ disabled: getOptionWeight(optionItem) >= MAX_WEIGHT }}
+                                                            {...getOptionFocusProps(optionItem.id)}
+                                                        >
+                                                            <Text style={[
+                                                                styles.weightButton,
+                                                                { color: getOptionWeight(optionItem) >= MAX_WEIGHT ? theme.disabled : theme.primary }
+                                                            ]}>+</Text>
+                                                        </TouchableOpacity>
+                                                    </View>
+                                                    <TouchableOpacity
+                                                        onPress={() => removeItem(optionItem.id)}
+                                                        style={styles.removeButtonTouch}
+                                                        accessibilityRole="button"
+                                                        accessibilityLabel={t('list.a11yRemove', { name: optionItem.name })}
+                                                        {...getOptionFocusProps(optionItem.id)}
+                                                    >
+                                                        <Text style={[
+                                                            styles.removeButton,
+                                                            { color: theme.danger },
+                                                            isTablet && styles.removeButtonTablet,
+                                                            isDesktop && styles.removeButtonDesktop
+                                                        ]}>×</Text>
+                                                    </TouchableOpacity>
+                                                </View>
+                                            );
+                                        }}
+                                    />
+                                )}
+                            </ScrollView>
+                        </>
+                    )}
+                </View>
+            </I18nContext.Provider>
+        </ThemeContext.Provider>
     );
 };
 
@@ -574,6 +2158,10 @@ const styles = StyleSheet.create({
     containerLandscape: {
         paddingTop: 10,
     },
+    containerPopup: {
+        paddingTop: 8,
+        paddingHorizontal: 6,
+    },
     header: {
         fontSize: 22,
         fontWeight: 'bold',
@@ -618,34 +2206,108 @@ const styles = StyleSheet.create({
         shadowRadius: 6,
         elevation: 8,
     },
-    arrowContainer: {
+    breadcrumb: {
+        width: '95%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    breadcrumbTouch: {
+        paddingVertical: 2,
+        marginEnd: 8,
+    },
+    breadcrumbText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    breadcrumbCurrent: {
+        fontWeight: 'bold',
+    },
+    comboRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+    },
+    comboWheel: {
+        alignItems: 'center',
+        marginHorizontal: COMBO_WHEEL_GAP / 2,
+        marginBottom: 20,
+    },
+    comboWheelNameTouch: {
+        paddingVertical: 4,
+        marginBottom: 4,
+    },
+    comboWheelName: {
+        maxWidth: 160,
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    wheelGrab: {
+        cursor: 'grab',
+    },
+    sliceTooltip: {
         position: 'absolute',
-        bottom: -15,
-        left: '50%',
-        transform: [{ translateX: -12 }],
-        zIndex: 10,
-    },
-    arrow: {
-        width: 0,
-        height: 0,
-        backgroundColor: 'transparent',
-        borderStyle: 'solid',
-        borderLeftWidth: 12,
-        borderRightWidth: 12,
-        borderBottomWidth: 30,
-        borderLeftColor: 'transparent',
-        borderRightColor: 'transparent',
-        borderBottomColor: '#FF6347',
-    },
-    arrowTablet: {
-        borderLeftWidth: 15,
-        borderRightWidth: 15,
-        borderBottomWidth: 35,
-    },
-    arrowDesktop: {
-        borderLeftWidth: 18,
-        borderRightWidth: 18,
-        borderBottomWidth: 40,
+        left: 0,
+        right: 0,
+        alignItems: 'center',
+        zIndex: 20,
+    },
+    sliceTooltipText: {
+        maxWidth: 260,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        overflow: 'hidden',
+        backgroundColor: 'rgba(0,0,0,0.75)',
+        color: 'white',
+        fontSize: 15,
+        fontWeight: 'bold',
+        textAlign: 'center',
+    },
+    modeSelector: {
+        marginTop: 10,
+        marginBottom: 10,
+    },
+    eliminationStatus: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    eliminationStatusText: {
+        fontSize: 14,
+        color: '#555',
+    },
+    restoreButtonTouch: {
+        marginStart: 10,
+        paddingVertical: 2,
+        paddingHorizontal: 6,
+    },
+    restoreButton: {
+        color: '#007BFF',
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    seedRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    seedLabel: {
+        fontSize: 14,
+        color: '#555',
+        marginEnd: 8,
+    },
+    seedInput: {
+        width: 220,
+        borderWidth: 1,
+        borderColor: '#D1D9E6',
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+        borderRadius: 6,
+        fontSize: 13,
+        backgroundColor: '#FFFFFF',
     },
     spinButton: {
         backgroundColor: '#FF6347',
@@ -659,6 +2321,9 @@ const styles = StyleSheet.create({
         shadowRadius: 5,
         elevation: 8,
     },
+    spinButtonBusy: {
+        opacity: 0.6,
+    },
     spinButtonTablet: {
         paddingVertical: 15,
         paddingHorizontal: 40,
@@ -683,6 +2348,25 @@ const styles = StyleSheet.create({
     buttonTextDesktop: {
         fontSize: 22,
     },
+    toolbar: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        marginTop: -10,
+        marginBottom: 10,
+    },
+    toolbarButton: {
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+    },
+    toolbarButtonText: {
+        color: '#007BFF',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    toolbarButtonTextTablet: {
+        fontSize: 16,
+    },
     inputSection: {
         flexDirection: 'row',
         marginBottom: 15,
@@ -710,7 +2394,7 @@ const styles = StyleSheet.create({
         borderColor: '#D1D9E6',
         padding: 10,
         borderRadius: 8,
-        marginRight: 8,
+        marginEnd: 8,
         fontSize: 14,
         backgroundColor: '#FFFFFF',
         shadowColor: '#000',
@@ -723,13 +2407,13 @@ const styles = StyleSheet.create({
         padding: 12,
         borderRadius: 10,
         fontSize: 16,
-        marginRight: 10,
+        marginEnd: 10,
     },
     inputDesktop: {
         padding: 14,
         borderRadius: 12,
         fontSize: 18,
-        marginRight: 12,
+        marginEnd: 12,
     },
     submitButton: {
         backgroundColor: '#007BFF',
@@ -753,6 +2437,22 @@ const styles = StyleSheet.create({
         paddingHorizontal: 24,
         borderRadius: 12,
     },
+    listToolbar: {
+        width: '95%',
+        maxWidth: 500,
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'flex-end',
+        marginBottom: 4,
+    },
+    listToolbarTouch: {
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+    },
+    listToolbarText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
     optionsList: {
         width: '95%',
         maxWidth: 500,
@@ -792,6 +2492,34 @@ const styles = StyleSheet.create({
         borderBottomWidth: 1,
         borderBottomColor: '#F0F3F9',
     },
+    optionItemEliminated: {
+        opacity: 0.45,
+    },
+    optionNameTouch: {
+        flex: 1,
+        paddingVertical: 2,
+    },
+    renameInput: {
+        flex: 1,
+        borderBottomWidth: 1,
+        paddingVertical: 2,
+    },
+    checkboxTouch: {
+        paddingVertical: 2,
+        paddingHorizontal: 8,
+    },
+    checkbox: {
+        fontSize: 20,
+    },
+    eliminatedBadge: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#FF6347',
+        marginEnd: 8,
+    },
+    childWheelBadge: {
+        maxWidth: 110,
+    },
     optionItemTablet: {
         paddingVertical: 10,
         paddingHorizontal: 15,
@@ -804,15 +2532,51 @@ const styles = StyleSheet.create({
         fontSize: 14,
         color: '#333',
         flexShrink: 1,
-        marginRight: 8,
+        marginEnd: 8,
     },
     optionItemTextTablet: {
         fontSize: 16,
-        marginRight: 10,
+        marginEnd: 10,
     },
     optionItemTextDesktop: {
         fontSize: 18,
-        marginRight: 12,
+        marginEnd: 12,
+    },
+    colorDotTouch: {
+        paddingVertical: 4,
+        paddingEnd: 8,
+    },
+    colorDot: {
+        width: 14,
+        height: 14,
+        borderRadius: 7,
+    },
+    weightControl: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginStart: 'auto',
+        marginEnd: 8,
+    },
+    weightButtonTouch: {
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+    },
+    weightButton: {
+        color: '#007BFF',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    weightText: {
+        minWidth: 28,
+        textAlign: 'center',
+        fontSize: 13,
+        color: '#555',
+    },
+    weightTextTablet: {
+        fontSize: 15,
+    },
+    weightTextDesktop: {
+        fontSize: 16,
     },
     removeButtonTouch: {
         padding: 4,
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { ASSIGNMENT_MODES, MIN_TEAMS, parseRoles } from '../utils/assignments';
+import { modalStyles } from './CustomAlertModal';
+import SegmentedControl from './SegmentedControl';
+
+const MODE_CHOICES = [
+    { value: ASSIGNMENT_MODES.teams, labelKey: 'assign.modes.teams' },
+    { value: ASSIGNMENT_MODES.winners, labelKey: 'assign.modes.winners' },
+    { value: ASSIGNMENT_MODES.roles, labelKey: 'assign.modes.roles' },
+];
+
+const MODE_DESCRIPTIONS = {
+    [ASSIGNMENT_MODES.teams]: 'assign.descriptions.teams',
+    [ASSIGNMENT_MODES.winners]: 'assign.descriptions.winners',
+    [ASSIGNMENT_MODES.roles]: 'assign.descriptions.roles',
+};
+
+export const DEFAULT_ASSIGNMENT_SETTINGS = {
+    mode: ASSIGNMENT_MODES.teams,
+    teamCount: MIN_TEAMS,
+    winnerCount: 1,
+    rolesText: '',
+};
+
+// Sets up a round of draws that treats the options as people
+const AssignModal = ({ isVisible, peopleCount, initialSettings, onStart, onCancel }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [draft, setDraft] = useState(DEFAULT_ASSIGNMENT_SETTINGS);
+
+    // Start from the wheel's last setup every time the dialog opens
+    useEffect(() => {
+        if (isVisible) {
+            setDraft({ ...DEFAULT_ASSIGNMENT_SETTINGS, ...initialSettings });
+        }
+    }, [isVisible, initialSettings]);
+
+    const update = changes => setDraft(current => ({ ...current, ...changes }));
+
+    const roles = parseRoles(draft.rolesText);
+    const count = draft.mode === ASSIGNMENT_MODES.teams ? draft.teamCount : draft.winnerCount;
+    const minCount = draft.mode === ASSIGNMENT_MODES.teams ? MIN_TEAMS : 1;
+    const maxCount = Math.max(minCount, peopleCount);
+    const countKey = draft.mode === ASSIGNMENT_MODES.teams ? 'teamCount' : 'winnerCount';
+
+    const problem = (() => {
+        if (peopleCount < 2) {
+            return t('assign.needTwo');
+        }
+        if (draft.mode === ASSIGNMENT_MODES.roles && roles.length === 0) {
+            return t('assign.needRoles');
+        }
+        return null;
+    })();
+
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onCancel}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}>
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>{t('assign.title')}</Text>
+                    <SegmentedControl
+                        choices={MODE_CHOICES.map(({ value, labelKey }) => ({ value, label: t(labelKey) }))}
+                        value={draft.mode}
+                        onChange={mode => update({ mode })}
+                    />
+                    <Text style={[assignStyles.description, { color: theme.textSecondary }]}>
+                        {t(MODE_DESCRIPTIONS[draft.mode])}
+                    </Text>
+
+                    {draft.mode === ASSIGNMENT_MODES.roles ? (
+                        <TextInput
+                            style={[
+                                assignStyles.rolesInput,
+                                { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                            ]}
+                            value={draft.rolesText}
+                            onChangeText={rolesText => update({ rolesText })}
+                            placeholder={t('assign.rolesPlaceholder')}
+                            placeholderTextColor={theme.placeholder}
+                            multiline
+                            textAlignVertical="top"
+                        />
+                    ) : (
+                        <View style={assignStyles.row}>
+                            <Text style={[assignStyles.rowLabel, { color: theme.text }]}>
+                                {draft.mode === ASSIGNMENT_MODES.teams ? t('assign.modes.teams') : t('assign.modes.winners')}
+                            </Text>
+                            <TouchableOpacity
+                                style={assignStyles.stepperTouch}
+                                onPress={() => update({ [countKey]: Math.max(minCount, count - 1) })}
+                                disabled={count <= minCount}
+                            >
+                                <Text style={[assignStyles.stepper, { color: count <= minCount ? theme.disabled : theme.primary }]}>−</Text>
+                            </TouchableOpacity>
+                            <Text style={[assignStyles.stepperValue, { color: theme.text }]}>{count}</Text>
+                            <TouchableOpacity
+                                style={assignStyles.stepperTouch}
+                                onPress={() => update({ [countKey]: Math.min(maxCount, count + 1) })}
+                                disabled={count >= maxCount}
+                            >
+                                <Text style={[assignStyles.stepper, { color: count >= maxCount ? theme.disabled : theme.primary }]}>+</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    {!!problem && <Text style={[assignStyles.problem, { color: theme.danger }]}>{problem}</Text>}
+
+                    <View style={modalStyles.buttonContainer}>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonCancel]}
+                            onPress={onCancel}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.cancel')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonConfirm, !!problem && assignStyles.buttonDisabled]}
+                            onPress={() => onStart({ ...draft, [countKey]: Math.min(count, maxCount) })}
+                            disabled={!!problem}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('assign.start')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const assignStyles = StyleSheet.create({
+    description: {
+        fontSize: 14,
+        textAlign: 'center',
+        marginTop: 10,
+        marginBottom: 10,
+    },
+    rolesInput: {
+        width: '100%',
+        minHeight: 70,
+        borderWidth: 1,
+        borderRadius: 8,
+        padding: 8,
+        fontSize: 15,
+        marginBottom: 10,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    rowLabel: {
+        fontSize: 15,
+        marginEnd: 8,
+    },
+    stepperTouch: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+    },
+    stepper: {
+        fontSize: 20,
+        fontWeight: 'bold',
+    },
+    stepperValue: {
+        minWidth: 30,
+        textAlign: 'center',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    problem: {
+        fontSize: 14,
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    buttonDisabled: {
+        opacity: 0.5,
+    },
+});
+
+export default AssignModal;
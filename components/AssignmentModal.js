@@ -0,0 +1,166 @@
+import * as Clipboard from 'expo-clipboard';
+import React, { useEffect, useState } from 'react';
+import { Modal, Platform, ScrollView, Share, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { ASSIGNMENT_MODES, formatAssignment } from '../utils/assignments';
+import { downloadFile } from '../utils/download';
+import { FORMATS } from '../utils/importExport';
+
+const TITLES = {
+    [ASSIGNMENT_MODES.teams]: 'assign.modes.teams',
+    [ASSIGNMENT_MODES.winners]: 'assign.modes.winners',
+    [ASSIGNMENT_MODES.roles]: 'assign.modes.roles',
+};
+
+// The full table once every draw of an assignment round has been spun
+const AssignmentModal = ({ isVisible, assignment, wheelName, onClose }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        setCopied(false);
+    }, [assignment]);
+
+    if (!assignment) {
+        return null;
+    }
+
+    const title = t(TITLES[assignment.mode]);
+    // A seeded round can be re-run from its seed and options hash
+    const proofText = assignment.proof
+        ? t('result.proof', { seed: assignment.proof.seed, hash: assignment.proof.optionsHash })
+        : '';
+
+    const copyTable = async () => {
+        await Clipboard.setStringAsync([formatAssignment(assignment, FORMATS.text), proofText].filter(Boolean).join('\n\n'));
+        setCopied(true);
+    };
+
+    // A CSV file on the web; native builds hand the table to the share sheet
+    const exportTable = async () => {
+        if (Platform.OS === 'web') {
+            downloadFile(`${wheelName} ${title.toLowerCase()}.csv`, formatAssignment(assignment, FORMATS.csv));
+            return;
+        }
+        await Share.share({ title: `${wheelName}: ${title}`, message: formatAssignment(assignment, FORMATS.text) });
+    };
+
+    return (
+        <Modal
+            animationType="slide"
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[assignmentStyles.container, { backgroundColor: theme.background, direction }]}>
+                <View style={assignmentStyles.headerRow}>
+                    <Text style={[assignmentStyles.title, { color: theme.text }]}>{title}</Text>
+                    <TouchableOpacity onPress={onClose} style={assignmentStyles.closeTouch}>
+                        <Text style={[assignmentStyles.closeText, { color: theme.primary }]}>{t('common.done')}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView style={assignmentStyles.content}>
+                    {assignment.groups.map(group => (
+                        <View
+                            key={group.label}
+                            style={[assignmentStyles.group, { backgroundColor: theme.surface, borderColor: theme.borderMuted }]}
+                        >
+                            <Text style={[assignmentStyles.groupLabel, { color: theme.textSecondary }]}>{group.label}</Text>
+                            {group.members.length === 0 ? (
+                                <Text style={[assignmentStyles.member, { color: theme.textMuted }]}>{t('assign.nobody')}</Text>
+                            ) : group.members.map((name, index) => (
+                                <Text key={`${name}-${index}`} style={[assignmentStyles.member, { color: theme.text }]}>
+                                    {assignment.mode === ASSIGNMENT_MODES.winners ? `${index + 1}. ${name}` : name}
+                                </Text>
+                            ))}
+                        </View>
+                    ))}
+                    {!!proofText && (
+                        <Text style={[assignmentStyles.proof, { color: theme.textMuted }]}>{proofText}</Text>
+                    )}
+                </ScrollView>
+
+                <View style={assignmentStyles.actionRow}>
+                    <TouchableOpacity style={[assignmentStyles.actionButton, { backgroundColor: theme.primary }]} onPress={copyTable}>
+                        <Text style={assignmentStyles.actionButtonText}>{copied ? t('common.copied') : t('common.copy')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[assignmentStyles.actionButton, { backgroundColor: theme.primary }]} onPress={exportTable}>
+                        <Text style={assignmentStyles.actionButtonText}>{Platform.OS === 'web' ? t('assign.downloadCsv') : t('assign.share')}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const assignmentStyles = StyleSheet.create({
+    container: {
+        flex: 1,
+        paddingTop: 20,
+        paddingHorizontal: 15,
+        alignItems: 'center',
+    },
+    headerRow: {
+        width: '100%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+    },
+    closeTouch: {
+        padding: 6,
+    },
+    closeText: {
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    content: {
+        width: '100%',
+        maxWidth: 700,
+    },
+    group: {
+        borderWidth: 1,
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 10,
+    },
+    groupLabel: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        marginBottom: 6,
+    },
+    member: {
+        fontSize: 16,
+        paddingVertical: 2,
+    },
+    proof: {
+        fontSize: 12,
+        textAlign: 'center',
+        marginVertical: 6,
+    },
+    actionRow: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        paddingVertical: 15,
+    },
+    actionButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 24,
+        borderRadius: 8,
+        marginHorizontal: 6,
+    },
+    actionButtonText: {
+        color: 'white',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default AssignmentModal;
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { modalStyles } from './CustomAlertModal';
+
+export const MIN_COMBO_WHEELS = 2;
+
+// Picks the saved wheels that spin together. They spin in the order picked,
+// which is also the order of the combined result
+const ComboModal = ({ isVisible, wheels, selectedIds, onSave, onCancel }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [draftIds, setDraftIds] = useState([]);
+
+    useEffect(() => {
+        if (isVisible) {
+            setDraftIds(selectedIds.filter(id => wheels.some(wheel => wheel.id === id)));
+        }
+    }, [isVisible, selectedIds, wheels]);
+
+    const toggleWheel = (wheelId) => {
+        setDraftIds(current => (
+            current.includes(wheelId) ? current.filter(id => id !== wheelId) : [...current, wheelId]
+        ));
+    };
+
+    const canSave = draftIds.length >= MIN_COMBO_WHEELS;
+
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onCancel}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}>
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>{t('combo.title')}</Text>
+                    <Text style={[comboStyles.description, { color: theme.textSecondary }]}>
+                        {t('combo.description')}
+                    </Text>
+
+                    <ScrollView style={comboStyles.list}>
+                        {wheels.map((wheel) => {
+                            const position = draftIds.indexOf(wheel.id);
+                            return (
+                                <TouchableOpacity
+                                    key={wheel.id}
+                                    style={[comboStyles.row, { borderBottomColor: theme.borderMuted }]}
+                                    onPress={() => toggleWheel(wheel.id)}
+                                >
+                                    <View style={[
+                                        comboStyles.badge,
+                                        { borderColor: theme.primary },
+                                        position >= 0 && { backgroundColor: theme.primary }
+                                    ]}>
+                                        <Text style={comboStyles.badgeText}>{position >= 0 ? position + 1 : ''}</Text>
+                                    </View>
+                                    <Text style={[comboStyles.wheelName, { color: theme.text }]} numberOfLines={1}>
+                                        {wheel.name}
+                                    </Text>
+                                    <Text style={[comboStyles.optionCount, { color: theme.textMuted }]}>
+                                        {t('history.optionCount', { count: wheel.options.length })}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </ScrollView>
+
+                    {!canSave && (
+                        <Text style={[comboStyles.hint, { color: theme.textMuted }]}>
+                            {t('combo.pickAtLeast', { count: MIN_COMBO_WHEELS })}
+                        </Text>
+                    )}
+
+                    {selectedIds.length > 0 && (
+                        <TouchableOpacity style={comboStyles.linkTouch} onPress={() => onSave([])}>
+                            <Text style={[comboStyles.linkText, { color: theme.primary }]}>{t('combo.single')}</Text>
+                        </TouchableOpacity>
+                    )}
+
+                    <View style={modalStyles.buttonContainer}>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonCancel]}
+                            onPress={onCancel}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.cancel')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonConfirm, !canSave && comboStyles.buttonDisabled]}
+                            onPress={() => onSave(draftIds)}
+                            disabled={!canSave}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('combo.spin')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const comboStyles = StyleSheet.create({
+    description: {
+        fontSize: 14,
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    list: {
+        width: '100%',
+        maxHeight: 300,
+        marginBottom: 10,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+    },
+    badge: {
+        width: 24,
+        height: 24,
+        borderRadius: 12,
+        borderWidth: 2,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginEnd: 10,
+    },
+    badgeText: {
+        color: 'white',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+    wheelName: {
+        flex: 1,
+        fontSize: 16,
+    },
+    optionCount: {
+        fontSize: 13,
+        marginStart: 8,
+    },
+    hint: {
+        fontSize: 14,
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    linkTouch: {
+        paddingVertical: 6,
+        marginBottom: 10,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    buttonDisabled: {
+        opacity: 0.5,
+    },
+});
+
+export default ComboModal;
@@ -0,0 +1,78 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Animated, Dimensions, Easing, StyleSheet, View } from 'react-native';
+
+const PIECE_COUNT = 40;
+
+// Pieces falling from the top of the screen, once each time it is shown
+const Confetti = ({ colors }) => {
+    const progress = useRef(new Animated.Value(0)).current;
+    const { width, height } = Dimensions.get('window');
+
+    const pieces = useMemo(() => Array.from({ length: PIECE_COUNT }, (_, index) => ({
+        left: Math.random() * width,
+        drift: (Math.random() - 0.5) * 120,
+        turns: 1 + Math.random() * 3,
+        delay: Math.random() * 0.3,
+        size: 6 + Math.random() * 6,
+        color: colors[index % colors.length],
+    })), [colors, width]);
+
+    useEffect(() => {
+        progress.setValue(0);
+        const animation = Animated.timing(progress, {
+            toValue: 1,
+            duration: 2600,
+            easing: Easing.in(Easing.quad),
+            useNativeDriver: true,
+        });
+        animation.start();
+        return () => animation.stop();
+    }, [progress]);
+
+    return (
+        <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+            {pieces.map((piece, index) => {
+                // Each piece waits for its delay, then falls past the bottom edge
+                const fall = progress.interpolate({
+                    inputRange: [0, piece.delay, 1],
+                    outputRange: [0, 0, 1],
+                });
+                return (
+                    <Animated.View
+                        key={index}
+                        style={[
+                            confettiStyles.piece,
+                            {
+                                left: piece.left,
+                                width: piece.size,
+                                height: piece.size * 0.5,
+                                backgroundColor: piece.color,
+                                opacity: progress.interpolate({ inputRange: [0, 0.85, 1], outputRange: [1, 1, 0] }),
+                                transform: [
+                                    { translateY: fall.interpolate({ inputRange: [0, 1], outputRange: [-20, height + 20] }) },
+                                    { translateX: fall.interpolate({ inputRange: [0, 1], outputRange: [0, piece.drift] }) },
+                                    {
+                                        rotate: fall.interpolate({
+                                            inputRange: [0, 1],
+                                            outputRange: ['0deg', `${piece.turns * 360}deg`],
+                                        }),
+                                    },
+                                ],
+                            },
+                        ]}
+                    />
+                );
+            })}
+        </View>
+    );
+};
+
+const confettiStyles = StyleSheet.create({
+    piece: {
+        position: 'absolute',
+        top: 0,
+        borderRadius: 1,
+    },
+});
+
+export default Confetti;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useDialogFocus from '../hooks/useDialogFocus';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+
+// Custom Alert Modal Component
+const CustomAlertModal = ({ isVisible, title, message, onConfirm, onCancel, showCancelButton = false }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    // Focus starts on Cancel when there is one, so a stray Enter can't confirm a deletion
+    const { targetRef, onShow } = useDialogFocus();
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={showCancelButton ? onCancel : onConfirm}
+            onShow={onShow}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View
+                    style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}
+                    accessibilityRole="alert"
+                    accessibilityViewIsModal={true}
+                >
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>{title}</Text>
+                    <Text style={[modalStyles.modalMessage, { color: theme.textSecondary }]}>{message}</Text>
+                    <View style={modalStyles.buttonContainer}>
+                        {showCancelButton && (
+                            <TouchableOpacity
+                                ref={targetRef}
+                                style={[modalStyles.button, modalStyles.buttonCancel]}
+                                onPress={onCancel}
+                                accessibilityRole="button"
+                            >
+                                <Text style={modalStyles.textStyle}>{t('common.cancel')}</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity
+                            ref={showCancelButton ? undefined : targetRef}
+                            style={[modalStyles.button, modalStyles.buttonConfirm]}
+                            onPress={onConfirm}
+                            accessibilityRole="button"
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.ok')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+// Styles for the Custom Alert Modal, shared by the other dialogs
+export const modalStyles = StyleSheet.create({
+    centeredView: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+    },
+    modalView: {
+        margin: 20,
+        backgroundColor: 'white',
+        borderRadius: 10,
+        padding: 30,
+        alignItems: 'center',
+        shadowColor: '#000',
+        shadowOffset: {
+            width: 0,
+            height: 2,
+        },
+        shadowOpacity: 0.25,
+        shadowRadius: 4,
+        elevation: 5,
+        width: '80%',
+        maxWidth: 400,
+    },
+    modalTitle: {
+        marginBottom: 15,
+        textAlign: 'center',
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    modalMessage: {
+        marginBottom: 20,
+        textAlign: 'center',
+        fontSize: 16,
+        color: '#555',
+    },
+    buttonContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        width: '100%',
+    },
+    button: {
+        borderRadius: 20,
+        padding: 10,
+        elevation: 2,
+        minWidth: 90,
+        alignItems: 'center',
+    },
+    buttonConfirm: {
+        backgroundColor: '#2196F3',
+    },
+    buttonCancel: {
+        backgroundColor: '#f44336',
+        marginEnd: 10,
+    },
+    textStyle: {
+        color: 'white',
+        fontWeight: 'bold',
+        textAlign: 'center',
+    },
+});
+
+export default CustomAlertModal;
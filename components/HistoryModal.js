@@ -0,0 +1,281 @@
+import React, { useMemo, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { computeHistoryStats } from '../utils/historyStats';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatTimestamp = (timestamp, language) => new Date(timestamp).toLocaleString(language);
+
+// Results reached through sub-wheels show every pick on the way down
+const formatWinnerPath = (entry) => [...(entry.path || []).map(step => step.winnerName), entry.winnerName].join(' › ');
+
+// Past results and per-option statistics for the spin history
+const HistoryModal = ({ isVisible, entries, activeWheel, onClear, onClose }) => {
+    const theme = useTheme();
+    const { t, language, direction } = useI18n();
+    const [showAllWheels, setShowAllWheels] = useState(false);
+
+    const scopedEntries = useMemo(
+        () => (showAllWheels ? entries : entries.filter(entry => entry.wheelId === activeWheel.id)),
+        [entries, activeWheel.id, showAllWheels]
+    );
+    const stats = useMemo(() => computeHistoryStats(scopedEntries), [scopedEntries]);
+
+    return (
+        <Modal
+            animationType="slide"
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[historyStyles.container, { backgroundColor: theme.background, direction }]}>
+                <View style={historyStyles.headerRow}>
+                    <Text style={[historyStyles.title, { color: theme.text }]}>{t('history.title')}</Text>
+                    <TouchableOpacity onPress={onClose} style={historyStyles.closeTouch}>
+                        <Text style={[historyStyles.closeText, { color: theme.primary }]}>{t('common.done')}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <View style={historyStyles.scopeRow}>
+                    {[false, true].map(allWheels => (
+                        <TouchableOpacity
+                            key={String(allWheels)}
+                            style={[
+                                historyStyles.scopeButton,
+                                { backgroundColor: theme.surface, borderColor: theme.border },
+                                showAllWheels === allWheels && { backgroundColor: theme.primary, borderColor: theme.primary }
+                            ]}
+                            onPress={() => setShowAllWheels(allWheels)}
+                        >
+                            <Text style={[
+                                historyStyles.scopeText,
+                                { color: theme.text },
+                                showAllWheels === allWheels && historyStyles.scopeTextActive
+                            ]}>
+                                {allWheels ? t('history.allWheels') : activeWheel.name}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <ScrollView style={historyStyles.content}>
+                    {stats.totalSpins === 0 ? (
+                        <Text style={[historyStyles.emptyText, { color: theme.textMuted }]}>{t('history.empty')}</Text>
+                    ) : (
+                        <>
+                            <Text style={[historyStyles.sectionTitle, { color: theme.text }]}>
+                                {t('history.statistics', { count: stats.totalSpins })}
+                            </Text>
+                            {stats.isDrifting ? (
+                                <Text style={[historyStyles.driftBanner, historyStyles.driftBannerWarning]}>
+                                    {t('history.drifting')}
+                                </Text>
+                            ) : (
+                                <Text style={[
+                                    historyStyles.driftBanner,
+                                    { backgroundColor: theme.surfaceMuted, color: theme.textSecondary }
+                                ]}>
+                                    {stats.hasEnoughSpins
+                                        ? t('history.inLine')
+                                        : t('history.needMoreSpins')}
+                                </Text>
+                            )}
+                            <View style={[historyStyles.statRow, { backgroundColor: theme.surfaceMuted, borderBottomColor: theme.surfaceMuted }]}>
+                                <Text style={[historyStyles.statName, historyStyles.statHeaderText, { color: theme.textSecondary }]}>{t('history.option')}</Text>
+                                <Text style={[historyStyles.statCell, historyStyles.statHeaderText, { color: theme.textSecondary }]}>{t('history.wins')}</Text>
+                                <Text style={[historyStyles.statCell, historyStyles.statHeaderText, { color: theme.textSecondary }]}>{t('history.actual')}</Text>
+                                <Text style={[historyStyles.statCell, historyStyles.statHeaderText, { color: theme.textSecondary }]}>{t('history.expected')}</Text>
+                            </View>
+                            {stats.options.map(option => (
+                                <View key={option.id} style={[historyStyles.statRow, { backgroundColor: theme.surface, borderBottomColor: theme.surfaceMuted }]}>
+                                    <Text style={[historyStyles.statName, { color: theme.text }]} numberOfLines={1}>
+                                        {option.isDrifting ? '⚠ ' : ''}{option.name}
+                                    </Text>
+                                    <Text style={[historyStyles.statCell, { color: theme.text }]}>{option.wins}</Text>
+                                    <Text style={[historyStyles.statCell, { color: theme.text }, option.isDrifting && historyStyles.statCellDrifting]}>
+                                        {formatPercent(option.frequency)}
+                                    </Text>
+                                    <Text style={[historyStyles.statCell, { color: theme.text }]}>{formatPercent(option.expectedFrequency)}</Text>
+                                </View>
+                            ))}
+
+                            <Text style={[historyStyles.sectionTitle, { color: theme.text }]}>{t('history.pastResults')}</Text>
+                            {scopedEntries.map(entry => (
+                                <View key={entry.id} style={[historyStyles.entryRow, { backgroundColor: theme.surface, borderBottomColor: theme.surfaceMuted }]}>
+                                    <Text style={[historyStyles.entryWinner, { color: theme.text }]}>
+                                        {formatWinnerPath(entry)}
+                                        {!!entry.decision && (
+                                            <Text style={{ color: entry.decision === 'vetoed' ? theme.danger : theme.primary }}>
+                                                {`  ${entry.decision === 'vetoed' ? t('history.vetoed') : t('history.accepted')}`}
+                                            </Text>
+                                        )}
+                                    </Text>
+                                    <Text style={[historyStyles.entryMeta, { color: theme.textMuted }]}>
+                                        {[
+                                            formatTimestamp(entry.timestamp, language),
+                                            entry.wheelName,
+                                            t('history.optionCount', { count: entry.options.length }),
+                                        ].join(' · ')}
+                                    </Text>
+                                    {!!entry.seed && (
+                                        <Text style={[historyStyles.entryMeta, { color: theme.textMuted }]}>
+                                            {t('history.proof', { seed: entry.seed, hash: entry.optionsHash })}
+                                        </Text>
+                                    )}
+                                </View>
+                            ))}
+
+                            <TouchableOpacity
+                                style={historyStyles.clearButton}
+                                onPress={() => onClear(showAllWheels ? null : activeWheel.id)}
+                            >
+                                <Text style={[historyStyles.clearText, { color: theme.danger }]}>
+                                    {showAllWheels ? t('history.clearAll') : t('history.clearWheel', { name: activeWheel.name })}
+                                </Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const historyStyles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7F9FC',
+        paddingTop: 20,
+        paddingHorizontal: 15,
+        alignItems: 'center',
+    },
+    headerRow: {
+        width: '100%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    closeTouch: {
+        padding: 6,
+    },
+    closeText: {
+        fontSize: 16,
+        color: '#007BFF',
+        fontWeight: 'bold',
+    },
+    scopeRow: {
+        flexDirection: 'row',
+        marginBottom: 10,
+    },
+    scopeButton: {
+        paddingVertical: 6,
+        paddingHorizontal: 14,
+        marginHorizontal: 4,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#D1D9E6',
+        backgroundColor: '#FFFFFF',
+    },
+    scopeText: {
+        fontSize: 14,
+        color: '#333',
+    },
+    scopeTextActive: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    content: {
+        width: '100%',
+        maxWidth: 700,
+    },
+    emptyText: {
+        textAlign: 'center',
+        padding: 20,
+        color: '#888',
+        fontSize: 14,
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: 'bold',
+        color: '#333',
+        marginTop: 15,
+        marginBottom: 8,
+    },
+    driftBanner: {
+        fontSize: 14,
+        color: '#555',
+        backgroundColor: '#E6EBF5',
+        borderRadius: 8,
+        padding: 10,
+        marginBottom: 10,
+    },
+    driftBannerWarning: {
+        color: '#8A4B00',
+        backgroundColor: '#FFF3CD',
+    },
+    statRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        paddingHorizontal: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F3F9',
+        backgroundColor: 'white',
+    },
+    statHeaderText: {
+        fontWeight: 'bold',
+        color: '#555',
+    },
+    statName: {
+        flex: 1,
+        fontSize: 14,
+        color: '#333',
+    },
+    statCell: {
+        width: 70,
+        textAlign: 'right',
+        fontSize: 14,
+        color: '#333',
+    },
+    statCellDrifting: {
+        color: '#D9534F',
+        fontWeight: 'bold',
+    },
+    entryRow: {
+        paddingVertical: 8,
+        paddingHorizontal: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F3F9',
+        backgroundColor: 'white',
+    },
+    entryWinner: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    entryMeta: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 2,
+    },
+    clearButton: {
+        alignSelf: 'center',
+        marginVertical: 20,
+        padding: 8,
+    },
+    clearText: {
+        color: 'red',
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+});
+
+export default HistoryModal;
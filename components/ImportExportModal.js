@@ -0,0 +1,300 @@
+import * as Clipboard from 'expo-clipboard';
+import React, { useEffect, useState } from 'react';
+import { Modal, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { downloadFile } from '../utils/download';
+import {
+    EXPORT_FILE_EXTENSIONS,
+    exportWheel,
+    FORMATS,
+    mergeImportedOptions,
+    parseImport,
+} from '../utils/importExport';
+import SegmentedControl from './SegmentedControl';
+
+const TABS = [
+    { value: 'import', labelKey: 'importExport.import' },
+    { value: 'export', labelKey: 'importExport.export' },
+];
+
+const IMPORT_FORMAT_CHOICES = [
+    { value: FORMATS.auto, labelKey: 'importExport.auto' },
+    { value: FORMATS.text, labelKey: 'importExport.text' },
+    { value: FORMATS.csv, labelKey: 'importExport.csv' },
+    { value: FORMATS.json, labelKey: 'importExport.json' },
+];
+
+const EXPORT_FORMAT_CHOICES = [
+    { value: FORMATS.json, labelKey: 'importExport.json' },
+    { value: FORMATS.csv, labelKey: 'importExport.csv' },
+    { value: FORMATS.text, labelKey: 'importExport.text' },
+];
+
+const IMPORT_TARGET_CHOICES = [
+    { value: 'current', labelKey: 'importExport.addToWheel' },
+    { value: 'new', labelKey: 'importExport.newWheel' },
+];
+
+const describeImportResult = ({ added, skipped }, t) => {
+    const lines = [t('importExport.added', { count: added.length })];
+    if (skipped.length > 0) {
+        lines.push(t('importExport.skipped', {
+            count: skipped.length,
+            names: skipped.map(name => `'${name}'`).join(t('common.listSeparator')),
+        }));
+    }
+    return lines.join('\n');
+};
+
+// Paste-many, import and export of a wheel's options as plain text, CSV or JSON
+const ImportExportModal = ({ isVisible, wheel, onApplyImport, onClose }) => {
+    const theme = useTheme();
+    const { t, language, direction } = useI18n();
+    const translateChoices = choices => choices.map(({ value, labelKey }) => ({ value, label: t(labelKey) }));
+    const [tab, setTab] = useState('import');
+    const [importText, setImportText] = useState('');
+    const [importFormat, setImportFormat] = useState(FORMATS.auto);
+    const [importTarget, setImportTarget] = useState('current');
+    const [importReport, setImportReport] = useState(null);
+    const [exportFormat, setExportFormat] = useState(FORMATS.json);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        if (isVisible) {
+            setImportText('');
+            setImportReport(null);
+            setCopied(false);
+        }
+    }, [isVisible]);
+
+    const exportText = exportWheel(wheel, exportFormat);
+
+    const runImport = () => {
+        let parsed;
+        try {
+            parsed = parseImport(importText, importFormat);
+        } catch (error) {
+            setImportReport({
+                isError: true,
+                message: t('importExport.readError', {
+                    error: error.code ? t(`importExport.errors.${error.code}`) : error.message,
+                }),
+            });
+            return;
+        }
+
+        const asNewWheel = importTarget === 'new';
+        const result = mergeImportedOptions(asNewWheel ? [] : wheel.options, parsed.options, language);
+        if (result.added.length > 0) {
+            onApplyImport({ options: result.options, name: parsed.name, asNewWheel });
+            setImportText('');
+        }
+        setImportReport({ isError: result.added.length === 0, message: describeImportResult(result, t) });
+    };
+
+    const copyExport = async () => {
+        await Clipboard.setStringAsync(exportText);
+        setCopied(true);
+    };
+
+    return (
+        <Modal
+            animationType="slide"
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[importExportStyles.container, { backgroundColor: theme.background, direction }]}>
+                <View style={importExportStyles.headerRow}>
+                    <Text style={[importExportStyles.title, { color: theme.text }]}>{t('importExport.title')}</Text>
+                    <TouchableOpacity onPress={onClose} style={importExportStyles.closeTouch}>
+                        <Text style={[importExportStyles.closeText, { color: theme.primary }]}>{t('common.done')}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <SegmentedControl choices={translateChoices(TABS)} value={tab} onChange={setTab} />
+
+                <ScrollView style={importExportStyles.content}>
+                    {tab === 'import' ? (
+                        <>
+                            <Text style={[importExportStyles.hint, { color: theme.textSecondary }]}>
+                                {t('importExport.hint')}
+                            </Text>
+                            <SegmentedControl
+                                choices={translateChoices(IMPORT_FORMAT_CHOICES)}
+                                value={importFormat}
+                                onChange={setImportFormat}
+                                style={importExportStyles.control}
+                            />
+                            <SegmentedControl
+                                choices={translateChoices(IMPORT_TARGET_CHOICES)}
+                                value={importTarget}
+                                onChange={setImportTarget}
+                                style={importExportStyles.control}
+                            />
+                            <TextInput
+                                style={[
+                                    importExportStyles.textArea,
+                                    { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                                ]}
+                                multiline
+                                value={importText}
+                                onChangeText={(text) => {
+                                    setImportText(text);
+                                    setImportReport(null);
+                                }}
+                                placeholder={t('importExport.placeholder')}
+                                placeholderTextColor={theme.placeholder}
+                                textAlignVertical="top"
+                                autoCapitalize="none"
+                            />
+                            {importReport && (
+                                <Text style={[
+                                    importExportStyles.report,
+                                    importReport.isError && importExportStyles.reportError
+                                ]}>
+                                    {importReport.message}
+                                </Text>
+                            )}
+                            <TouchableOpacity
+                                style={[
+                                    importExportStyles.actionButton,
+                                    { backgroundColor: theme.primary },
+                                    !importText.trim() && importExportStyles.actionButtonDisabled
+                                ]}
+                                onPress={runImport}
+                                disabled={!importText.trim()}
+                            >
+                                <Text style={importExportStyles.actionButtonText}>{t('importExport.import')}</Text>
+                            </TouchableOpacity>
+                        </>
+                    ) : (
+                        <>
+                            <SegmentedControl
+                                choices={translateChoices(EXPORT_FORMAT_CHOICES)}
+                                value={exportFormat}
+                                onChange={(format) => {
+                                    setExportFormat(format);
+                                    setCopied(false);
+                                }}
+                                style={importExportStyles.control}
+                            />
+                            <TextInput
+                                style={[
+                                    importExportStyles.textArea,
+                                    { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                                ]}
+                                multiline
+                                editable={false}
+                                value={exportText}
+                                textAlignVertical="top"
+                            />
+                            <View style={importExportStyles.actionRow}>
+                                <TouchableOpacity style={[importExportStyles.actionButton, { backgroundColor: theme.primary }]} onPress={copyExport}>
+                                    <Text style={importExportStyles.actionButtonText}>{copied ? t('common.copied') : t('common.copy')}</Text>
+                                </TouchableOpacity>
+                                {Platform.OS === 'web' && (
+                                    <TouchableOpacity
+                                        style={[importExportStyles.actionButton, { backgroundColor: theme.primary }]}
+                                        onPress={() => downloadFile(`${wheel.name}.${EXPORT_FILE_EXTENSIONS[exportFormat]}`, exportText)}
+                                    >
+                                        <Text style={importExportStyles.actionButtonText}>{t('importExport.download')}</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        </>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const importExportStyles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7F9FC',
+        paddingTop: 20,
+        paddingHorizontal: 15,
+        alignItems: 'center',
+    },
+    headerRow: {
+        width: '100%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    closeTouch: {
+        padding: 6,
+    },
+    closeText: {
+        fontSize: 16,
+        color: '#007BFF',
+        fontWeight: 'bold',
+    },
+    content: {
+        width: '100%',
+        maxWidth: 700,
+        marginTop: 10,
+    },
+    hint: {
+        fontSize: 14,
+        color: '#555',
+        marginBottom: 10,
+        textAlign: 'center',
+    },
+    control: {
+        marginBottom: 10,
+    },
+    textArea: {
+        minHeight: 180,
+        borderWidth: 1,
+        borderColor: '#D1D9E6',
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 14,
+        backgroundColor: '#FFFFFF',
+        color: '#333',
+        fontFamily: Platform.select({ ios: 'Menlo', android: 'monospace', default: 'monospace' }),
+        // CSV and JSON read left to right in any language
+        direction: 'ltr',
+    },
+    report: {
+        fontSize: 14,
+        color: '#2E7D32',
+        marginTop: 10,
+    },
+    reportError: {
+        color: '#D9534F',
+    },
+    actionRow: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+    },
+    actionButton: {
+        alignSelf: 'center',
+        backgroundColor: '#007BFF',
+        paddingVertical: 10,
+        paddingHorizontal: 24,
+        borderRadius: 8,
+        marginTop: 15,
+        marginHorizontal: 6,
+    },
+    actionButtonDisabled: {
+        opacity: 0.5,
+    },
+    actionButtonText: {
+        color: 'white',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default ImportExportModal;
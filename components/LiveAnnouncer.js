@@ -0,0 +1,35 @@
+import React, { useEffect } from 'react';
+import { AccessibilityInfo, Platform, StyleSheet, Text } from 'react-native';
+
+// Reads `message` out to screen readers each time it changes to a new one. Native
+// platforms announce it directly; the web has no such API, so there it goes into a
+// polite live region that is hidden from view
+const LiveAnnouncer = ({ message }) => {
+    useEffect(() => {
+        if (message && Platform.OS !== 'web') {
+            AccessibilityInfo.announceForAccessibility(message);
+        }
+    }, [message]);
+
+    if (Platform.OS !== 'web') {
+        return null;
+    }
+    return (
+        <Text accessibilityLiveRegion="polite" style={announcerStyles.hidden}>
+            {message}
+        </Text>
+    );
+};
+
+const announcerStyles = StyleSheet.create({
+    // Out of sight but still in the accessibility tree, unlike display: none
+    hidden: {
+        position: 'absolute',
+        width: 1,
+        height: 1,
+        overflow: 'hidden',
+        opacity: 0,
+    },
+});
+
+export default LiveAnnouncer;
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { modalStyles } from './CustomAlertModal';
+
+// Picks an option's own slice color and emoji, and the wheel it drills down into.
+// `linkableWheels` are the saved wheels other than the option's own
+const OptionStyleModal = ({ isVisible, option, paletteColors, linkableWheels, onSave, onCancel }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [color, setColor] = useState(null);
+    const [emoji, setEmoji] = useState('');
+    const [childWheelId, setChildWheelId] = useState(null);
+
+    useEffect(() => {
+        if (isVisible && option) {
+            setColor(option.color || null);
+            setEmoji(option.emoji || '');
+            setChildWheelId(option.childWheelId || null);
+        }
+    }, [isVisible, option]);
+
+    // The option's current color stays selectable even when it isn't in the palette
+    const swatches = color && !paletteColors.includes(color) ? [...paletteColors, color] : paletteColors;
+
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onCancel}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}>
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>{option?.name}</Text>
+
+                    <Text style={[optionStyleStyles.label, { color: theme.textSecondary }]}>{t('optionStyle.color')}</Text>
+                    <View style={optionStyleStyles.swatches}>
+                        <TouchableOpacity
+                            style={[
+                                optionStyleStyles.swatch,
+                                optionStyleStyles.autoSwatch,
+                                { borderColor: theme.border },
+                                !color && { borderColor: theme.text, borderWidth: 3 }
+                            ]}
+                            onPress={() => setColor(null)}
+                        >
+                            <Text style={[optionStyleStyles.autoText, { color: theme.textSecondary }]}>{t('optionStyle.auto')}</Text>
+                        </TouchableOpacity>
+                        {swatches.map(swatch => (
+                            <TouchableOpacity
+                                key={swatch}
+                                style={[
+                                    optionStyleStyles.swatch,
+                                    { backgroundColor: swatch, borderColor: theme.border },
+                                    color === swatch && { borderColor: theme.text, borderWidth: 3 }
+                                ]}
+                                onPress={() => setColor(swatch)}
+                            />
+                        ))}
+                    </View>
+
+                    <Text style={[optionStyleStyles.label, { color: theme.textSecondary }]}>{t('optionStyle.emoji')}</Text>
+                    <TextInput
+                        style={[
+                            optionStyleStyles.emojiInput,
+                            { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                        ]}
+                        value={emoji}
+                        onChangeText={setEmoji}
+                        placeholder="🍕"
+                        placeholderTextColor={theme.placeholder}
+                        maxLength={8}
+                    />
+
+                    {linkableWheels.length > 0 && (
+                        <>
+                            <Text style={[optionStyleStyles.label, { color: theme.textSecondary }]}>{t('optionStyle.child')}</Text>
+                            <ScrollView
+                                horizontal
+                                showsHorizontalScrollIndicator={false}
+                                style={optionStyleStyles.wheelChips}
+                            >
+                                {[{ id: null, name: t('optionStyle.nothing') }, ...linkableWheels].map((wheel) => {
+                                    const isChosen = wheel.id === childWheelId;
+                                    return (
+                                        <TouchableOpacity
+                                            key={wheel.id ?? 'none'}
+                                            style={[
+                                                optionStyleStyles.wheelChip,
+                                                { borderColor: theme.border },
+                                                isChosen && { backgroundColor: theme.primary, borderColor: theme.primary }
+                                            ]}
+                                            onPress={() => setChildWheelId(wheel.id)}
+                                        >
+                                            <Text
+                                                style={[optionStyleStyles.wheelChipText, { color: isChosen ? 'white' : theme.text }]}
+                                                numberOfLines={1}
+                                            >
+                                                {wheel.name}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </ScrollView>
+                        </>
+                    )}
+
+                    <View style={modalStyles.buttonContainer}>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonCancel]}
+                            onPress={onCancel}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.cancel')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonConfirm]}
+                            onPress={() => onSave({
+                                color: color || undefined,
+                                emoji: emoji.trim() || undefined,
+                                childWheelId: childWheelId || undefined,
+                            })}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.ok')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const optionStyleStyles = StyleSheet.create({
+    label: {
+        alignSelf: 'flex-start',
+        fontSize: 14,
+        fontWeight: 'bold',
+        marginBottom: 8,
+    },
+    swatches: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        marginBottom: 15,
+    },
+    swatch: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        borderWidth: 1,
+        margin: 4,
+    },
+    autoSwatch: {
+        width: 48,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    autoText: {
+        fontSize: 11,
+        fontWeight: 'bold',
+    },
+    emojiInput: {
+        width: 80,
+        borderWidth: 1,
+        borderRadius: 8,
+        padding: 8,
+        fontSize: 22,
+        textAlign: 'center',
+        marginBottom: 20,
+    },
+    wheelChips: {
+        alignSelf: 'stretch',
+        flexGrow: 0,
+        marginBottom: 20,
+    },
+    wheelChip: {
+        maxWidth: 140,
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginEnd: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+    },
+    wheelChipText: {
+        fontSize: 14,
+    },
+});
+
+export default OptionStyleModal;
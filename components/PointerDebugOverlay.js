@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+import { Platform, StyleSheet, Text, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { findSegmentIndex, getSegments } from '../utils/spinnerEngine';
+import { getAngleUnderPointer } from '../utils/spinPhysics';
+
+// Shows, live, which slice the engine computes under the pointer, next to the option the
+// spin is meant to land on, so a misaligned pointer shows up as a mismatch
+const PointerDebugOverlay = ({ rotationValue, initialRotation = 0, options, pointer, expectedId }) => {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const [rotation, setRotation] = useState(initialRotation);
+
+    useEffect(() => {
+        const listenerId = rotationValue.addListener(({ value }) => setRotation(value));
+        return () => rotationValue.removeListener(listenerId);
+    }, [rotationValue]);
+
+    const angle = getAngleUnderPointer(rotation, pointer);
+    const optionUnderPointer = options[findSegmentIndex(getSegments(options), angle)];
+    const expectedOption = expectedId ? options.find(item => item.id === expectedId) : null;
+    const isMismatch = !!expectedOption && expectedOption.id !== optionUnderPointer?.id;
+
+    return (
+        <View pointerEvents="none" style={[debugStyles.panel, { backgroundColor: theme.overlay }]}>
+            <Text style={debugStyles.line}>
+                {t('pointerDebug.under', {
+                    pointer: t(`settings.pointers.${pointer}`),
+                    name: optionUnderPointer ? optionUnderPointer.name : '—',
+                })}
+            </Text>
+            <Text style={debugStyles.line}>
+                {t('pointerDebug.angles', {
+                    rotation: (((rotation % 360) + 360) % 360).toFixed(1),
+                    angle: angle.toFixed(1),
+                })}
+            </Text>
+            {!!expectedOption && (
+                <Text style={[debugStyles.line, isMismatch && { color: theme.danger }]}>
+                    {`${isMismatch ? '✗' : '✓'} ${t('pointerDebug.expected', { name: expectedOption.name })}`}
+                </Text>
+            )}
+        </View>
+    );
+};
+
+const debugStyles = StyleSheet.create({
+    panel: {
+        position: 'absolute',
+        top: 4,
+        left: 4,
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+        borderRadius: 6,
+        zIndex: 20,
+    },
+    line: {
+        color: 'white',
+        fontSize: 11,
+        fontFamily: Platform.select({ ios: 'Menlo', android: 'monospace', default: 'monospace' }),
+    },
+});
+
+export default PointerDebugOverlay;
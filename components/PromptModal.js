@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { modalStyles } from './CustomAlertModal';
+
+// Text prompt in the style of the Custom Alert Modal, used for naming wheels
+const PromptModal = ({ isVisible, title, message, initialValue = '', placeholder, onSubmit, onCancel }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [value, setValue] = useState(initialValue);
+
+    // Start from the caller's value every time the prompt opens
+    useEffect(() => {
+        if (isVisible) {
+            setValue(initialValue);
+        }
+    }, [isVisible, initialValue]);
+
+    const submit = () => {
+        const trimmedValue = value.trim();
+        if (trimmedValue) {
+            onSubmit(trimmedValue);
+        }
+    };
+
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onCancel}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}>
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>{title}</Text>
+                    {!!message && <Text style={[modalStyles.modalMessage, { color: theme.textSecondary }]}>{message}</Text>}
+                    <TextInput
+                        style={[
+                            promptStyles.input,
+                            { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                        ]}
+                        value={value}
+                        placeholder={placeholder}
+                        placeholderTextColor={theme.placeholder}
+                        onChangeText={setValue}
+                        onSubmitEditing={submit}
+                        autoFocus
+                        selectTextOnFocus
+                    />
+                    <View style={modalStyles.buttonContainer}>
+                        <TouchableOpacity
+                            style={[modalStyles.button, modalStyles.buttonCancel]}
+                            onPress={onCancel}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.cancel')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[
+                                modalStyles.button,
+                                modalStyles.buttonConfirm,
+                                !value.trim() && promptStyles.buttonDisabled
+                            ]}
+                            onPress={submit}
+                            disabled={!value.trim()}
+                        >
+                            <Text style={modalStyles.textStyle}>{t('common.ok')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const promptStyles = StyleSheet.create({
+    input: {
+        width: '100%',
+        borderWidth: 1,
+        borderColor: '#D1D9E6',
+        padding: 10,
+        borderRadius: 8,
+        fontSize: 16,
+        marginBottom: 20,
+        backgroundColor: '#FFFFFF',
+    },
+    buttonDisabled: {
+        opacity: 0.5,
+    },
+});
+
+export default PromptModal;
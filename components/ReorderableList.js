@@ -0,0 +1,150 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Animated, Platform, StyleSheet, Text, View } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import useTheme from '../hooks/useTheme';
+
+// The grip a row is dragged by; the rest of the row keeps its own buttons
+const DragHandle = ({ index, onStart, onMove, onEnd }) => {
+    const theme = useTheme();
+    const gesture = useMemo(() => (
+        Gesture.Pan()
+            .runOnJS(true)
+            .minDistance(2)
+            .onStart(() => onStart(index))
+            .onUpdate(event => onMove(event.translationY))
+            .onFinalize(() => onEnd())
+    ), [index, onStart, onMove, onEnd]);
+
+    return (
+        <GestureDetector gesture={gesture}>
+            <View style={[listStyles.handle, Platform.OS === 'web' && listStyles.handleWeb]}>
+                <Text style={[listStyles.handleText, { color: theme.textMuted }]}>≡</Text>
+            </View>
+        </GestureDetector>
+    );
+};
+
+// Rows that can be dragged into a new order by their handle. `renderItem` receives
+// the item and the handle to place in the row; `onReorder(fromIndex, toIndex)` is
+// called once the row is dropped
+const ReorderableList = ({ items, keyExtractor, renderItem, onReorder, onDragChange }) => {
+    const theme = useTheme();
+    const heightsRef = useRef({});
+    const dragRef = useRef(null);
+    const dragY = useRef(new Animated.Value(0)).current;
+    const [drag, setDrag] = useState(null);
+
+    const getHeight = (index) => heightsRef.current[keyExtractor(items[index])] || 0;
+
+    // The row the dragged one would land on: it passes a neighbour once it covers half of it
+    const getTargetIndex = (fromIndex, translationY) => {
+        let target = fromIndex;
+        let travelled = 0;
+        if (translationY > 0) {
+            while (target + 1 < items.length && translationY > travelled + getHeight(target + 1) / 2) {
+                travelled += getHeight(target + 1);
+                target++;
+            }
+        } else {
+            while (target > 0 && -translationY > travelled + getHeight(target - 1) / 2) {
+                travelled += getHeight(target - 1);
+                target--;
+            }
+        }
+        return target;
+    };
+
+    const handlers = useRef({});
+    handlers.current = {
+        start: (index) => {
+            dragRef.current = { fromIndex: index, toIndex: index };
+            dragY.setValue(0);
+            setDrag(dragRef.current);
+            onDragChange?.(true);
+        },
+        move: (translationY) => {
+            if (!dragRef.current) {
+                return;
+            }
+            dragY.setValue(translationY);
+            const toIndex = getTargetIndex(dragRef.current.fromIndex, translationY);
+            if (toIndex !== dragRef.current.toIndex) {
+                dragRef.current = { ...dragRef.current, toIndex };
+                setDrag(dragRef.current);
+            }
+        },
+        end: () => {
+            const finished = dragRef.current;
+            dragRef.current = null;
+            dragY.setValue(0);
+            setDrag(null);
+            onDragChange?.(false);
+            if (finished && finished.toIndex !== finished.fromIndex) {
+                onReorder(finished.fromIndex, finished.toIndex);
+            }
+        },
+    };
+    // Stable callbacks, so the handles' gestures aren't rebuilt on every move
+    const [callbacks] = useState(() => ({
+        onStart: index => handlers.current.start(index),
+        onMove: translationY => handlers.current.move(translationY),
+        onEnd: () => handlers.current.end(),
+    }));
+
+    // Rows between the dragged row's old and new place make room for it
+    const getShift = (index) => {
+        if (!drag || index === drag.fromIndex) {
+            return 0;
+        }
+        const draggedHeight = getHeight(drag.fromIndex);
+        if (drag.fromIndex < index && index <= drag.toIndex) {
+            return -draggedHeight;
+        }
+        if (drag.toIndex <= index && index < drag.fromIndex) {
+            return draggedHeight;
+        }
+        return 0;
+    };
+
+    return items.map((item, index) => {
+        const key = keyExtractor(item);
+        const isDragged = drag?.fromIndex === index;
+        return (
+            <Animated.View
+                key={key}
+                onLayout={(event) => {
+                    heightsRef.current[key] = event.nativeEvent.layout.height;
+                }}
+                style={isDragged
+                    ? [listStyles.dragged, { backgroundColor: theme.surface, transform: [{ translateY: dragY }] }]
+                    : { transform: [{ translateY: getShift(index) }] }}
+            >
+                {renderItem(item, <DragHandle index={index} {...callbacks} />)}
+            </Animated.View>
+        );
+    });
+};
+
+const listStyles = StyleSheet.create({
+    handle: {
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+    },
+    handleWeb: {
+        cursor: 'grab',
+    },
+    handleText: {
+        fontSize: 20,
+    },
+    dragged: {
+        zIndex: 10,
+        opacity: 0.9,
+        elevation: 6,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.2,
+        shadowRadius: 4,
+    },
+});
+
+export default ReorderableList;
@@ -0,0 +1,174 @@
+import * as Clipboard from 'expo-clipboard';
+import React, { useEffect, useState } from 'react';
+import { Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useDialogFocus from '../hooks/useDialogFocus';
+import useI18n from '../hooks/useI18n';
+import useReducedMotion from '../hooks/useReducedMotion';
+import useTheme from '../hooks/useTheme';
+import Confetti from './Confetti';
+
+// The result of a spin, shown as a sheet at the bottom so the highlighted slice
+// stays visible on the wheel above it
+const ResultModal = ({
+    isVisible,
+    result,
+    confettiColors,
+    acceptLabel,
+    drillDownLabel,
+    onDrillDown,
+    onSpinAgain,
+    onVeto,
+    onAccept,
+}) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [copied, setCopied] = useState(false);
+    const { targetRef, onShow } = useDialogFocus();
+    // Confetti and the sliding sheet are left out when the OS asks for less motion
+    const isReduceMotionEnabled = useReducedMotion();
+
+    useEffect(() => {
+        setCopied(false);
+    }, [result]);
+
+    if (!result) {
+        return null;
+    }
+
+    const copyResult = async () => {
+        await Clipboard.setStringAsync(result.copyText);
+        setCopied(true);
+    };
+
+    return (
+        <Modal
+            animationType={isReduceMotionEnabled ? 'fade' : 'slide'}
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onAccept}
+            onShow={onShow}
+        >
+            <View style={resultStyles.backdrop}>
+                {!isReduceMotionEnabled && <Confetti colors={confettiColors} />}
+                <View style={[resultStyles.sheet, { backgroundColor: theme.surface, direction }]} accessibilityViewIsModal={true}>
+                    <Text style={[resultStyles.title, { color: theme.textSecondary }]}>{result.title}</Text>
+                    <Text style={[resultStyles.winner, { color: theme.text }]}>{result.winnerName}</Text>
+                    {!!result.detail && (
+                        <Text style={[resultStyles.detail, { color: theme.textMuted }]}>{result.detail}</Text>
+                    )}
+
+                    {onDrillDown && (
+                        <TouchableOpacity
+                            style={[resultStyles.actionButton, resultStyles.drillDownButton, { backgroundColor: theme.primary }]}
+                            onPress={onDrillDown}
+                        >
+                            <Text style={resultStyles.actionText}>{drillDownLabel}</Text>
+                        </TouchableOpacity>
+                    )}
+                    <View style={resultStyles.actionRow}>
+                        {onSpinAgain && (
+                            <TouchableOpacity
+                                style={[resultStyles.actionButton, { backgroundColor: theme.accent }]}
+                                onPress={onSpinAgain}
+                            >
+                                <Text style={resultStyles.actionText}>{t('result.spinAgain')}</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity
+                            ref={targetRef}
+                            style={[resultStyles.actionButton, { backgroundColor: theme.primary }]}
+                            onPress={onAccept}
+                            accessibilityRole="button"
+                        >
+                            <Text style={resultStyles.actionText}>{acceptLabel || t('result.accept')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                    <View style={resultStyles.actionRow}>
+                        {onVeto && (
+                            <TouchableOpacity style={resultStyles.linkButton} onPress={onVeto}>
+                                <Text style={[resultStyles.linkText, { color: theme.danger }]}>{t('result.veto')}</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity style={resultStyles.linkButton} onPress={copyResult}>
+                            <Text style={[resultStyles.linkText, { color: theme.primary }]}>
+                                {copied ? t('common.copied') : t('result.copy')}
+                            </Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const resultStyles = StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        alignItems: 'center',
+    },
+    sheet: {
+        width: '100%',
+        maxWidth: 500,
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+        paddingVertical: 20,
+        paddingHorizontal: 20,
+        alignItems: 'center',
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: -2 },
+        shadowOpacity: 0.2,
+        shadowRadius: 6,
+        elevation: 10,
+    },
+    title: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        textTransform: 'uppercase',
+        letterSpacing: 1,
+    },
+    winner: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginVertical: 8,
+    },
+    detail: {
+        fontSize: 13,
+        textAlign: 'center',
+        marginBottom: 4,
+    },
+    actionRow: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        flexWrap: 'wrap',
+        marginTop: 12,
+    },
+    actionButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 22,
+        borderRadius: 20,
+        marginHorizontal: 6,
+        minWidth: 120,
+        alignItems: 'center',
+    },
+    // Going down to a sub-wheel is the likely next step, so it gets a row of its own
+    drillDownButton: {
+        marginTop: 12,
+    },
+    actionText: {
+        color: 'white',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    linkButton: {
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+});
+
+export default ResultModal;
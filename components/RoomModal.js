@@ -0,0 +1,282 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import { ROOM_STATUS } from '../hooks/useRoom';
+import useTheme from '../hooks/useTheme';
+import { normalizeRoomCode } from '../utils/roomProtocol';
+import { modalStyles } from './CustomAlertModal';
+
+// Hosting or joining a shared spin room, and what happens inside it: the host
+// reviews proposed options, guests propose them
+const RoomModal = ({ isVisible, room, relayUrl, playerName, onChangeConnection, onAcceptProposal, onClose }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [urlText, setUrlText] = useState(relayUrl);
+    const [nameText, setNameText] = useState(playerName);
+    const [codeText, setCodeText] = useState('');
+    const [proposalText, setProposalText] = useState('');
+
+    useEffect(() => {
+        if (isVisible) {
+            setUrlText(relayUrl);
+            setNameText(playerName);
+        }
+    }, [isVisible, relayUrl, playerName]);
+
+    const inputStyle = [roomStyles.input, { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }];
+    const isConnected = room.status === ROOM_STATUS.connected;
+    const errorText = typeof room.error === 'string' ? room.error : room.error && t(room.error.key, room.error.params);
+
+    // The relay address and name are remembered for next time
+    const connect = (action) => {
+        const url = urlText.trim();
+        const name = nameText.trim();
+        onChangeConnection({ relayUrl: url, playerName: name });
+        action(url, name);
+    };
+
+    const sendProposal = () => {
+        const name = proposalText.trim();
+        if (name) {
+            room.propose(name);
+            setProposalText('');
+        }
+    };
+
+    const renderSetup = () => (
+        <>
+            <Text style={[roomStyles.label, { color: theme.textSecondary }]}>{t('room.relayAddress')}</Text>
+            <TextInput
+                style={inputStyle}
+                value={urlText}
+                onChangeText={setUrlText}
+                autoCapitalize="none"
+                autoCorrect={false}
+            />
+            <Text style={[roomStyles.label, { color: theme.textSecondary }]}>{t('room.yourName')}</Text>
+            <TextInput
+                style={inputStyle}
+                value={nameText}
+                onChangeText={setNameText}
+                placeholder={t('room.optional')}
+                placeholderTextColor={theme.placeholder}
+            />
+            <TouchableOpacity
+                style={[roomStyles.wideButton, { backgroundColor: theme.primary }]}
+                onPress={() => connect(room.hostRoom)}
+            >
+                <Text style={modalStyles.textStyle}>{t('room.host')}</Text>
+            </TouchableOpacity>
+            <View style={roomStyles.joinRow}>
+                <TextInput
+                    style={[inputStyle, roomStyles.codeInput]}
+                    value={codeText}
+                    onChangeText={text => setCodeText(normalizeRoomCode(text))}
+                    placeholder={t('room.code')}
+                    placeholderTextColor={theme.placeholder}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={8}
+                />
+                <TouchableOpacity
+                    style={[roomStyles.joinButton, { backgroundColor: codeText ? theme.primary : theme.disabled }]}
+                    onPress={() => connect((url, name) => room.joinRoom(url, codeText, name))}
+                    disabled={!codeText}
+                >
+                    <Text style={modalStyles.textStyle}>{t('room.join')}</Text>
+                </TouchableOpacity>
+            </View>
+        </>
+    );
+
+    const renderRoom = () => (
+        <>
+            <Text style={[roomStyles.code, { color: theme.text }]}>{room.code}</Text>
+            <Text style={[roomStyles.hint, { color: theme.textSecondary }]}>
+                {room.isHost
+                    ? t('room.hostHint')
+                    : t('room.guestHint')}
+            </Text>
+            <Text style={[roomStyles.label, { color: theme.textSecondary }]}>
+                {t('room.participants', { count: room.participants.length })}
+            </Text>
+            <Text style={[roomStyles.participants, { color: theme.text }]}>{room.participants.join(t('common.listSeparator'))}</Text>
+
+            {room.isHost ? (
+                <>
+                    <Text style={[roomStyles.label, { color: theme.textSecondary }]}>{t('room.proposed')}</Text>
+                    {room.proposals.length === 0 && (
+                        <Text style={[roomStyles.hint, { color: theme.textMuted }]}>{t('room.nothingProposed')}</Text>
+                    )}
+                    <ScrollView style={roomStyles.proposals}>
+                        {room.proposals.map(proposal => (
+                            <View key={proposal.id} style={[roomStyles.proposalRow, { borderBottomColor: theme.borderMuted }]}>
+                                <Text style={[roomStyles.proposalName, { color: theme.text }]} numberOfLines={2}>
+                                    {proposal.name}
+                                    <Text style={{ color: theme.textMuted }}>{`  ${t('room.from', { name: proposal.from })}`}</Text>
+                                </Text>
+                                <TouchableOpacity style={roomStyles.proposalAction} onPress={() => onAcceptProposal(proposal)}>
+                                    <Text style={[roomStyles.proposalActionText, { color: theme.primary }]}>{t('room.add')}</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity style={roomStyles.proposalAction} onPress={() => room.dismissProposal(proposal.id)}>
+                                    <Text style={[roomStyles.proposalActionText, { color: theme.danger }]}>{t('room.dismiss')}</Text>
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                    </ScrollView>
+                </>
+            ) : (
+                <View style={roomStyles.joinRow}>
+                    <TextInput
+                        style={[inputStyle, roomStyles.proposalInput]}
+                        value={proposalText}
+                        onChangeText={setProposalText}
+                        onSubmitEditing={sendProposal}
+                        placeholder={t('room.proposePlaceholder')}
+                        placeholderTextColor={theme.placeholder}
+                    />
+                    <TouchableOpacity
+                        style={[roomStyles.joinButton, { backgroundColor: theme.primary }]}
+                        onPress={sendProposal}
+                    >
+                        <Text style={modalStyles.textStyle}>{t('room.send')}</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            <TouchableOpacity style={roomStyles.linkTouch} onPress={room.leaveRoom}>
+                <Text style={[roomStyles.linkText, { color: theme.danger }]}>
+                    {room.isHost ? t('room.close') : t('room.leave')}
+                </Text>
+            </TouchableOpacity>
+        </>
+    );
+
+    return (
+        <Modal
+            animationType="fade"
+            transparent={true}
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[modalStyles.centeredView, { backgroundColor: theme.overlay }]}>
+                <View style={[modalStyles.modalView, { backgroundColor: theme.surface, direction }]}>
+                    <Text style={[modalStyles.modalTitle, { color: theme.text }]}>
+                        {isConnected ? (room.isHost ? t('room.hostingTitle') : t('room.guestTitle')) : t('room.title')}
+                    </Text>
+
+                    {room.status === ROOM_STATUS.connecting && (
+                        <Text style={[roomStyles.hint, { color: theme.textSecondary }]}>{t('room.connecting')}</Text>
+                    )}
+                    {!!errorText && (
+                        <Text style={[roomStyles.hint, { color: theme.danger }]}>{errorText}</Text>
+                    )}
+
+                    {isConnected ? renderRoom() : renderSetup()}
+
+                    <TouchableOpacity
+                        style={[modalStyles.button, modalStyles.buttonConfirm, roomStyles.closeButton]}
+                        onPress={onClose}
+                    >
+                        <Text style={modalStyles.textStyle}>{t('room.closeDialog')}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const roomStyles = StyleSheet.create({
+    label: {
+        alignSelf: 'flex-start',
+        fontSize: 14,
+        fontWeight: 'bold',
+        marginBottom: 6,
+    },
+    input: {
+        width: '100%',
+        borderWidth: 1,
+        borderRadius: 8,
+        padding: 8,
+        fontSize: 15,
+        marginBottom: 12,
+    },
+    wideButton: {
+        width: '100%',
+        borderRadius: 20,
+        padding: 10,
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    joinRow: {
+        width: '100%',
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+    },
+    codeInput: {
+        flex: 1,
+        letterSpacing: 3,
+        fontWeight: 'bold',
+    },
+    proposalInput: {
+        flex: 1,
+    },
+    joinButton: {
+        borderRadius: 20,
+        paddingVertical: 10,
+        paddingHorizontal: 18,
+        marginStart: 8,
+    },
+    code: {
+        fontSize: 34,
+        fontWeight: 'bold',
+        letterSpacing: 6,
+        marginBottom: 6,
+    },
+    hint: {
+        fontSize: 14,
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    participants: {
+        alignSelf: 'flex-start',
+        fontSize: 15,
+        marginBottom: 12,
+    },
+    proposals: {
+        width: '100%',
+        maxHeight: 200,
+        marginBottom: 10,
+    },
+    proposalRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+    },
+    proposalName: {
+        flex: 1,
+        fontSize: 15,
+    },
+    proposalAction: {
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+    },
+    proposalActionText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    linkTouch: {
+        paddingVertical: 6,
+        marginBottom: 10,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    closeButton: {
+        marginTop: 6,
+    },
+});
+
+export default RoomModal;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useTheme from '../hooks/useTheme';
+
+// Row of mutually exclusive choices, e.g. the spin mode
+const SegmentedControl = ({ choices, value, onChange, style }) => {
+    const theme = useTheme();
+    return (
+        <View style={[segmentedStyles.container, style]}>
+            {choices.map((choice, index) => {
+                const isSelected = choice.value === value;
+                return (
+                    <TouchableOpacity
+                        key={choice.value}
+                        style={[
+                            segmentedStyles.segment,
+                            { borderColor: theme.primary, backgroundColor: isSelected ? theme.primary : theme.surface },
+                            index === 0 && segmentedStyles.segmentFirst,
+                            index === choices.length - 1 && segmentedStyles.segmentLast
+                        ]}
+                        onPress={() => onChange(choice.value)}
+                    >
+                        <Text style={[
+                            segmentedStyles.label,
+                            { color: theme.primary },
+                            isSelected && segmentedStyles.labelSelected
+                        ]}>
+                            {choice.label}
+                        </Text>
+                    </TouchableOpacity>
+                );
+            })}
+        </View>
+    );
+};
+
+const segmentedStyles = StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+    },
+    segment: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderWidth: 1,
+        borderColor: '#007BFF',
+        marginStart: -1,
+        backgroundColor: '#FFFFFF',
+    },
+    segmentFirst: {
+        marginStart: 0,
+        borderTopStartRadius: 8,
+        borderBottomStartRadius: 8,
+    },
+    segmentLast: {
+        borderTopEndRadius: 8,
+        borderBottomEndRadius: 8,
+    },
+    label: {
+        fontSize: 13,
+        color: '#007BFF',
+        fontWeight: '600',
+    },
+    labelSelected: {
+        color: 'white',
+    },
+});
+
+export default SegmentedControl;
@@ -0,0 +1,334 @@
+import React from 'react';
+import { Modal, Platform, ScrollView, StyleSheet, Switch, Text, TouchableOpacity, View } from 'react-native';
+import { PALETTES, THEME_MODES } from '../constants/theme';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { DEFAULT_COOLDOWN_SPINS, FAIRNESS_POLICIES } from '../utils/fairness';
+import { LANGUAGES, SYSTEM_LANGUAGE } from '../utils/i18n';
+import { POINTER_POSITIONS } from '../utils/spinPhysics';
+import SegmentedControl from './SegmentedControl';
+
+const MAX_COOLDOWN_SPINS = 10;
+
+const FAIRNESS_CHOICES = [
+    { value: FAIRNESS_POLICIES.none, labelKey: 'settings.fairness.none' },
+    { value: FAIRNESS_POLICIES.noRepeat, labelKey: 'settings.fairness.noRepeat' },
+    { value: FAIRNESS_POLICIES.cooldown, labelKey: 'settings.fairness.cooldown' },
+    { value: FAIRNESS_POLICIES.bag, labelKey: 'settings.fairness.bag' },
+];
+
+const THEME_CHOICES = [
+    { value: THEME_MODES.system, labelKey: 'settings.themes.system' },
+    { value: THEME_MODES.light, labelKey: 'settings.themes.light' },
+    { value: THEME_MODES.dark, labelKey: 'settings.themes.dark' },
+];
+
+const POINTER_CHOICES = [
+    { value: POINTER_POSITIONS.top, labelKey: 'settings.pointers.top' },
+    { value: POINTER_POSITIONS.right, labelKey: 'settings.pointers.right' },
+    { value: POINTER_POSITIONS.bottom, labelKey: 'settings.pointers.bottom' },
+    { value: POINTER_POSITIONS.left, labelKey: 'settings.pointers.left' },
+];
+
+const FAIRNESS_DESCRIPTIONS = {
+    [FAIRNESS_POLICIES.none]: 'settings.fairnessDescriptions.none',
+    [FAIRNESS_POLICIES.noRepeat]: 'settings.fairnessDescriptions.noRepeat',
+    [FAIRNESS_POLICIES.cooldown]: 'settings.fairnessDescriptions.cooldown',
+    [FAIRNESS_POLICIES.bag]: 'settings.fairnessDescriptions.bag',
+};
+
+// App-wide preferences and the settings of the active wheel
+const SettingsModal = ({
+    isVisible,
+    wheelName,
+    settings,
+    onChangeSettings,
+    appSettings,
+    onChangeAppSettings,
+    storageSync,
+    onClose,
+}) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const translateChoices = choices => choices.map(({ value, labelKey }) => ({ value, label: t(labelKey) }));
+    // Each language is listed under its own name, so it can be found from any of them
+    const languageChoices = [
+        { value: SYSTEM_LANGUAGE, label: t('settings.systemLanguage') },
+        ...Object.entries(LANGUAGES).map(([value, { name }]) => ({ value, label: name })),
+    ];
+    const fairnessPolicy = settings.fairnessPolicy || FAIRNESS_POLICIES.none;
+    const cooldownSpins = settings.cooldownSpins || DEFAULT_COOLDOWN_SPINS;
+
+    return (
+        <Modal
+            animationType="slide"
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[settingsStyles.container, { backgroundColor: theme.background, direction }]}>
+                <View style={settingsStyles.headerRow}>
+                    <Text style={[settingsStyles.title, { color: theme.text }]}>{t('settings.title')}</Text>
+                    <TouchableOpacity onPress={onClose} style={settingsStyles.closeTouch}>
+                        <Text style={[settingsStyles.closeText, { color: theme.primary }]}>{t('common.done')}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView style={settingsStyles.content}>
+                    <Text style={[settingsStyles.sectionTitle, { color: theme.text }]}>{t('settings.fairnessFor', { name: wheelName })}</Text>
+                    <SegmentedControl
+                        choices={translateChoices(FAIRNESS_CHOICES)}
+                        value={fairnessPolicy}
+                        onChange={policy => onChangeSettings({ fairnessPolicy: policy })}
+                    />
+                    <Text style={[settingsStyles.description, { color: theme.textSecondary }]}>{t(FAIRNESS_DESCRIPTIONS[fairnessPolicy])}</Text>
+
+                    {fairnessPolicy === FAIRNESS_POLICIES.cooldown && (
+                        <View style={settingsStyles.row}>
+                            <Text style={[settingsStyles.rowLabel, { color: theme.text }]}>{t('settings.sitOutFor')}</Text>
+                            <TouchableOpacity
+                                style={settingsStyles.stepperTouch}
+                                onPress={() => onChangeSettings({ cooldownSpins: Math.max(1, cooldownSpins - 1) })}
+                                disabled={cooldownSpins <= 1}
+                            >
+                                <Text style={[settingsStyles.stepper, { color: cooldownSpins <= 1 ? theme.disabled : theme.primary }]}>−</Text>
+                            </TouchableOpacity>
+                            <Text style={[settingsStyles.stepperValue, { color: theme.text }]}>
+                                {t('settings.spinCount', { count: cooldownSpins })}
+                            </Text>
+                            <TouchableOpacity
+                                style={settingsStyles.stepperTouch}
+                                onPress={() => onChangeSettings({ cooldownSpins: Math.min(MAX_COOLDOWN_SPINS, cooldownSpins + 1) })}
+                                disabled={cooldownSpins >= MAX_COOLDOWN_SPINS}
+                            >
+                                <Text style={[
+                                    settingsStyles.stepper,
+                                    { color: cooldownSpins >= MAX_COOLDOWN_SPINS ? theme.disabled : theme.primary }
+                                ]}>+</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    <Text style={[settingsStyles.sectionTitle, { color: theme.text }]}>{t('settings.soundAndHaptics')}</Text>
+                    {[
+                        { key: 'soundEnabled', label: t('settings.sounds') },
+                        // Browsers have no haptics to offer
+                        ...(Platform.OS === 'web' ? [] : [{ key: 'hapticsEnabled', label: t('settings.haptics') }]),
+                    ].map(({ key, label }) => (
+                        <View
+                            key={key}
+                            style={[settingsStyles.switchRow, { backgroundColor: theme.surface, borderColor: theme.borderMuted }]}
+                        >
+                            <Text style={[settingsStyles.switchLabel, { color: theme.text }]}>{label}</Text>
+                            <Switch
+                                value={appSettings[key]}
+                                onValueChange={value => onChangeAppSettings({ [key]: value })}
+                                trackColor={{ true: theme.primary }}
+                            />
+                        </View>
+                    ))}
+                    {appSettings.muted && (
+                        <Text style={[settingsStyles.description, { color: theme.textSecondary }]}>
+                            {t('settings.mutedNote')}
+                        </Text>
+                    )}
+
+                    {storageSync.isAvailable && (
+                        <>
+                            <Text style={[settingsStyles.sectionTitle, { color: theme.text }]}>{t('settings.storage')}</Text>
+                            <View style={[settingsStyles.switchRow, { backgroundColor: theme.surface, borderColor: theme.borderMuted }]}>
+                                <Text style={[settingsStyles.switchLabel, { color: theme.text }]}>{t('settings.sync')}</Text>
+                                <Switch
+                                    value={storageSync.isEnabled}
+                                    onValueChange={storageSync.changeEnabled}
+                                    trackColor={{ true: theme.primary }}
+                                />
+                            </View>
+                            <Text style={[settingsStyles.description, { color: theme.textSecondary }]}>
+                                {t('settings.syncDescription')}
+                            </Text>
+                        </>
+                    )}
+
+                    <Text style={[settingsStyles.sectionTitle, { color: theme.text }]}>{t('settings.language')}</Text>
+                    <SegmentedControl
+                        choices={languageChoices}
+                        value={appSettings.language}
+                        onChange={language => onChangeAppSettings({ language })}
+                    />
+
+                    <Text style={[settingsStyles.sectionTitle, { color: theme.text }]}>{t('settings.appearance')}</Text>
+                    <SegmentedControl
+                        choices={translateChoices(THEME_CHOICES)}
+                        value={appSettings.themeMode}
+                        onChange={themeMode => onChangeAppSettings({ themeMode })}
+                    />
+
+                    <Text style={[settingsStyles.subTitle, { color: theme.textSecondary }]}>{t('settings.pointer')}</Text>
+                    <SegmentedControl
+                        choices={translateChoices(POINTER_CHOICES)}
+                        value={appSettings.pointerPosition}
+                        onChange={pointerPosition => onChangeAppSettings({ pointerPosition })}
+                    />
+                    <View
+                        style={[
+                            settingsStyles.switchRow,
+                            settingsStyles.debugRow,
+                            { backgroundColor: theme.surface, borderColor: theme.borderMuted }
+                        ]}
+                    >
+                        <Text style={[settingsStyles.switchLabel, { color: theme.text }]}>{t('settings.pointerDebug')}</Text>
+                        <Switch
+                            value={appSettings.showPointerDebug}
+                            onValueChange={showPointerDebug => onChangeAppSettings({ showPointerDebug })}
+                            trackColor={{ true: theme.primary }}
+                        />
+                    </View>
+
+                    <Text style={[settingsStyles.subTitle, { color: theme.textSecondary }]}>{t('settings.palette')}</Text>
+                    {Object.entries(PALETTES).map(([key, palette]) => {
+                        const isSelected = appSettings.palette === key;
+                        return (
+                            <TouchableOpacity
+                                key={key}
+                                style={[
+                                    settingsStyles.paletteRow,
+                                    { backgroundColor: theme.surface, borderColor: isSelected ? theme.primary : theme.borderMuted }
+                                ]}
+                                onPress={() => onChangeAppSettings({ palette: key })}
+                            >
+                                <Text style={[settingsStyles.paletteLabel, { color: theme.text }]}>
+                                    {isSelected ? '✓ ' : ''}{t(`settings.palettes.${key}`)}
+                                </Text>
+                                <View style={settingsStyles.paletteSwatches}>
+                                    {palette.colors.map(color => (
+                                        <View key={color} style={[settingsStyles.paletteSwatch, { backgroundColor: color }]} />
+                                    ))}
+                                </View>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const settingsStyles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7F9FC',
+        paddingTop: 20,
+        paddingHorizontal: 15,
+        alignItems: 'center',
+    },
+    headerRow: {
+        width: '100%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    closeTouch: {
+        padding: 6,
+    },
+    closeText: {
+        fontSize: 16,
+        color: '#007BFF',
+        fontWeight: 'bold',
+    },
+    content: {
+        width: '100%',
+        maxWidth: 700,
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: 'bold',
+        color: '#333',
+        marginTop: 15,
+        marginBottom: 10,
+    },
+    subTitle: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        marginTop: 15,
+        marginBottom: 8,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderWidth: 1,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    switchLabel: {
+        fontSize: 15,
+    },
+    debugRow: {
+        marginTop: 8,
+    },
+    paletteRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        borderWidth: 2,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    paletteLabel: {
+        fontSize: 15,
+    },
+    paletteSwatches: {
+        flexDirection: 'row',
+    },
+    paletteSwatch: {
+        width: 16,
+        height: 16,
+        borderRadius: 8,
+        marginStart: 3,
+    },
+    description: {
+        fontSize: 14,
+        color: '#555',
+        marginTop: 8,
+        textAlign: 'center',
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: 12,
+    },
+    rowLabel: {
+        fontSize: 15,
+        color: '#333',
+        marginEnd: 8,
+    },
+    stepperTouch: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+    },
+    stepper: {
+        color: '#007BFF',
+        fontSize: 20,
+        fontWeight: 'bold',
+    },
+    stepperValue: {
+        minWidth: 70,
+        textAlign: 'center',
+        fontSize: 15,
+        color: '#333',
+    },
+});
+
+export default SettingsModal;
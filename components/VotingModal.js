@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { formatVoteCounts, tallyVotes, VOTES } from '../utils/voting';
+
+const VOTE_CHOICES = [
+    { vote: VOTES.up, label: '▲', nameKey: 'vote.up' },
+    { vote: VOTES.down, label: '▼', nameKey: 'vote.down' },
+    { vote: VOTES.veto, label: '✕', nameKey: 'vote.veto' },
+];
+
+// Collects ballots on one device passed around the group, and shows the running tally.
+// Guests in a room cast a single ballot that goes to the host instead
+const VotingModal = ({ isVisible, options, ballots, isGuest, onCastBallot, onSpin, onTally, onDiscard, onClose }) => {
+    const theme = useTheme();
+    const { t, direction } = useI18n();
+    const [voter, setVoter] = useState('');
+    const [votes, setVotes] = useState({});
+    const [lastVoter, setLastVoter] = useState(null);
+
+    useEffect(() => {
+        if (isVisible) {
+            setVoter('');
+            setVotes({});
+            setLastVoter(null);
+        }
+    }, [isVisible]);
+
+    // Tapping the chosen vote again takes it back
+    const toggleVote = (optionId, vote) => {
+        setVotes(current => {
+            const { [optionId]: previous, ...rest } = current;
+            return previous === vote ? rest : { ...rest, [optionId]: vote };
+        });
+    };
+
+    const defaultVoter = t('vote.defaultVoter', { number: ballots.length + 1 });
+    const formatVetoes = count => t('voting.vetoed', { count });
+
+    const castBallot = () => {
+        const voterName = voter.trim() || defaultVoter;
+        onCastBallot({ voter: voterName, votes });
+        if (isGuest) {
+            onClose();
+            return;
+        }
+        // Ready for the next person
+        setLastVoter(voterName);
+        setVoter('');
+        setVotes({});
+    };
+
+    const tally = tallyVotes(options, ballots);
+
+    return (
+        <Modal
+            animationType="slide"
+            visible={isVisible}
+            onRequestClose={onClose}
+        >
+            <View style={[votingStyles.container, { backgroundColor: theme.background, direction }]}>
+                <View style={votingStyles.headerRow}>
+                    <Text style={[votingStyles.title, { color: theme.text }]}>{t('vote.title')}</Text>
+                    <TouchableOpacity onPress={onClose} style={votingStyles.closeTouch}>
+                        <Text style={[votingStyles.closeText, { color: theme.primary }]}>{t('vote.close')}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView style={votingStyles.content}>
+                    {!!lastVoter && (
+                        <Text style={[votingStyles.hint, { color: theme.textSecondary }]}>
+                            {t('vote.thanks', { name: lastVoter })}
+                        </Text>
+                    )}
+                    {!isGuest && (
+                        <TextInput
+                            style={[
+                                votingStyles.voterInput,
+                                { backgroundColor: theme.surface, borderColor: theme.border, color: theme.text }
+                            ]}
+                            value={voter}
+                            onChangeText={setVoter}
+                            placeholder={defaultVoter}
+                            placeholderTextColor={theme.placeholder}
+                        />
+                    )}
+
+                    {options.map(option => (
+                        <View
+                            key={option.id}
+                            style={[votingStyles.optionRow, { backgroundColor: theme.surface, borderBottomColor: theme.borderMuted }]}
+                        >
+                            <Text style={[votingStyles.optionName, { color: theme.text }]} numberOfLines={2}>
+                                {option.emoji ? `${option.emoji} ${option.name}` : option.name}
+                            </Text>
+                            {VOTE_CHOICES.map(({ vote, label, nameKey }) => {
+                                const isChosen = votes[option.id] === vote;
+                                const color = vote === VOTES.up ? theme.primary : (vote === VOTES.down ? theme.accent : theme.danger);
+                                return (
+                                    <TouchableOpacity
+                                        key={vote}
+                                        style={[votingStyles.voteButton, { borderColor: color }, isChosen && { backgroundColor: color }]}
+                                        onPress={() => toggleVote(option.id, vote)}
+                                        accessibilityLabel={t(nameKey, { name: option.name })}
+                                    >
+                                        <Text style={[votingStyles.voteButtonText, { color: isChosen ? 'white' : color }]}>{label}</Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    ))}
+
+                    <TouchableOpacity
+                        style={[votingStyles.castButton, { backgroundColor: theme.primary }]}
+                        onPress={castBallot}
+                    >
+                        <Text style={votingStyles.castButtonText}>{isGuest ? t('vote.send') : t('vote.cast')}</Text>
+                    </TouchableOpacity>
+
+                    {!isGuest && (
+                        <>
+                            <Text style={[votingStyles.sectionTitle, { color: theme.text }]}>
+                                {t('vote.tally', { ballots: t('voting.ballotCount', { count: ballots.length }) })}
+                            </Text>
+                            {ballots.length > 0 && (
+                                <Text style={[votingStyles.hint, { color: theme.textMuted }]}>
+                                    {ballots.map(ballot => ballot.voter).join(t('common.listSeparator'))}
+                                </Text>
+                            )}
+                            {tally.map(entry => (
+                                <View key={entry.option.id} style={votingStyles.tallyRow}>
+                                    <Text
+                                        style={[
+                                            votingStyles.tallyName,
+                                            { color: entry.vetoes > 0 ? theme.textMuted : theme.text },
+                                            entry.vetoes > 0 && votingStyles.tallyNameVetoed
+                                        ]}
+                                        numberOfLines={1}
+                                    >
+                                        {entry.option.name}
+                                    </Text>
+                                    <Text style={[votingStyles.tallyCounts, { color: theme.textSecondary }]}>
+                                        {formatVoteCounts(entry, formatVetoes)}
+                                    </Text>
+                                </View>
+                            ))}
+                        </>
+                    )}
+                </ScrollView>
+
+                {!isGuest && (
+                    <View style={votingStyles.actionRow}>
+                        <TouchableOpacity
+                            style={[
+                                votingStyles.actionButton,
+                                { backgroundColor: theme.accent },
+                                ballots.length === 0 && votingStyles.actionButtonDisabled
+                            ]}
+                            onPress={onSpin}
+                            disabled={ballots.length === 0}
+                        >
+                            <Text style={votingStyles.actionButtonText}>{t('vote.spin')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[
+                                votingStyles.actionButton,
+                                { backgroundColor: theme.primary },
+                                ballots.length === 0 && votingStyles.actionButtonDisabled
+                            ]}
+                            onPress={onTally}
+                            disabled={ballots.length === 0}
+                        >
+                            <Text style={votingStyles.actionButtonText}>{t('vote.justTally')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={votingStyles.linkTouch} onPress={onDiscard}>
+                            <Text style={[votingStyles.linkText, { color: theme.danger }]}>{t('vote.discard')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        </Modal>
+    );
+};
+
+const votingStyles = StyleSheet.create({
+    container: {
+        flex: 1,
+        paddingTop: 20,
+        paddingHorizontal: 15,
+        alignItems: 'center',
+    },
+    headerRow: {
+        width: '100%',
+        maxWidth: 700,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+    },
+    closeTouch: {
+        padding: 6,
+    },
+    closeText: {
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    content: {
+        width: '100%',
+        maxWidth: 700,
+    },
+    hint: {
+        fontSize: 14,
+        marginBottom: 10,
+    },
+    voterInput: {
+        borderWidth: 1,
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 16,
+        marginBottom: 10,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 10,
+        borderBottomWidth: 1,
+    },
+    optionName: {
+        flex: 1,
+        fontSize: 16,
+    },
+    voteButton: {
+        width: 36,
+        height: 32,
+        borderRadius: 16,
+        borderWidth: 2,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginStart: 8,
+    },
+    voteButtonText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    castButton: {
+        alignSelf: 'center',
+        paddingVertical: 10,
+        paddingHorizontal: 28,
+        borderRadius: 20,
+        marginVertical: 15,
+    },
+    castButtonText: {
+        color: 'white',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginBottom: 6,
+    },
+    tallyRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 4,
+    },
+    tallyName: {
+        flex: 1,
+        fontSize: 15,
+    },
+    tallyNameVetoed: {
+        textDecorationLine: 'line-through',
+    },
+    tallyCounts: {
+        fontSize: 14,
+        marginStart: 10,
+    },
+    actionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 15,
+    },
+    actionButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 20,
+        borderRadius: 8,
+        marginHorizontal: 6,
+    },
+    actionButtonDisabled: {
+        opacity: 0.5,
+    },
+    actionButtonText: {
+        color: 'white',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    linkTouch: {
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+});
+
+export default VotingModal;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+
+// Tabs for switching between the saved wheels, plus the actions that manage them
+const WheelBar = ({ wheels, activeWheelId, onSwitch, onCreate, onRename, onDuplicate, onDelete, onCombo }) => {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const actions = [
+        { label: t('wheelBar.new'), onPress: onCreate },
+        { label: t('wheelBar.rename'), onPress: onRename },
+        { label: t('wheelBar.duplicate'), onPress: onDuplicate },
+        { label: t('wheelBar.delete'), onPress: onDelete, disabled: wheels.length <= 1 },
+        { label: t('wheelBar.combo'), onPress: onCombo, disabled: wheels.length <= 1 },
+    ];
+
+    return (
+        <View style={wheelBarStyles.container}>
+            <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={wheelBarStyles.tabs}
+            >
+                {wheels.map((wheel) => {
+                    const isActive = wheel.id === activeWheelId;
+                    return (
+                        <TouchableOpacity
+                            key={wheel.id}
+                            style={[
+                                wheelBarStyles.tab,
+                                { backgroundColor: theme.surface, borderColor: theme.border },
+                                isActive && { backgroundColor: theme.primary, borderColor: theme.primary }
+                            ]}
+                            onPress={() => onSwitch(wheel.id)}
+                        >
+                            <Text
+                                style={[wheelBarStyles.tabText, { color: theme.text }, isActive && wheelBarStyles.tabTextActive]}
+                                numberOfLines={1}
+                            >
+                                {wheel.name}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+            <View style={wheelBarStyles.actions}>
+                {actions.map(action => (
+                    <TouchableOpacity
+                        key={action.label}
+                        style={wheelBarStyles.action}
+                        onPress={action.onPress}
+                        disabled={action.disabled}
+                    >
+                        <Text style={[wheelBarStyles.actionText, { color: action.disabled ? theme.disabled : theme.primary }]}>
+                            {action.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+        </View>
+    );
+};
+
+const wheelBarStyles = StyleSheet.create({
+    container: {
+        width: '95%',
+        maxWidth: 700,
+        marginBottom: 10,
+    },
+    tabs: {
+        paddingVertical: 2,
+    },
+    tab: {
+        maxWidth: 160,
+        paddingVertical: 6,
+        paddingHorizontal: 14,
+        marginEnd: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#D1D9E6',
+        backgroundColor: '#FFFFFF',
+    },
+    tabText: {
+        fontSize: 14,
+        color: '#333',
+    },
+    tabTextActive: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        marginTop: 6,
+    },
+    action: {
+        paddingVertical: 4,
+        paddingHorizontal: 10,
+    },
+    actionText: {
+        fontSize: 13,
+        color: '#007BFF',
+        fontWeight: '600',
+    },
+});
+
+export default WheelBar;
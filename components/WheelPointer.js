@@ -0,0 +1,70 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { POINTER_POSITIONS } from '../utils/spinPhysics';
+
+// How far the pointer reaches past the rim of the wheel
+const POINTER_OVERHANG = 15;
+
+export const POINTER_SIZES = {
+    regular: { halfWidth: 12, length: 30 },
+    tablet: { halfWidth: 15, length: 35 },
+    desktop: { halfWidth: 18, length: 40 },
+};
+
+// Pointers are CSS triangles: a colored border of `length` on the side facing away from
+// the wheel, between two transparent borders of `halfWidth`
+const getPointerStyles = (position, { halfWidth, length }, color) => {
+    const across = { borderLeftWidth: halfWidth, borderRightWidth: halfWidth };
+    const along = { borderTopWidth: halfWidth, borderBottomWidth: halfWidth };
+    switch (position) {
+        case POINTER_POSITIONS.top:
+            return {
+                container: { top: -POINTER_OVERHANG, left: '50%', transform: [{ translateX: -halfWidth }] },
+                arrow: { ...across, borderTopWidth: length, borderTopColor: color },
+            };
+        case POINTER_POSITIONS.left:
+            return {
+                container: { left: -POINTER_OVERHANG, top: '50%', transform: [{ translateY: -halfWidth }] },
+                arrow: { ...along, borderLeftWidth: length, borderLeftColor: color },
+            };
+        case POINTER_POSITIONS.right:
+            return {
+                container: { right: -POINTER_OVERHANG, top: '50%', transform: [{ translateY: -halfWidth }] },
+                arrow: { ...along, borderRightWidth: length, borderRightColor: color },
+            };
+        default:
+            return {
+                container: { bottom: -POINTER_OVERHANG, left: '50%', transform: [{ translateX: -halfWidth }] },
+                arrow: { ...across, borderBottomWidth: length, borderBottomColor: color },
+            };
+    }
+};
+
+// The arrow that marks the winning slice, on whichever side of the wheel the pointer is set to
+const WheelPointer = ({ position, color, size = POINTER_SIZES.regular }) => {
+    const pointerStyles = getPointerStyles(position, size, color);
+    return (
+        <View pointerEvents="none" style={[wheelPointerStyles.container, pointerStyles.container]}>
+            <View style={[wheelPointerStyles.arrow, pointerStyles.arrow]} />
+        </View>
+    );
+};
+
+const wheelPointerStyles = StyleSheet.create({
+    container: {
+        position: 'absolute',
+        zIndex: 10,
+    },
+    arrow: {
+        width: 0,
+        height: 0,
+        backgroundColor: 'transparent',
+        borderStyle: 'solid',
+        borderTopColor: 'transparent',
+        borderRightColor: 'transparent',
+        borderBottomColor: 'transparent',
+        borderLeftColor: 'transparent',
+    },
+});
+
+export default WheelPointer;
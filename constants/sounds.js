@@ -0,0 +1,20 @@
+// Sound effects described as notes, so they can be synthesized on every
+// platform without shipping audio files. Times are in seconds
+
+export const SOUNDS = {
+    // A short click for every slice boundary passing the pointer
+    tick: {
+        volume: 0.25,
+        notes: [{ frequency: 1800, start: 0, duration: 0.03 }],
+    },
+    // A rising major arpeggio for the result
+    fanfare: {
+        volume: 0.3,
+        notes: [
+            { frequency: 523.25, start: 0, duration: 0.12 },
+            { frequency: 659.25, start: 0.12, duration: 0.12 },
+            { frequency: 783.99, start: 0.24, duration: 0.12 },
+            { frequency: 1046.5, start: 0.36, duration: 0.45 },
+        ],
+    },
+};
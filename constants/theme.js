@@ -0,0 +1,69 @@
+// Colors for the app chrome and the wheel
+
+export const THEME_MODES = {
+    system: 'system',
+    light: 'light',
+    dark: 'dark',
+};
+
+export const THEMES = {
+    light: {
+        isDark: false,
+        background: '#F7F9FC',
+        surface: '#FFFFFF',
+        surfaceMuted: '#F0F3F9',
+        text: '#333333',
+        textSecondary: '#555555',
+        textMuted: '#888888',
+        placeholder: '#999999',
+        border: '#D1D9E6',
+        borderMuted: '#E6EBF5',
+        primary: '#007BFF',
+        accent: '#FF6347',
+        danger: '#f44336',
+        disabled: '#C8D0DC',
+        overlay: 'rgba(0,0,0,0.5)',
+        wheelStroke: '#FFFFFF',
+        placeholderWheel: '#f0f0f0',
+    },
+    dark: {
+        isDark: true,
+        background: '#121418',
+        surface: '#1E2228',
+        surfaceMuted: '#262B33',
+        text: '#ECEFF4',
+        textSecondary: '#C3C9D3',
+        textMuted: '#8A93A3',
+        placeholder: '#6B7380',
+        border: '#3A414C',
+        borderMuted: '#2C323B',
+        primary: '#4DA3FF',
+        accent: '#FF7A5C',
+        danger: '#FF6B6B',
+        disabled: '#4A515C',
+        overlay: 'rgba(0,0,0,0.7)',
+        wheelStroke: '#1E2228',
+        placeholderWheel: '#262B33',
+    },
+};
+
+export const PALETTES = {
+    classic: {
+        colors: [
+            '#FF6F61', '#6B5B95', '#88B04B', '#F7CAC9', '#92A8D1',
+            '#E77B7C', '#D65076', '#45B8AC', '#C6B49D', '#ADADAD',
+        ],
+    },
+    vivid: {
+        colors: ['#E63946', '#F4A261', '#2A9D8F', '#264653', '#E9C46A', '#8AB17D', '#6D597A', '#457B9D'],
+    },
+    pastel: {
+        colors: ['#FFB3BA', '#FFDFBA', '#FFFFBA', '#BAFFC9', '#BAE1FF', '#D7BAFF', '#FFC8E4', '#C9F2E8'],
+    },
+    // Okabe–Ito palette, distinguishable with the common forms of color blindness
+    colorblind: {
+        colors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+    },
+};
+
+export const DEFAULT_PALETTE = 'classic';
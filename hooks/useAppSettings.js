@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_PALETTE, THEME_MODES } from '../constants/theme';
+import { SYSTEM_LANGUAGE } from '../utils/i18n';
+import { DEFAULT_RELAY_URL } from '../utils/roomProtocol';
+import { DEFAULT_POINTER_POSITION } from '../utils/spinPhysics';
+import { loadItem, saveItem } from '../utils/storage';
+
+const STORAGE_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+    themeMode: THEME_MODES.system,
+    palette: DEFAULT_PALETTE,
+    // A catalog in utils/i18n, or the device's language
+    language: SYSTEM_LANGUAGE,
+    // Which side of the wheel the arrow points from
+    pointerPosition: DEFAULT_POINTER_POSITION,
+    // Shows which slice the engine sees under the pointer, for checking alignment
+    showPointerDebug: false,
+    soundEnabled: true,
+    hapticsEnabled: true,
+    // Remembered so a muted app stays quiet the next time it opens
+    muted: false,
+    // Saved wheels that spin together; fewer than two means a single wheel
+    comboWheelIds: [],
+    // Last used for shared rooms
+    relayUrl: DEFAULT_RELAY_URL,
+    playerName: '',
+};
+
+// App-wide preferences, as opposed to the per-wheel settings kept by useWheels
+const useAppSettings = () => {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [isLoaded, setIsLoaded] = useState(false);
+
+    useEffect(() => {
+        let isCancelled = false;
+        loadItem(STORAGE_KEY).then((storedSettings) => {
+            if (isCancelled) {
+                return;
+            }
+            if (storedSettings && typeof storedSettings === 'object') {
+                setSettings({ ...DEFAULT_SETTINGS, ...storedSettings });
+            }
+            setIsLoaded(true);
+        });
+        return () => {
+            isCancelled = true;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (isLoaded) {
+            saveItem(STORAGE_KEY, settings);
+        }
+    }, [settings, isLoaded]);
+
+    const updateSettings = useCallback((changes) => {
+        setSettings(current => ({ ...current, ...changes }));
+    }, []);
+
+    return { isLoaded, settings, updateSettings };
+};
+
+export default useAppSettings;
@@ -0,0 +1,28 @@
+import { useCallback, useRef } from 'react';
+import { AccessibilityInfo, findNodeHandle, Platform } from 'react-native';
+
+// Moves keyboard and screen reader focus onto a dialog's button once the dialog has
+// opened: pass `onShow` to the Modal and `targetRef` to the button. On the web the
+// modal's own focus trap hands focus back to the opening control when it closes
+const useDialogFocus = () => {
+    const targetRef = useRef(null);
+
+    const onShow = useCallback(() => {
+        const target = targetRef.current;
+        if (!target) {
+            return;
+        }
+        if (Platform.OS === 'web') {
+            target.focus?.();
+            return;
+        }
+        const node = findNodeHandle(target);
+        if (node) {
+            AccessibilityInfo.setAccessibilityFocus(node);
+        }
+    }, []);
+
+    return { targetRef, onShow };
+};
+
+export default useDialogFocus;
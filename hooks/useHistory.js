@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createId } from '../utils/ids';
+import { loadItem, saveItem } from '../utils/storage';
+
+const STORAGE_KEY = 'history';
+
+// Oldest spins are dropped beyond this so storage stays small
+const MAX_ENTRIES = 1000;
+
+// Persisted log of every spin, newest first
+const useHistory = () => {
+    const [entries, setEntries] = useState([]);
+    const [isLoaded, setIsLoaded] = useState(false);
+
+    useEffect(() => {
+        let isCancelled = false;
+        loadItem(STORAGE_KEY, []).then((storedEntries) => {
+            if (isCancelled) {
+                return;
+            }
+            if (Array.isArray(storedEntries)) {
+                setEntries(storedEntries);
+            }
+            setIsLoaded(true);
+        });
+        return () => {
+            isCancelled = true;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (isLoaded) {
+            saveItem(STORAGE_KEY, entries);
+        }
+    }, [entries, isLoaded]);
+
+    // Stores the winner together with a snapshot of the options it was drawn from,
+    // plus the seed and options hash for seeded spins so they can be verified later.
+    // `path` lists the picks on the parent wheels a sub-wheel was reached through, top first.
+    // `excludedIds` are the options the fairness policy kept from winning this spin
+    const recordSpin = useCallback(({ wheel, winner, options, proof, path, excludedIds }) => {
+        const entry = {
+            id: createId(),
+            timestamp: Date.now(),
+            wheelId: wheel.id,
+            wheelName: wheel.name,
+            winnerId: winner.id,
+            winnerName: winner.name,
+            options: options.map(({ id, name, weight }) => ({ id, name, weight })),
+            ...(proof ? { seed: proof.seed, optionsHash: proof.optionsHash } : {}),
+            ...(path?.length ? { path } : {}),
+            ...(excludedIds?.size ? { excludedIds: [...excludedIds] } : {}),
+        };
+        setEntries(current => [entry, ...current].slice(0, MAX_ENTRIES));
+        return entry;
+    }, []);
+
+    // What the group did with the result: 'accepted' or 'vetoed'
+    const setDecision = useCallback((entryId, decision) => {
+        setEntries(current => current.map(entry => (entry.id === entryId ? { ...entry, decision } : entry)));
+    }, []);
+
+    const clearHistory = useCallback((wheelId) => {
+        setEntries(current => (wheelId ? current.filter(entry => entry.wheelId !== wheelId) : []));
+    }, []);
+
+    return { isLoaded, entries, recordSpin, setDecision, clearHistory };
+};
+
+export default useHistory;
@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LANGUAGE } from '../utils/i18n';
+
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+// The current language: `t(key, params)` for its messages, and whether it reads right to left
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
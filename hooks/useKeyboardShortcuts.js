@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+
+const TEXT_FIELD_SELECTOR = 'input, textarea, select, [contenteditable="true"]';
+// Controls that Space already presses
+const PRESSABLE_ROLES = ['button', 'checkbox', 'link', 'menuitem', 'radio', 'switch', 'tab'];
+
+const isTextField = element => !!element?.closest?.(TEXT_FIELD_SELECTOR);
+
+const isPressable = element => (
+    !!element?.tagName
+    && (['A', 'BUTTON'].includes(element.tagName) || PRESSABLE_ROLES.includes(element.getAttribute('role')))
+);
+
+/**
+ * Keyboard shortcuts on the web: Space spins, and Delete or Backspace calls
+ * `onDelete`, which returns whether it removed something. Keys typed into a field
+ * or pressed on a focused button are left to them, and nothing fires while
+ * `isEnabled` is false. Escape needs nothing here: every Modal closes on it
+ * through its onRequestClose.
+ */
+const useKeyboardShortcuts = ({ isEnabled, onSpin, onDelete }) => {
+    const handlersRef = useRef({ isEnabled, onSpin, onDelete });
+    handlersRef.current = { isEnabled, onSpin, onDelete };
+
+    useEffect(() => {
+        if (Platform.OS !== 'web') {
+            return undefined;
+        }
+        const handleKeyDown = (event) => {
+            const handlers = handlersRef.current;
+            if (!handlers.isEnabled || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+                return;
+            }
+            if (isTextField(event.target)) {
+                return;
+            }
+            if (event.key === ' ' && !isPressable(event.target)) {
+                // Space would otherwise scroll the page
+                event.preventDefault();
+                if (!event.repeat) {
+                    handlers.onSpin();
+                }
+            } else if ((event.key === 'Delete' || event.key === 'Backspace') && handlers.onDelete()) {
+                event.preventDefault();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+};
+
+export default useKeyboardShortcuts;
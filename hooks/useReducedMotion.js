@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+// Whether the OS asks apps to keep motion down; on the web this is prefers-reduced-motion
+const useReducedMotion = () => {
+    const [isEnabled, setIsEnabled] = useState(false);
+
+    useEffect(() => {
+        let isMounted = true;
+        AccessibilityInfo.isReduceMotionEnabled()
+            .then((enabled) => {
+                if (isMounted) {
+                    setIsEnabled(enabled);
+                }
+            })
+            .catch(() => {});
+        const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setIsEnabled);
+        return () => {
+            isMounted = false;
+            subscription?.remove();
+        };
+    }, []);
+
+    return isEnabled;
+};
+
+export default useReducedMotion;
@@ -0,0 +1,195 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createId } from '../utils/ids';
+import { ROOM_ERRORS, ROOM_MESSAGES } from '../utils/roomProtocol';
+
+export const ROOM_STATUS = {
+    idle: 'idle',
+    connecting: 'connecting',
+    connected: 'connected',
+};
+
+const INITIAL_ROOM = {
+    status: ROOM_STATUS.idle,
+    code: null,
+    isHost: false,
+    participants: [],
+    // The host's wheel as guests see it
+    sharedWheel: null,
+    // Options guests proposed, waiting for the host
+    proposals: [],
+    // A message key and params, or the relay's own text when it sends no error code
+    error: null,
+};
+
+// Codes this app knows are worded in its language; anything else keeps the relay's text
+const toRoomError = ({ errorCode, params }, text) => (
+    Object.values(ROOM_ERRORS).includes(errorCode) ? { key: `room.errors.${errorCode}`, params } : text
+);
+
+// A connection to a shared spin room on the relay. The host shares its wheel and
+// decides every spin; guests get both and may propose options and vote. `onSpin` is
+// called with every spin the host broadcasts, `onBallot` with every guest ballot the host gets
+const useRoom = ({ onSpin, onBallot }) => {
+    const socketRef = useRef(null);
+    const handlersRef = useRef({ onSpin, onBallot });
+    const [room, setRoom] = useState(INITIAL_ROOM);
+
+    handlersRef.current = { onSpin, onBallot };
+
+    const send = useCallback((message) => {
+        const socket = socketRef.current;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }, []);
+
+    const connect = useCallback((url, firstMessage, isHost) => {
+        socketRef.current?.close();
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch {
+            setRoom({ ...INITIAL_ROOM, error: { key: 'room.errors.badAddress', params: { url } } });
+            return;
+        }
+        socketRef.current = socket;
+        setRoom({ ...INITIAL_ROOM, status: ROOM_STATUS.connecting, isHost });
+
+        // Events of a socket that has since been replaced are ignored
+        const isCurrent = () => socketRef.current === socket;
+        const updateRoom = changes => setRoom(current => ({ ...current, ...changes }));
+        let isInRoom = false;
+
+        socket.onopen = () => socket.send(JSON.stringify(firstMessage));
+
+        socket.onmessage = (event) => {
+            if (!isCurrent()) {
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            switch (message.type) {
+                case ROOM_MESSAGES.created:
+                case ROOM_MESSAGES.joined:
+                    isInRoom = true;
+                    updateRoom({ status: ROOM_STATUS.connected, code: message.code, sharedWheel: message.wheel || null });
+                    break;
+                case ROOM_MESSAGES.presence:
+                    updateRoom({ participants: message.participants });
+                    break;
+                case ROOM_MESSAGES.wheel:
+                    updateRoom({ sharedWheel: message.wheel });
+                    break;
+                case ROOM_MESSAGES.spin:
+                    handlersRef.current.onSpin(message.spin);
+                    break;
+                case ROOM_MESSAGES.ballot:
+                    handlersRef.current.onBallot(message.ballot);
+                    break;
+                case ROOM_MESSAGES.proposal:
+                    setRoom(current => ({
+                        ...current,
+                        proposals: [...current.proposals, { id: createId(), name: message.name, from: message.from }],
+                    }));
+                    break;
+                case ROOM_MESSAGES.closed:
+                    setRoom({ ...INITIAL_ROOM, error: toRoomError(message, message.reason) });
+                    socketRef.current = null;
+                    socket.close();
+                    break;
+                case ROOM_MESSAGES.error:
+                    // A join that failed leaves nothing to stay connected for
+                    if (isInRoom) {
+                        updateRoom({ error: toRoomError(message, message.message) });
+                    } else {
+                        setRoom({ ...INITIAL_ROOM, error: toRoomError(message, message.message) });
+                        socketRef.current = null;
+                        socket.close();
+                    }
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        socket.onerror = () => {
+            if (isCurrent()) {
+                updateRoom({ error: { key: 'room.errors.unreachable', params: { url } } });
+            }
+        };
+
+        socket.onclose = () => {
+            if (isCurrent()) {
+                socketRef.current = null;
+                setRoom(current => ({
+                    ...INITIAL_ROOM,
+                    error: current.error || (isInRoom ? { key: 'room.errors.lost' } : null),
+                }));
+            }
+        };
+    }, []);
+
+    // Nothing outlives the app screen
+    useEffect(() => () => {
+        const socket = socketRef.current;
+        socketRef.current = null;
+        socket?.close();
+    }, []);
+
+    const hostRoom = useCallback((url, name) => {
+        connect(url, { type: ROOM_MESSAGES.create, name }, true);
+    }, [connect]);
+
+    const joinRoom = useCallback((url, code, name) => {
+        connect(url, { type: ROOM_MESSAGES.join, code, name }, false);
+    }, [connect]);
+
+    const leaveRoom = useCallback(() => {
+        const socket = socketRef.current;
+        send({ type: ROOM_MESSAGES.leave });
+        socketRef.current = null;
+        socket?.close();
+        setRoom(INITIAL_ROOM);
+    }, [send]);
+
+    const shareWheel = useCallback((wheel) => {
+        send({ type: ROOM_MESSAGES.wheel, wheel });
+    }, [send]);
+
+    const shareSpin = useCallback((spin) => {
+        send({ type: ROOM_MESSAGES.spin, spin });
+    }, [send]);
+
+    const propose = useCallback((name) => {
+        send({ type: ROOM_MESSAGES.propose, name });
+    }, [send]);
+
+    const vote = useCallback((votes) => {
+        send({ type: ROOM_MESSAGES.vote, votes });
+    }, [send]);
+
+    const dismissProposal = useCallback((proposalId) => {
+        setRoom(current => ({
+            ...current,
+            proposals: current.proposals.filter(proposal => proposal.id !== proposalId),
+        }));
+    }, []);
+
+    return {
+        ...room,
+        hostRoom,
+        joinRoom,
+        leaveRoom,
+        shareWheel,
+        shareSpin,
+        propose,
+        vote,
+        dismissProposal,
+    };
+};
+
+export default useRoom;
@@ -0,0 +1,68 @@
+import * as Haptics from 'expo-haptics';
+import { useCallback, useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+import { playFanfare, playTick, prepareSound } from '../utils/sound';
+import { findSegmentIndex } from '../utils/spinnerEngine';
+import { getAngleUnderPointer } from '../utils/spinPhysics';
+
+// Ticks closer together than this merge into one, so a fast spin doesn't turn into a buzz
+const MIN_TICK_INTERVAL_MS = 40;
+
+const hasHaptics = Platform.OS !== 'web';
+
+// Ticks and haptic pulses whenever a slice boundary passes the pointer, whether the
+// wheel is spinning or being dragged; they slow down with the wheel by themselves
+const useSpinFeedback = ({ rotationValue, segments, pointer, soundEnabled, hapticsEnabled }) => {
+    const segmentsRef = useRef(segments);
+    const pointerRef = useRef(pointer);
+    const enabledRef = useRef({ soundEnabled, hapticsEnabled });
+    const lastIndexRef = useRef(-1);
+    const lastTickRef = useRef(0);
+
+    segmentsRef.current = segments;
+    pointerRef.current = pointer;
+    enabledRef.current = { soundEnabled, hapticsEnabled };
+
+    useEffect(() => {
+        const listenerId = rotationValue.addListener(({ value }) => {
+            const index = findSegmentIndex(segmentsRef.current, getAngleUnderPointer(value, pointerRef.current));
+            if (index === lastIndexRef.current) {
+                return;
+            }
+            lastIndexRef.current = index;
+
+            const now = Date.now();
+            if (now - lastTickRef.current < MIN_TICK_INTERVAL_MS) {
+                return;
+            }
+            lastTickRef.current = now;
+            if (enabledRef.current.soundEnabled) {
+                playTick();
+            }
+            if (enabledRef.current.hapticsEnabled && hasHaptics) {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+            }
+        });
+        return () => rotationValue.removeListener(listenerId);
+    }, [rotationValue]);
+
+    // Call from the press or drag that starts a spin; browsers only unlock audio during a user gesture
+    const prepare = useCallback(() => {
+        if (enabledRef.current.soundEnabled) {
+            prepareSound();
+        }
+    }, []);
+
+    const celebrate = useCallback(() => {
+        if (enabledRef.current.soundEnabled) {
+            playFanfare();
+        }
+        if (enabledRef.current.hapticsEnabled && hasHaptics) {
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+        }
+    }, []);
+
+    return { prepare, celebrate };
+};
+
+export default useSpinFeedback;
@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { reloadApp } from '../utils/extension';
+import { isSyncAvailable, loadSyncEnabled, setSyncEnabled } from '../utils/storage';
+
+// Whether the extension syncs wheels and settings across the user's browsers.
+// `onError` is called when the storage could not be switched
+const useStorageSync = ({ onError }) => {
+    const [isEnabled, setIsEnabled] = useState(false);
+    const isAvailable = isSyncAvailable();
+    const onErrorRef = useRef(onError);
+
+    onErrorRef.current = onError;
+
+    useEffect(() => {
+        if (isAvailable) {
+            loadSyncEnabled().then(setIsEnabled);
+        }
+    }, [isAvailable]);
+
+    // Switching may bring in another browser's wheels, so the app starts over with them.
+    // A switch that fails is undone, and the app carries on with what it has
+    const changeEnabled = useCallback(async (enabled) => {
+        setIsEnabled(enabled);
+        try {
+            await setSyncEnabled(enabled);
+        } catch (error) {
+            console.warn('Could not switch sync', error);
+            setIsEnabled(!enabled);
+            onErrorRef.current(error);
+            return;
+        }
+        reloadApp();
+    }, []);
+
+    return { isAvailable, isEnabled, changeEnabled };
+};
+
+export default useStorageSync;
@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+import { THEMES } from '../constants/theme';
+
+export const ThemeContext = createContext(THEMES.light);
+
+// Colors of the current light or dark theme
+const useTheme = () => useContext(ThemeContext);
+
+export default useTheme;
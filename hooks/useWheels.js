@@ -0,0 +1,223 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createId } from '../utils/ids';
+import { loadItem, saveItem } from '../utils/storage';
+
+const STORAGE_KEY = 'wheels';
+
+// How many option list changes can be undone
+const MAX_UNDO_STEPS = 50;
+
+// The options of the first wheel, as keys under defaultWheel.options in the catalogs
+const DEFAULT_OPTION_KEYS = ['walk', 'read', 'movie', 'game', 'hobby'];
+
+// The wheel a first launch starts with, worded in the app's language
+const createDefaultState = (t) => {
+    const options = DEFAULT_OPTION_KEYS.map((key, index) => ({
+        id: String(index + 1),
+        name: t(`defaultWheel.options.${key}`),
+        weight: 1,
+    }));
+    const wheel = { id: createId(), name: t('defaultWheel.name'), options };
+    return { activeWheelId: wheel.id, wheels: [wheel] };
+};
+
+// Guards against missing or corrupted data coming back from storage
+const isValidState = (state) => (
+    !!state &&
+    Array.isArray(state.wheels) &&
+    state.wheels.length > 0 &&
+    state.wheels.every(wheel => wheel && typeof wheel.id === 'string' && Array.isArray(wheel.options))
+);
+
+// Owns the list of named wheels, keeps it persisted and remembers the last used wheel.
+// `t` words the default wheel when nothing is stored yet
+const useWheels = ({ t }) => {
+    const tRef = useRef(t);
+    tRef.current = t;
+    const [state, setState] = useState(() => createDefaultState(t));
+    const [isLoaded, setIsLoaded] = useState(false);
+    // Undo and redo snapshots of the options of one wheel; switching wheels starts afresh
+    const [undoState, setUndoState] = useState({ wheelId: null, past: [], future: [] });
+
+    useEffect(() => {
+        let isCancelled = false;
+        loadItem(STORAGE_KEY).then((storedState) => {
+            if (isCancelled) {
+                return;
+            }
+            if (isValidState(storedState)) {
+                const hasActiveWheel = storedState.wheels.some(wheel => wheel.id === storedState.activeWheelId);
+                setState({
+                    wheels: storedState.wheels,
+                    activeWheelId: hasActiveWheel ? storedState.activeWheelId : storedState.wheels[0].id,
+                });
+            } else {
+                // Nothing stored: start in the language the settings have by now
+                setState(createDefaultState(tRef.current));
+            }
+            setIsLoaded(true);
+        });
+        return () => {
+            isCancelled = true;
+        };
+    }, []);
+
+    useEffect(() => {
+        // Don't overwrite stored wheels with the defaults before they have been read
+        if (isLoaded) {
+            saveItem(STORAGE_KEY, state);
+        }
+    }, [state, isLoaded]);
+
+    const activeWheel = useMemo(
+        () => state.wheels.find(wheel => wheel.id === state.activeWheelId) || state.wheels[0],
+        [state]
+    );
+
+    const updateWheel = useCallback((wheelId, updater) => {
+        setState(current => ({
+            ...current,
+            wheels: current.wheels.map(wheel => (wheel.id === wheelId ? updater(wheel) : wheel)),
+        }));
+    }, []);
+
+    const undoHistory = undoState.wheelId === activeWheel.id ? undoState : { past: [], future: [] };
+
+    // Accepts either a new options array or an updater function, like a state setter.
+    // Every change is recorded so it can be undone
+    const setOptions = useCallback((nextOptions) => {
+        const previousOptions = activeWheel.options;
+        const resolvedOptions = typeof nextOptions === 'function' ? nextOptions(previousOptions) : nextOptions;
+        updateWheel(activeWheel.id, wheel => ({ ...wheel, options: resolvedOptions }));
+        setUndoState(current => ({
+            wheelId: activeWheel.id,
+            past: [...(current.wheelId === activeWheel.id ? current.past : []), previousOptions].slice(-MAX_UNDO_STEPS),
+            future: [],
+        }));
+    }, [activeWheel, updateWheel]);
+
+    const undo = useCallback(() => {
+        if (undoHistory.past.length === 0) {
+            return;
+        }
+        const restoredOptions = undoHistory.past[undoHistory.past.length - 1];
+        updateWheel(activeWheel.id, wheel => ({ ...wheel, options: restoredOptions }));
+        setUndoState({
+            wheelId: activeWheel.id,
+            past: undoHistory.past.slice(0, -1),
+            future: [activeWheel.options, ...undoHistory.future],
+        });
+    }, [activeWheel, undoHistory, updateWheel]);
+
+    const redo = useCallback(() => {
+        if (undoHistory.future.length === 0) {
+            return;
+        }
+        const [restoredOptions, ...future] = undoHistory.future;
+        updateWheel(activeWheel.id, wheel => ({ ...wheel, options: restoredOptions }));
+        setUndoState({
+            wheelId: activeWheel.id,
+            past: [...undoHistory.past, activeWheel.options],
+            future,
+        });
+    }, [activeWheel, undoHistory, updateWheel]);
+
+    // Per-wheel spin settings such as the spin mode; merged into the existing ones
+    const updateWheelSettings = useCallback((wheelId, settings) => {
+        updateWheel(wheelId, wheel => ({ ...wheel, settings: { ...wheel.settings, ...settings } }));
+    }, [updateWheel]);
+
+    const createWheel = useCallback((name, options = []) => {
+        const wheel = { id: createId(), name, options };
+        setState(current => ({ activeWheelId: wheel.id, wheels: [...current.wheels, wheel] }));
+        return wheel;
+    }, []);
+
+    const renameWheel = useCallback((wheelId, name) => {
+        updateWheel(wheelId, wheel => ({ ...wheel, name }));
+    }, [updateWheel]);
+
+    const duplicateWheel = useCallback((wheelId, name) => {
+        setState(current => {
+            const source = current.wheels.find(wheel => wheel.id === wheelId);
+            if (!source) {
+                return current;
+            }
+            const copy = {
+                ...source,
+                id: createId(),
+                name,
+                options: source.options.map(option => ({ ...option })),
+            };
+            const sourceIndex = current.wheels.indexOf(source);
+            const wheels = [...current.wheels];
+            wheels.splice(sourceIndex + 1, 0, copy);
+            return { activeWheelId: copy.id, wheels };
+        });
+    }, []);
+
+    const deleteWheel = useCallback((wheelId) => {
+        setState(current => {
+            // There is always at least one wheel to spin
+            if (current.wheels.length <= 1) {
+                return current;
+            }
+            const deletedIndex = current.wheels.findIndex(wheel => wheel.id === wheelId);
+            const wheels = current.wheels.filter(wheel => wheel.id !== wheelId);
+            const activeWheelId = current.activeWheelId === wheelId
+                ? wheels[Math.max(0, deletedIndex - 1)].id
+                : current.activeWheelId;
+            return { activeWheelId, wheels };
+        });
+    }, []);
+
+    // Opens a wheel received through a share link, reusing an identical saved wheel if there is one
+    const openSharedWheel = useCallback(({ name, options }) => {
+        const optionsKey = JSON.stringify(options.map(option => [option.name, option.weight ?? 1]));
+        setState(current => {
+            const existing = current.wheels.find(wheel => (
+                wheel.name === name &&
+                JSON.stringify(wheel.options.map(option => [option.name, option.weight ?? 1])) === optionsKey
+            ));
+            if (existing) {
+                return { ...current, activeWheelId: existing.id };
+            }
+            const wheel = {
+                id: createId(),
+                name,
+                options: options.map(option => ({ ...option, id: createId() })),
+            };
+            return { activeWheelId: wheel.id, wheels: [...current.wheels, wheel] };
+        });
+    }, []);
+
+    const switchWheel = useCallback((wheelId) => {
+        setState(current => (
+            current.wheels.some(wheel => wheel.id === wheelId)
+                ? { ...current, activeWheelId: wheelId }
+                : current
+        ));
+    }, []);
+
+    return {
+        isLoaded,
+        wheels: state.wheels,
+        activeWheel,
+        options: activeWheel.options,
+        settings: activeWheel.settings || {},
+        setOptions,
+        undo,
+        redo,
+        canUndo: undoHistory.past.length > 0,
+        canRedo: undoHistory.future.length > 0,
+        updateWheelSettings,
+        createWheel,
+        renameWheel,
+        duplicateWheel,
+        deleteWheel,
+        switchWheel,
+        openSharedWheel,
+    };
+};
+
+export default useWheels;
@@ -0,0 +1,416 @@
+// Arabic messages. Counted messages carry every Arabic plural form; `other` is worded
+// to read right with any number, since engines without Intl.PluralRules only pick
+// between `one` and `other`
+export default {
+    common: {
+        loading: 'جارٍ التحميل...',
+        listSeparator: '، ',
+        ok: 'حسنًا',
+        cancel: 'إلغاء',
+        done: 'تم',
+        copied: 'تم النسخ!',
+        copy: 'نسخ',
+    },
+    app: {
+        name: 'عجلة القرار',
+        tagline: 'محتار؟ لنتخذ القرار معًا!',
+    },
+    defaultWheel: {
+        name: 'عجلتي',
+        options: {
+            walk: 'الخروج في نزهة',
+            read: 'قراءة كتاب',
+            movie: 'مشاهدة فيلم',
+            game: 'لعب لعبة',
+            hobby: 'ممارسة هواية',
+        },
+    },
+    wheel: {
+        named: 'عجلة {name}',
+        unnamed: 'العجلة',
+        a11yOptions: {
+            one: '{wheel} فيها خيار واحد: {options}.',
+            two: '{wheel} فيها خياران: {options}.',
+            few: '{wheel} فيها {count} خيارات: {options}.',
+            many: '{wheel} فيها {count} خيارًا: {options}.',
+            other: '{wheel}، وعدد خياراتها {count}: {options}.',
+        },
+        a11yEmpty: '{wheel} بلا خيارات.',
+        a11yLanded: 'توقفت عند {name}.',
+    },
+    spinModes: {
+        normal: 'عادي',
+        winnerOut: 'ترتيب السحب',
+        loserOut: 'آخر من يبقى',
+    },
+    prompts: {
+        newWheel: 'عجلة جديدة',
+        renameWheel: 'إعادة تسمية العجلة',
+        duplicateWheel: 'نسخ العجلة',
+        copyName: '{name} (نسخة)',
+        importedWheel: 'عجلة مستوردة',
+        sharedWheel: 'عجلة مشتركة',
+        wheelNamePlaceholder: 'اسم العجلة',
+    },
+    alerts: {
+        deleteWheelTitle: 'حذف العجلة',
+        deleteWheelMessage: 'هل تريد حذف «{name}» وكل خياراتها؟',
+        duplicateTitle: 'خيار مكرر',
+        duplicateMessage: '«{name}» موجود في القائمة بالفعل!',
+        inputRequiredTitle: 'الإدخال مطلوب',
+        inputRequiredMessage: 'يُرجى كتابة خيار قبل الإرسال.',
+        linkCopiedTitle: 'تم نسخ الرابط',
+        linkCopiedMessage: 'كل من يفتح هذا الرابط يدير الخيارات نفسها:\n{link}',
+        winnerTitle: 'لدينا فائز!',
+        lastStanding: '{name} آخر الباقين.',
+        allDrawnTitle: 'سُحبت كل الخيارات',
+        everythingVetoedTitle: 'رُفض كل شيء',
+        everythingVetoedMessage: 'رُفضت كل الخيارات بالفيتو. تجاهل الأصوات أو صوّت من جديد.',
+        noOptionsTitle: 'لا توجد خيارات',
+        comboWheelEmpty: 'لا توجد في «{name}» خيارات لتدويرها.',
+        addOptionsFirst: 'يُرجى إضافة بعض الخيارات أولًا!',
+        allDisabled: 'كل الخيارات معطّلة. فعّل بعضها لتدوير العجلة.',
+        allVetoed: 'رُفضت كل الخيارات بالفيتو. امسح الأصوات لتدوير العجلة.',
+        allOut: 'خرجت كل الخيارات المتبقية على العجلة. أعدها لبدء جولة جديدة.',
+        syncFailedTitle: 'لم تتغير المزامنة',
+        syncFailedMessage: 'تعذّر تبديل تخزين المتصفح. يُرجى المحاولة مرة أخرى.',
+    },
+    result: {
+        decision: 'قرارك!',
+        draw: 'السحب رقم {number}',
+        knockedOut: 'أُقصي!',
+        left: {
+            zero: 'لم يبقَ أي خيار.',
+            one: 'بقي خيار واحد.',
+            two: 'بقي خياران.',
+            few: 'بقيت {count} خيارات.',
+            many: 'بقي {count} خيارًا.',
+            other: 'الخيارات الباقية: {count}.',
+        },
+        combo: 'تشكيلتك!',
+        voteSays: 'نتيجة التصويت',
+        tie: 'تعادل',
+        breakTie: '{ballots}. أدر العجلة لكسر التعادل.',
+        spunByHost: 'أدارها المضيف على {name}',
+        proof: 'البذرة: {seed}\nبصمة الخيارات: {hash}',
+        comboProof: 'البذرة: {seed}\nبصمات الخيارات: {hashes}',
+        continue: 'متابعة',
+        accept: 'قبول',
+        spinChild: 'أدر {name} ‹',
+        spinAgain: 'أدرها مرة أخرى',
+        veto: 'ارفض هذا الخيار واحذفه',
+        copy: 'نسخ النتيجة',
+    },
+    voting: {
+        ballotCount: {
+            zero: 'لا أوراق اقتراع',
+            one: 'ورقة اقتراع واحدة',
+            two: 'ورقتا اقتراع',
+            few: '{count} أوراق اقتراع',
+            many: '{count} ورقة اقتراع',
+            other: 'أوراق الاقتراع: {count}',
+        },
+        vetoed: 'فيتو ×{count}',
+    },
+    vote: {
+        title: 'تصويت',
+        close: 'إغلاق',
+        thanks: 'شكرًا يا {name}! مرّر الجهاز إلى الشخص التالي.',
+        defaultVoter: 'المصوّت {number}',
+        up: 'تأييد {name}',
+        down: 'معارضة {name}',
+        veto: 'فيتو على {name}',
+        send: 'أرسل أصواتي',
+        cast: 'أدلِ بصوتك',
+        tally: 'الفرز ({ballots})',
+        spin: 'أدر العجلة بالأصوات',
+        justTally: 'الفرز فقط',
+        discard: 'تجاهل الأصوات',
+    },
+    assign: {
+        title: 'توزيع',
+        modes: {
+            teams: 'فرق',
+            winners: 'فائزون',
+            roles: 'أدوار',
+        },
+        descriptions: {
+            teams: 'يُسحب الجميع بالتناوب إلى فرق متساوية الحجم.',
+            winners: 'يسحب عدة فائزين مختلفين بالترتيب.',
+            roles: 'يذهب كل دور إلى شخص مختلف.',
+        },
+        needTwo: 'أضف خيارين على الأقل إلى العجلة أولًا.',
+        needRoles: 'اكتب الأدوار المراد توزيعها.',
+        rolesPlaceholder: 'مدوّن الملاحظات، الميسّر، ضابط الوقت',
+        start: 'ابدأ',
+        team: 'الفريق {number}',
+        winners: 'الفائزون',
+        noRole: 'بلا دور',
+        nobody: 'لا أحد',
+        downloadCsv: 'تنزيل CSV',
+        share: 'مشاركة',
+    },
+    status: {
+        drawn: 'سُحب {count} من {total}',
+        stillIn: 'بقي {count} من {total}',
+        restoreAll: 'استعادة الكل',
+        assignmentDraw: 'السحب {number} من {total}',
+        guestRoom: 'الغرفة {code} · {wheel} · المضيف يدير العجلة',
+        waitingForHost: 'بانتظار المضيف',
+        hostingRoom: {
+            zero: 'تستضيف الغرفة {code} · لا أحد فيها',
+            one: 'تستضيف الغرفة {code} · شخص واحد فيها',
+            two: 'تستضيف الغرفة {code} · شخصان فيها',
+            few: 'تستضيف الغرفة {code} · {count} أشخاص فيها',
+            many: 'تستضيف الغرفة {code} · {count} شخصًا فيها',
+            other: 'تستضيف الغرفة {code} · عدد الحاضرين {count}',
+        },
+        proposed: {
+            zero: 'لا اقتراحات',
+            one: 'اقتراح واحد',
+            two: 'اقتراحان',
+            few: '{count} اقتراحات',
+            many: '{count} اقتراحًا',
+            other: 'الاقتراحات: {count}',
+        },
+        votesApplied: 'طُبّقت الأصوات (المصوّتون: {count}) · المرفوض: {vetoed}',
+        votingOpen: {
+            zero: 'التصويت · لم يُدلَ بأي صوت',
+            one: 'التصويت · أُدلي بصوت واحد',
+            two: 'التصويت · أُدلي بصوتين',
+            few: 'التصويت · أُدلي بـ{count} أصوات',
+            many: 'التصويت · أُدلي بـ{count} صوتًا',
+            other: 'التصويت · عدد الأصوات {count}',
+        },
+        clearVotes: 'مسح الأصوات',
+        openVote: 'فتح',
+    },
+    seed: {
+        label: 'البذرة',
+        placeholder: 'اختيارية، لتدويرات قابلة للتكرار',
+    },
+    spin: {
+        button: 'أدر',
+        a11yLabel: 'أدر العجلة',
+        a11yHint: 'مفتاح المسافة يدير العجلة أيضًا',
+    },
+    toolbar: {
+        history: 'السجل',
+        assign: 'توزيع',
+        vote: 'تصويت',
+        room: 'غرفة',
+        settings: 'الإعدادات',
+        importExport: 'استيراد / تصدير',
+        share: 'مشاركة',
+        mute: '🔊 كتم الصوت',
+        unmute: '🔇 إلغاء الكتم',
+        openInTab: 'فتح في علامة تبويب ↖',
+    },
+    list: {
+        placeholder: 'اكتب الخيارات',
+        submit: 'إضافة',
+        selectAll: 'تحديد الكل',
+        selectNone: 'إلغاء التحديد',
+        enable: 'تفعيل',
+        disable: 'تعطيل',
+        deleteSelected: 'حذف ({count})',
+        select: 'تحديد',
+        undo: '↷ تراجع',
+        redo: '↶ إعادة',
+        empty: 'لم تُضف أي خيارات بعد. اكتب بعضها في الأعلى!',
+        off: 'معطّل',
+        out: 'خارج',
+        a11ySelect: 'تحديد {name}',
+        a11yStyle: 'تنسيق {name}',
+        a11yWeight: 'الوزن {weight}',
+        a11ySelectHint: 'يحدد الخيار',
+        a11yRenameHint: 'يعيد تسمية الخيار',
+        a11yLowerWeight: 'خفض وزن {name}',
+        a11yRaiseWeight: 'رفع وزن {name}',
+        a11yRemove: 'إزالة {name}',
+    },
+    wheelBar: {
+        new: 'جديدة',
+        rename: 'إعادة تسمية',
+        duplicate: 'نسخ',
+        delete: 'حذف',
+        combo: 'تشكيلة',
+    },
+    combo: {
+        title: 'تدوير مجمّع',
+        description: 'اختر العجلات التي تدور معًا، بترتيب ظهورها في النتيجة.',
+        pickAtLeast: {
+            one: 'اختر عجلة واحدة على الأقل.',
+            two: 'اختر عجلتين على الأقل.',
+            few: 'اختر {count} عجلات على الأقل.',
+            many: 'اختر {count} عجلة على الأقل.',
+            other: 'أقل عدد من العجلات: {count}.',
+        },
+        single: 'العودة إلى عجلة واحدة',
+        spin: 'أدرها معًا',
+    },
+    optionStyle: {
+        color: 'اللون',
+        auto: 'تلقائي',
+        emoji: 'رمز تعبيري أو أيقونة',
+        child: 'عند فوزه، أدر',
+        nothing: 'لا شيء',
+    },
+    room: {
+        title: 'أدر معًا',
+        hostingTitle: 'تستضيف غرفة',
+        guestTitle: 'في غرفة',
+        connecting: 'جارٍ الاتصال…',
+        relayAddress: 'عنوان المرحّل',
+        yourName: 'اسمك',
+        optional: 'اختياري',
+        host: 'استضف غرفة',
+        code: 'الرمز',
+        join: 'انضم',
+        hostHint: 'شارك هذا الرمز. سيرى الجميع عجلتك وتدويراتك.',
+        guestHint: 'المضيف يدير العجلة. اقترح خيارات للعجلة أدناه.',
+        participants: 'في الغرفة ({count})',
+        proposed: 'الخيارات المقترحة',
+        nothingProposed: 'لم يُقترح شيء بعد.',
+        from: 'من {name}',
+        add: 'إضافة',
+        dismiss: 'تجاهل',
+        proposePlaceholder: 'اقترح خيارًا',
+        send: 'إرسال',
+        close: 'أغلق الغرفة',
+        leave: 'غادر الغرفة',
+        closeDialog: 'إغلاق',
+        errors: {
+            badAddress: '«{url}» ليس عنوان مرحّل.',
+            unreachable: 'تعذّر الوصول إلى المرحّل على {url}.',
+            lost: 'انقطع الاتصال بالغرفة.',
+            notJson: 'يجب أن تكون الرسائل بتنسيق JSON.',
+            unknownType: 'نوع رسالة غير معروف: {type}',
+            failed: 'تعذّر على المرحّل معالجة تلك الرسالة.',
+            noRoom: 'لا توجد غرفة بالرمز {code}.',
+            hostLeft: 'غادر المضيف الغرفة.',
+        },
+    },
+    history: {
+        title: 'السجل',
+        allWheels: 'كل العجلات',
+        empty: 'لم تُسجَّل أي تدويرات بعد.',
+        statistics: {
+            zero: 'الإحصاءات (لا تدويرات)',
+            one: 'الإحصاءات (تدوير واحد)',
+            two: 'الإحصاءات (تدويران)',
+            few: 'الإحصاءات ({count} تدويرات)',
+            many: 'الإحصاءات ({count} تدويرًا)',
+            other: 'الإحصاءات (عدد التدويرات: {count})',
+        },
+        drifting: 'تختلف النتائج اختلافًا ملحوظًا عن الاحتمالات المتوقعة.',
+        inLine: 'النتائج متوافقة مع الاحتمالات المتوقعة.',
+        needMoreSpins: 'أدر العجلة بضع مرات أخرى لمقارنة النتائج بالاحتمالات المتوقعة.',
+        option: 'الخيار',
+        wins: 'مرات الفوز',
+        actual: 'الفعلي',
+        expected: 'المتوقع',
+        pastResults: 'النتائج السابقة',
+        vetoed: '✗ مرفوض',
+        accepted: '✓ مقبول',
+        optionCount: {
+            zero: 'لا خيارات',
+            one: 'خيار واحد',
+            two: 'خياران',
+            few: '{count} خيارات',
+            many: '{count} خيارًا',
+            other: 'الخيارات: {count}',
+        },
+        proof: 'البذرة {seed} · بصمة الخيارات {hash}',
+        clearAll: 'مسح السجل كله',
+        clearWheel: 'مسح سجل {name}',
+    },
+    importExport: {
+        title: 'استيراد / تصدير',
+        import: 'استيراد',
+        export: 'تصدير',
+        auto: 'تلقائي',
+        text: 'نص',
+        csv: 'CSV',
+        json: 'JSON',
+        addToWheel: 'إضافة إلى هذه العجلة',
+        newWheel: 'عجلة جديدة',
+        added: {
+            zero: 'لم يُضف أي خيار.',
+            one: 'أُضيف خيار واحد.',
+            two: 'أُضيف خياران.',
+            few: 'أُضيفت {count} خيارات.',
+            many: 'أُضيف {count} خيارًا.',
+            other: 'الخيارات المضافة: {count}.',
+        },
+        skipped: 'تم تخطي ما هو موجود في القائمة بالفعل ({count}): {names}',
+        readError: 'تعذّرت قراءة الاستيراد: {error}',
+        hint: 'الصق خيارًا واحدًا في كل سطر أو افصل بينها بفواصل. ملفات CSV ذات الترويسة name,weight,color وصادرات JSON تحتفظ بالأوزان والألوان.',
+        placeholder: 'بيتزا\nتاكو\nسوشي',
+        download: 'تنزيل',
+        errors: {
+            invalidJson: 'النص ليس JSON صالحًا',
+            noOptionList: 'المتوقع قائمة خيارات أو كائن فيه قائمة «options»',
+        },
+    },
+    settings: {
+        title: 'الإعدادات',
+        fairnessFor: 'الإنصاف في {name}',
+        fairness: {
+            none: 'إيقاف',
+            noRepeat: 'بلا تكرار',
+            cooldown: 'فترة راحة',
+            bag: 'الكيس',
+        },
+        fairnessDescriptions: {
+            none: 'كل تدوير مستقل، لذا قد يفوز الخيار نفسه عدة مرات متتالية.',
+            noRepeat: 'يغيب الفائز الأخير عن التدوير التالي.',
+            cooldown: 'يغيب كل ما فاز في التدويرات القليلة الأخيرة.',
+            bag: 'يفوز كل خيار مرة واحدة قبل أن يفوز أي خيار مرة أخرى.',
+        },
+        sitOutFor: 'مدة الغياب',
+        spinCount: {
+            zero: 'لا تدويرات',
+            one: 'تدوير واحد',
+            two: 'تدويران',
+            few: '{count} تدويرات',
+            many: '{count} تدويرًا',
+            other: 'التدويرات: {count}',
+        },
+        soundAndHaptics: 'الصوت والاهتزاز',
+        sounds: 'أصوات النقر والاحتفال',
+        haptics: 'نقرات اهتزازية',
+        mutedNote: 'الصوت مكتوم من شريط الأدوات، فلن يُشغَّل شيء حتى تلغي الكتم.',
+        storage: 'التخزين',
+        sync: 'المزامنة بين متصفحاتي',
+        syncDescription: 'تنتقل العجلات والإعدادات معك إلى Chrome أينما سجّلت الدخول. يبقى السجل على هذا المتصفح.',
+        language: 'اللغة',
+        systemLanguage: 'لغة النظام',
+        appearance: 'المظهر',
+        themes: {
+            system: 'النظام',
+            light: 'فاتح',
+            dark: 'داكن',
+        },
+        pointer: 'المؤشر',
+        pointers: {
+            top: 'أعلى',
+            right: 'يمين',
+            bottom: 'أسفل',
+            left: 'يسار',
+        },
+        pointerDebug: 'إظهار الشريحة الواقعة تحت المؤشر',
+        palette: 'ألوان العجلة',
+        palettes: {
+            classic: 'كلاسيكي',
+            vivid: 'زاهٍ',
+            pastel: 'باستيل',
+            colorblind: 'ملائم لعمى الألوان',
+        },
+    },
+    pointerDebug: {
+        under: 'تحت المؤشر ({pointer}): {name}',
+        angles: 'الدوران {rotation}° · زاوية العجلة {angle}°',
+        expected: 'المتوقع: {name}',
+    },
+};
@@ -0,0 +1,360 @@
+// English messages, and the fallback for anything another catalog leaves out
+export default {
+    common: {
+        loading: 'Loading...',
+        listSeparator: ', ',
+        ok: 'OK',
+        cancel: 'Cancel',
+        done: 'Done',
+        copied: 'Copied!',
+        copy: 'Copy',
+    },
+    app: {
+        name: 'Decision Spinner',
+        tagline: "Confused? Let's make a decision together!",
+    },
+    defaultWheel: {
+        name: 'My Wheel',
+        options: {
+            walk: 'Go for a walk',
+            read: 'Read a book',
+            movie: 'Watch a movie',
+            game: 'Play a game',
+            hobby: 'Work on a hobby',
+        },
+    },
+    wheel: {
+        named: '{name} wheel',
+        unnamed: 'Wheel',
+        a11yOptions: {
+            one: '{wheel} with {count} option: {options}.',
+            other: '{wheel} with {count} options: {options}.',
+        },
+        a11yEmpty: '{wheel} with no options.',
+        a11yLanded: 'Landed on {name}.',
+    },
+    spinModes: {
+        normal: 'Normal',
+        winnerOut: 'Draw order',
+        loserOut: 'Last one standing',
+    },
+    prompts: {
+        newWheel: 'New Wheel',
+        renameWheel: 'Rename Wheel',
+        duplicateWheel: 'Duplicate Wheel',
+        copyName: '{name} (copy)',
+        importedWheel: 'Imported Wheel',
+        sharedWheel: 'Shared Wheel',
+        wheelNamePlaceholder: 'Wheel name',
+    },
+    alerts: {
+        deleteWheelTitle: 'Delete Wheel',
+        deleteWheelMessage: "Delete '{name}' and all of its options?",
+        duplicateTitle: 'Duplicate Option',
+        duplicateMessage: "'{name}' is already in the list!",
+        inputRequiredTitle: 'Input Required',
+        inputRequiredMessage: 'Please type an option before submitting.',
+        linkCopiedTitle: 'Link Copied',
+        linkCopiedMessage: 'Anyone who opens this link spins the same options:\n{link}',
+        winnerTitle: 'We Have a Winner!',
+        lastStanding: '{name} is the last one standing.',
+        allDrawnTitle: 'All Options Drawn',
+        everythingVetoedTitle: 'Everything Vetoed',
+        everythingVetoedMessage: 'Every option was vetoed. Discard the votes or vote again.',
+        noOptionsTitle: 'No Options',
+        comboWheelEmpty: "'{name}' has no options to spin.",
+        addOptionsFirst: 'Please add some options first!',
+        allDisabled: 'Every option is disabled. Enable some to spin.',
+        allVetoed: 'Every option was vetoed. Clear the votes to spin.',
+        allOut: 'Every option left on the wheel is out. Restore them to start a new round.',
+        syncFailedTitle: 'Sync Not Changed',
+        syncFailedMessage: "The browser's storage could not be switched. Please try again.",
+    },
+    result: {
+        decision: 'Your Decision!',
+        draw: 'Draw #{number}',
+        knockedOut: 'Knocked Out!',
+        left: '{count} left.',
+        combo: 'Your Combo!',
+        voteSays: 'The Vote Says',
+        tie: "It's a Tie",
+        breakTie: '{ballots}. Spin to break the tie.',
+        spunByHost: 'Spun by the host on {name}',
+        proof: 'Seed: {seed}\nOptions hash: {hash}',
+        comboProof: 'Seed: {seed}\nOptions hashes: {hashes}',
+        continue: 'Continue',
+        accept: 'Accept',
+        spinChild: 'Spin {name} ›',
+        spinAgain: 'Spin again',
+        veto: 'Veto and remove this option',
+        copy: 'Copy result',
+    },
+    voting: {
+        ballotCount: {
+            one: '{count} ballot',
+            other: '{count} ballots',
+        },
+        vetoed: 'vetoed ×{count}',
+    },
+    vote: {
+        title: 'Vote',
+        close: 'Close',
+        thanks: 'Thanks, {name}! Pass the device to the next person.',
+        defaultVoter: 'Voter {number}',
+        up: 'Up {name}',
+        down: 'Down {name}',
+        veto: 'Veto {name}',
+        send: 'Send my votes',
+        cast: 'Cast vote',
+        tally: 'Tally ({ballots})',
+        spin: 'Spin with votes',
+        justTally: 'Just tally',
+        discard: 'Discard votes',
+    },
+    assign: {
+        title: 'Assign',
+        modes: {
+            teams: 'Teams',
+            winners: 'Winners',
+            roles: 'Roles',
+        },
+        descriptions: {
+            teams: 'Everyone is drawn in turn into teams of equal size.',
+            winners: 'Draws several different winners in order.',
+            roles: 'Each role goes to a different person.',
+        },
+        needTwo: 'Add at least two options to the wheel first.',
+        needRoles: 'Type the roles to hand out.',
+        rolesPlaceholder: 'notes, facilitator, timekeeper',
+        start: 'Start',
+        team: 'Team {number}',
+        winners: 'Winners',
+        noRole: 'No role',
+        nobody: 'Nobody',
+        downloadCsv: 'Download CSV',
+        share: 'Share',
+    },
+    status: {
+        drawn: 'Drawn {count} of {total}',
+        stillIn: '{count} of {total} still in',
+        restoreAll: 'Restore all',
+        assignmentDraw: 'Draw {number} of {total}',
+        guestRoom: 'Room {code} · {wheel} · the host spins',
+        waitingForHost: 'waiting for the host',
+        hostingRoom: 'Hosting room {code} · {count} in the room',
+        proposed: '{count} proposed',
+        votesApplied: 'Votes of {count} applied · {vetoed} vetoed',
+        votingOpen: {
+            one: 'Voting · {count} ballot cast',
+            other: 'Voting · {count} ballots cast',
+        },
+        clearVotes: 'Clear votes',
+        openVote: 'Open',
+    },
+    seed: {
+        label: 'Seed',
+        placeholder: 'optional, for repeatable spins',
+    },
+    spin: {
+        button: 'SPIN',
+        a11yLabel: 'Spin the wheel',
+        a11yHint: 'Space also spins',
+    },
+    toolbar: {
+        history: 'History',
+        assign: 'Assign',
+        vote: 'Vote',
+        room: 'Room',
+        settings: 'Settings',
+        importExport: 'Import / Export',
+        share: 'Share',
+        mute: '🔊 Mute',
+        unmute: '🔇 Unmute',
+        openInTab: 'Open in tab ↗',
+    },
+    list: {
+        placeholder: 'Type Options',
+        submit: 'Submit',
+        selectAll: 'Select all',
+        selectNone: 'Select none',
+        enable: 'Enable',
+        disable: 'Disable',
+        deleteSelected: 'Delete ({count})',
+        select: 'Select',
+        undo: '↶ Undo',
+        redo: '↷ Redo',
+        empty: 'No options added yet. Type some above!',
+        off: 'off',
+        out: 'out',
+        a11ySelect: 'Select {name}',
+        a11yStyle: 'Style {name}',
+        a11yWeight: 'weight {weight}',
+        a11ySelectHint: 'Selects the option',
+        a11yRenameHint: 'Renames the option',
+        a11yLowerWeight: 'Lower the weight of {name}',
+        a11yRaiseWeight: 'Raise the weight of {name}',
+        a11yRemove: 'Remove {name}',
+    },
+    wheelBar: {
+        new: 'New',
+        rename: 'Rename',
+        duplicate: 'Duplicate',
+        delete: 'Delete',
+        combo: 'Combo',
+    },
+    combo: {
+        title: 'Combo Spin',
+        description: 'Pick the wheels that spin together, in the order of the result.',
+        pickAtLeast: 'Pick at least {count} wheels.',
+        single: 'Back to a single wheel',
+        spin: 'Spin together',
+    },
+    optionStyle: {
+        color: 'Color',
+        auto: 'Auto',
+        emoji: 'Emoji or icon',
+        child: 'When it wins, spin',
+        nothing: 'Nothing',
+    },
+    room: {
+        title: 'Spin Together',
+        hostingTitle: 'Hosting a Room',
+        guestTitle: 'In a Room',
+        connecting: 'Connecting…',
+        relayAddress: 'Relay address',
+        yourName: 'Your name',
+        optional: 'optional',
+        host: 'Host a room',
+        code: 'Code',
+        join: 'Join',
+        hostHint: 'Share this code. Everyone sees your wheel and your spins.',
+        guestHint: 'The host spins. Suggest options for the wheel below.',
+        participants: 'In the room ({count})',
+        proposed: 'Proposed options',
+        nothingProposed: 'Nothing proposed yet.',
+        from: 'from {name}',
+        add: 'Add',
+        dismiss: 'Dismiss',
+        proposePlaceholder: 'Propose an option',
+        send: 'Send',
+        close: 'Close the room',
+        leave: 'Leave the room',
+        closeDialog: 'Close',
+        errors: {
+            badAddress: '"{url}" is not a relay address.',
+            unreachable: "Couldn't reach the relay at {url}.",
+            lost: 'Lost the connection to the room.',
+            notJson: 'Messages must be JSON.',
+            unknownType: 'Unknown message type: {type}',
+            failed: 'The relay could not handle that message.',
+            noRoom: 'There is no room with the code {code}.',
+            hostLeft: 'The host left the room.',
+        },
+    },
+    history: {
+        title: 'History',
+        allWheels: 'All wheels',
+        empty: 'No spins recorded yet.',
+        statistics: {
+            one: 'Statistics ({count} spin)',
+            other: 'Statistics ({count} spins)',
+        },
+        drifting: 'The results differ noticeably from the expected odds.',
+        inLine: 'The results are in line with the expected odds.',
+        needMoreSpins: 'Spin a few more times to compare results with the expected odds.',
+        option: 'Option',
+        wins: 'Wins',
+        actual: 'Actual',
+        expected: 'Expected',
+        pastResults: 'Past results',
+        vetoed: '✗ Vetoed',
+        accepted: '✓ Accepted',
+        optionCount: {
+            one: '{count} option',
+            other: '{count} options',
+        },
+        proof: 'Seed {seed} · Options hash {hash}',
+        clearAll: 'Clear all history',
+        clearWheel: 'Clear history for {name}',
+    },
+    importExport: {
+        title: 'Import / Export',
+        import: 'Import',
+        export: 'Export',
+        auto: 'Auto',
+        text: 'Text',
+        csv: 'CSV',
+        json: 'JSON',
+        addToWheel: 'Add to this wheel',
+        newWheel: 'New wheel',
+        added: {
+            one: 'Added {count} option.',
+            other: 'Added {count} options.',
+        },
+        skipped: 'Skipped {count} already in the list: {names}',
+        readError: 'Could not read the import: {error}',
+        hint: 'Paste one option per line or separate them with commas. CSV with a name,weight,color header and JSON exports keep weights and colors.',
+        placeholder: 'Pizza\nTacos\nSushi',
+        download: 'Download',
+        errors: {
+            invalidJson: 'this is not valid JSON',
+            noOptionList: 'expected a list of options or an object with an "options" list',
+        },
+    },
+    settings: {
+        title: 'Settings',
+        fairnessFor: 'Fairness for {name}',
+        fairness: {
+            none: 'Off',
+            noRepeat: 'No repeats',
+            cooldown: 'Cooldown',
+            bag: 'Bag',
+        },
+        fairnessDescriptions: {
+            none: 'Every spin is independent, so the same option can win several times in a row.',
+            noRepeat: 'The last winner sits out the next spin.',
+            cooldown: 'Anything that won in the last few spins sits out.',
+            bag: 'Every option wins once before any option can win again.',
+        },
+        sitOutFor: 'Sit out for',
+        spinCount: {
+            one: '{count} spin',
+            other: '{count} spins',
+        },
+        soundAndHaptics: 'Sound & haptics',
+        sounds: 'Tick and fanfare sounds',
+        haptics: 'Haptic ticks',
+        mutedNote: 'Muted from the toolbar, so nothing plays until you unmute.',
+        storage: 'Storage',
+        sync: 'Sync across my browsers',
+        syncDescription: "Wheels and settings follow you to Chrome wherever you're signed in. History stays on this browser.",
+        language: 'Language',
+        systemLanguage: 'System',
+        appearance: 'Appearance',
+        themes: {
+            system: 'System',
+            light: 'Light',
+            dark: 'Dark',
+        },
+        pointer: 'Pointer',
+        pointers: {
+            top: 'Top',
+            right: 'Right',
+            bottom: 'Bottom',
+            left: 'Left',
+        },
+        pointerDebug: 'Show the slice under the pointer',
+        palette: 'Wheel palette',
+        palettes: {
+            classic: 'Classic',
+            vivid: 'Vivid',
+            pastel: 'Pastel',
+            colorblind: 'Colorblind-safe',
+        },
+    },
+    pointerDebug: {
+        under: 'Under the pointer ({pointer}): {name}',
+        angles: 'Rotation {rotation}° · wheel angle {angle}°',
+        expected: 'Expected: {name}',
+    },
+};
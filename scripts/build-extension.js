@@ -0,0 +1,72 @@
+// Builds the Chrome extension into dist-extension/: a single-page web export plus the
+// manifest, the popup page and the icon. Load the folder with "Load unpacked" on
+// chrome://extensions.
+//
+//   npm run build:extension
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'dist-extension');
+const MANIFEST = path.join(ROOT, 'extension', 'manifest.json');
+const ICON = path.join(ROOT, 'assets', 'images', 'favicon.png');
+// Both pages run the same app, which tells the popup apart by its file name.
+// They must match utils/extension.web.js
+const TAB_PAGE = 'index.html';
+const POPUP_PAGE = 'popup.html';
+
+// A <script> without a src attribute, which the extension's CSP refuses to run
+const INLINE_SCRIPT_PATTERN = /<script\b(?![^>]*\bsrc=)[^>]*>\s*\S[\s\S]*?<\/script>/i;
+// Inline event handlers such as onload="…" are blocked the same way
+const INLINE_HANDLER_PATTERN = /<[a-z][^>]*\son[a-z]+\s*=/i;
+
+const fail = (message) => {
+    console.error(`\nExtension build failed: ${message}`);
+    process.exit(1);
+};
+
+const exportWeb = () => {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    const result = spawnSync('npx', ['expo', 'export', '--platform', 'web', '--output-dir', OUTPUT_DIR], {
+        cwd: ROOT,
+        stdio: 'inherit',
+        shell: process.platform === 'win32',
+        env: { ...process.env, EXPO_PUBLIC_BUILD_TARGET: 'extension' },
+    });
+    if (result.status !== 0) {
+        fail('the web export did not finish.');
+    }
+};
+
+const writeManifest = () => {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    const { version } = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.json'), `${JSON.stringify({ ...manifest, version }, null, 2)}\n`);
+    fs.copyFileSync(ICON, path.join(OUTPUT_DIR, 'icon.png'));
+};
+
+const checkCsp = (html, fileName) => {
+    if (INLINE_SCRIPT_PATTERN.test(html)) {
+        fail(`${fileName} contains an inline <script>, which the extension's content security policy blocks.`);
+    }
+    if (INLINE_HANDLER_PATTERN.test(html)) {
+        fail(`${fileName} contains an inline event handler, which the extension's content security policy blocks.`);
+    }
+};
+
+const writePages = () => {
+    const tabPage = path.join(OUTPUT_DIR, TAB_PAGE);
+    if (!fs.existsSync(tabPage)) {
+        fail(`the export has no ${TAB_PAGE}.`);
+    }
+    const html = fs.readFileSync(tabPage, 'utf8');
+    checkCsp(html, TAB_PAGE);
+    fs.writeFileSync(path.join(OUTPUT_DIR, POPUP_PAGE), html);
+};
+
+exportWeb();
+writeManifest();
+writePages();
+console.log(`\nExtension ready in ${path.relative(ROOT, OUTPUT_DIR)}/`);
@@ -0,0 +1,74 @@
+import { WebSocket } from 'ws';
+import { handleMessage, rooms } from '../relay';
+
+let socketCount = 0;
+
+// Stands in for a connected client: records what the relay sends it
+const createSocket = () => ({
+    id: `socket-${++socketCount}`,
+    readyState: WebSocket.OPEN,
+    roomCode: null,
+    sent: [],
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    },
+});
+
+const receive = (socket, message) => handleMessage(socket, Buffer.from(JSON.stringify(message)));
+
+const lastSent = socket => socket.sent[socket.sent.length - 1];
+
+afterEach(() => {
+    rooms.clear();
+});
+
+describe('handleMessage', () => {
+    it('opens a room and lets a guest join it', () => {
+        const host = createSocket();
+        const guest = createSocket();
+        receive(host, { type: 'create', name: 'Ana' });
+        const { code } = host.sent.find(message => message.type === 'created');
+        receive(guest, { type: 'join', code, name: 'Ben' });
+        expect(guest.sent[0]).toMatchObject({ type: 'joined', code });
+        expect(lastSent(host)).toEqual({ type: 'presence', participants: ['Ana', 'Ben'] });
+    });
+
+    it('tells apart guests who vote under the same name', () => {
+        const host = createSocket();
+        const guests = [createSocket(), createSocket()];
+        receive(host, { type: 'create', name: 'Ana' });
+        const { code } = host.sent.find(message => message.type === 'created');
+        guests.forEach(guest => receive(guest, { type: 'join', code, name: 'Ana' }));
+        guests.forEach(guest => receive(guest, { type: 'vote', votes: { pizza: 'up' } }));
+        const ballots = host.sent.filter(message => message.type === 'ballot').map(message => message.ballot);
+        expect(ballots.map(ballot => ballot.voter)).toEqual(['Ana', 'Ana']);
+        expect(ballots.map(ballot => ballot.voterId)).toEqual(guests.map(guest => guest.id));
+    });
+
+    it('rejects messages that are not JSON', () => {
+        const socket = createSocket();
+        handleMessage(socket, Buffer.from('not json'));
+        expect(lastSent(socket)).toMatchObject({ type: 'error', errorCode: 'notJson' });
+    });
+
+    it.each(['__proto__', 'constructor', 'toString', 'hasOwnProperty'])(
+        'treats the inherited name %s as an unknown type',
+        (type) => {
+            const socket = createSocket();
+            expect(() => receive(socket, { type })).not.toThrow();
+            expect(lastSent(socket)).toMatchObject({ type: 'error', errorCode: 'unknownType', params: { type } });
+        }
+    );
+
+    it('answers with an error when a handler throws', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const socket = createSocket();
+        socket.send = jest.fn()
+            .mockImplementationOnce(() => {
+                throw new Error('socket broke');
+            });
+        expect(() => receive(socket, { type: 'create' })).not.toThrow();
+        expect(socket.send).toHaveBeenLastCalledWith(expect.stringContaining('"type":"error"'));
+        jest.restoreAllMocks();
+    });
+});
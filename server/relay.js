@@ -0,0 +1,221 @@
+// Relay for shared spin rooms. A host opens a room and gets a short code;
+// guests join with the code. The relay only passes messages along: the host
+// decides every spin and the relay repeats it to the guests, so everyone
+// sees the same wheel land on the same option.
+//
+//   npm run relay            listens on ws://localhost:8787
+//   PORT=9000 npm run relay  listens on another port
+//
+// The message types and error codes must match utils/roomProtocol.js in the app. Requiring this
+// file gives the message handling without starting a server, for the tests.
+
+const { randomUUID } = require('crypto');
+const { WebSocket, WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 8787;
+// No 0/O or 1/I, so codes read out on a call are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_NAME_LENGTH = 40;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+const ERRORS = {
+    notJson: 'notJson',
+    unknownType: 'unknownType',
+    failed: 'failed',
+    noRoom: 'noRoom',
+    hostLeft: 'hostLeft',
+};
+
+// code -> { host, guests: Set, wheel }. `wheel` is the host's latest shared
+// wheel, handed to guests as soon as they join
+const rooms = new Map();
+
+const createRoomCode = () => {
+    let code;
+    do {
+        code = Array.from(
+            { length: CODE_LENGTH },
+            () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]
+        ).join('');
+    } while (rooms.has(code));
+    return code;
+};
+
+const cleanName = (name, fallback) => (
+    (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '') || fallback
+);
+
+const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+const sendToGuests = (room, message) => {
+    room.guests.forEach(guest => send(guest, message));
+};
+
+// The app words errors by their code; the English message is for anything else
+const sendError = (socket, errorCode, message, params = {}) => {
+    send(socket, { type: 'error', errorCode, params, message });
+};
+
+// Everyone in the room learns who is there whenever someone joins or leaves
+const sendPresence = (room) => {
+    const message = {
+        type: 'presence',
+        participants: [room.host, ...room.guests].map(socket => socket.name),
+    };
+    send(room.host, message);
+    sendToGuests(room, message);
+};
+
+const leaveRoom = (socket) => {
+    const room = rooms.get(socket.roomCode);
+    socket.roomCode = null;
+    if (!room) {
+        return;
+    }
+    // A room can't outlive its host, as only the host can spin
+    if (room.host === socket) {
+        rooms.delete(room.code);
+        sendToGuests(room, { type: 'closed', errorCode: ERRORS.hostLeft, reason: 'The host left the room.' });
+        room.guests.forEach((guest) => {
+            guest.roomCode = null;
+        });
+        return;
+    }
+    room.guests.delete(socket);
+    sendPresence(room);
+};
+
+const handlers = {
+    create: (socket, message) => {
+        leaveRoom(socket);
+        const code = createRoomCode();
+        socket.name = cleanName(message.name, 'Host');
+        socket.roomCode = code;
+        const room = { code, host: socket, guests: new Set(), wheel: null };
+        rooms.set(code, room);
+        send(socket, { type: 'created', code });
+        sendPresence(room);
+    },
+    join: (socket, message) => {
+        const code = typeof message.code === 'string' ? message.code.trim().toUpperCase() : '';
+        const room = rooms.get(code);
+        if (!room) {
+            sendError(socket, ERRORS.noRoom, `There is no room with the code ${code || '(empty)'}.`, { code });
+            return;
+        }
+        leaveRoom(socket);
+        socket.name = cleanName(message.name, `Guest ${room.guests.size + 1}`);
+        socket.roomCode = code;
+        room.guests.add(socket);
+        send(socket, { type: 'joined', code, wheel: room.wheel });
+        sendPresence(room);
+    },
+    leave: (socket) => {
+        leaveRoom(socket);
+    },
+    // Only the host shares the wheel and spins it
+    wheel: (socket, message, room) => {
+        if (room?.host !== socket) {
+            return;
+        }
+        room.wheel = message.wheel;
+        sendToGuests(room, { type: 'wheel', wheel: message.wheel });
+    },
+    spin: (socket, message, room) => {
+        if (room?.host !== socket) {
+            return;
+        }
+        sendToGuests(room, { type: 'spin', spin: message.spin });
+    },
+    // Guests suggest options; the host decides whether they go on the wheel
+    propose: (socket, message, room) => {
+        if (!room || room.host === socket) {
+            return;
+        }
+        const name = cleanName(message.name, '');
+        if (name) {
+            send(room.host, { type: 'proposal', name, from: socket.name });
+        }
+    },
+    // Guests' ballots in a voting round are counted by the host. Names can repeat, so
+    // the ballot carries the connection's id to tell voters apart
+    vote: (socket, message, room) => {
+        if (!room || room.host === socket || !message.votes || typeof message.votes !== 'object') {
+            return;
+        }
+        send(room.host, { type: 'ballot', ballot: { voterId: socket.id, voter: socket.name, votes: message.votes } });
+    },
+};
+
+// Only the handlers' own names count, so a type like "__proto__" or "toString" is
+// unknown rather than something inherited from Object
+const getHandler = type => (
+    typeof type === 'string' && Object.hasOwn(handlers, type) ? handlers[type] : null
+);
+
+const handleMessage = (socket, data) => {
+    let message;
+    try {
+        message = JSON.parse(data.toString());
+    } catch {
+        sendError(socket, ERRORS.notJson, 'Messages must be JSON.');
+        return;
+    }
+    const handler = message && getHandler(message.type);
+    if (!handler) {
+        sendError(socket, ERRORS.unknownType, `Unknown message type: ${message?.type}`, { type: String(message?.type) });
+        return;
+    }
+    // One bad message must not take every room down with the process
+    try {
+        handler(socket, message, rooms.get(socket.roomCode));
+    } catch (error) {
+        console.error(`Failed to handle a ${message.type} message:`, error);
+        sendError(socket, ERRORS.failed, 'The relay could not handle that message.');
+    }
+};
+
+const startRelay = (port) => {
+    const server = new WebSocketServer({ port, maxPayload: 256 * 1024 });
+
+    server.on('connection', (socket) => {
+        socket.id = randomUUID();
+        socket.isAlive = true;
+        socket.roomCode = null;
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        socket.on('message', data => handleMessage(socket, data));
+        socket.on('close', () => leaveRoom(socket));
+    });
+
+    // Drops connections that went away without closing, such as a phone losing signal
+    const heartbeat = setInterval(() => {
+        server.clients.forEach((socket) => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    server.on('close', () => clearInterval(heartbeat));
+
+    server.on('listening', () => {
+        console.log(`Spin room relay listening on ws://localhost:${port}`);
+    });
+    return server;
+};
+
+if (require.main === module) {
+    startRelay(PORT);
+}
+
+module.exports = { handleMessage, rooms, startRelay };
@@ -0,0 +1,98 @@
+import {
+    ASSIGNMENT_MODES,
+    buildAssignment,
+    formatAssignment,
+    getDrawCount,
+    getDrawLabel,
+    parseRoles,
+} from '../assignments';
+import { FORMATS } from '../importExport';
+
+const PEOPLE = ['Ana', 'Ben', 'Cy', 'Di', 'Ed'].map((name, index) => ({ id: String(index), name }));
+
+describe('parseRoles', () => {
+    it('splits on lines and on Latin and Arabic commas, dropping blanks', () => {
+        expect(parseRoles('notes, facilitator\n\n timekeeper ،مراجع,')).toEqual(['notes', 'facilitator', 'timekeeper', 'مراجع']);
+        expect(parseRoles('  ')).toEqual([]);
+    });
+});
+
+describe('getDrawCount', () => {
+    it('draws everyone into teams', () => {
+        expect(getDrawCount(ASSIGNMENT_MODES.teams, 5, { teamCount: 2 })).toBe(5);
+    });
+
+    it('stops once the winners or roles run out', () => {
+        expect(getDrawCount(ASSIGNMENT_MODES.winners, 5, { winnerCount: 3 })).toBe(3);
+        expect(getDrawCount(ASSIGNMENT_MODES.winners, 2, { winnerCount: 3 })).toBe(2);
+        expect(getDrawCount(ASSIGNMENT_MODES.roles, 5, { roles: ['a', 'b'] })).toBe(2);
+        expect(getDrawCount(ASSIGNMENT_MODES.roles, 1, { roles: ['a', 'b'] })).toBe(1);
+    });
+});
+
+describe('getDrawLabel', () => {
+    it('fills the teams in turn', () => {
+        const labels = [0, 1, 2, 3, 4].map(index => getDrawLabel(ASSIGNMENT_MODES.teams, index, { teamCount: 2 }));
+        expect(labels).toEqual(['Team 1', 'Team 2', 'Team 1', 'Team 2', 'Team 1']);
+    });
+
+    it('numbers winners and hands out roles in order', () => {
+        expect(getDrawLabel(ASSIGNMENT_MODES.winners, 1, {})).toBe('#2');
+        expect(getDrawLabel(ASSIGNMENT_MODES.roles, 1, { roles: ['notes', 'timekeeper'] })).toBe('timekeeper');
+    });
+});
+
+describe('buildAssignment', () => {
+    it('keeps team sizes within one and lists empty teams', () => {
+        const { groups } = buildAssignment(ASSIGNMENT_MODES.teams, PEOPLE, PEOPLE, { teamCount: 2 });
+        expect(groups).toEqual([
+            { label: 'Team 1', members: ['Ana', 'Cy', 'Ed'] },
+            { label: 'Team 2', members: ['Ben', 'Di'] },
+        ]);
+        const sparse = buildAssignment(ASSIGNMENT_MODES.teams, PEOPLE.slice(0, 1), PEOPLE.slice(0, 1), { teamCount: 3 });
+        expect(sparse.groups.map(group => group.members.length)).toEqual([1, 0, 0]);
+    });
+
+    it('lists winners in draw order', () => {
+        const drawn = [PEOPLE[2], PEOPLE[0]];
+        expect(buildAssignment(ASSIGNMENT_MODES.winners, drawn, PEOPLE, { winnerCount: 2 }).groups)
+            .toEqual([{ label: 'Winners', members: ['Cy', 'Ana'] }]);
+    });
+
+    it('puts whoever is left once the roles run out under no role', () => {
+        const settings = { roles: ['notes', 'timekeeper'] };
+        const { groups } = buildAssignment(ASSIGNMENT_MODES.roles, [PEOPLE[1], PEOPLE[3]], PEOPLE, settings);
+        expect(groups).toEqual([
+            { label: 'notes', members: ['Ben'] },
+            { label: 'timekeeper', members: ['Di'] },
+            { label: 'No role', members: ['Ana', 'Cy', 'Ed'] },
+        ]);
+    });
+
+    it('uses the labels it is given', () => {
+        const labels = { team: number => `فريق ${number}`, winners: 'الفائزون', noRole: 'بلا دور' };
+        const { groups } = buildAssignment(ASSIGNMENT_MODES.teams, PEOPLE.slice(0, 2), PEOPLE, { teamCount: 2, labels });
+        expect(groups.map(group => group.label)).toEqual(['فريق 1', 'فريق 2']);
+    });
+});
+
+describe('formatAssignment', () => {
+    const teams = buildAssignment(ASSIGNMENT_MODES.teams, PEOPLE.slice(0, 3), PEOPLE, { teamCount: 3 });
+
+    it('writes one line per group as text', () => {
+        const sparse = buildAssignment(ASSIGNMENT_MODES.teams, PEOPLE.slice(0, 1), PEOPLE, { teamCount: 2 });
+        expect(formatAssignment(teams, FORMATS.text)).toBe('Team 1: Ana\nTeam 2: Ben\nTeam 3: Cy');
+        expect(formatAssignment(sparse, FORMATS.text)).toBe('Team 1: Ana\nTeam 2: —');
+    });
+
+    it('numbers winners in both formats', () => {
+        const winners = buildAssignment(ASSIGNMENT_MODES.winners, [PEOPLE[1], PEOPLE[0]], PEOPLE, {});
+        expect(formatAssignment(winners, FORMATS.text)).toBe('1. Ben\n2. Ana');
+        expect(formatAssignment(winners, FORMATS.csv)).toBe('group,name,place\nWinners,Ben,1\nWinners,Ana,2');
+    });
+
+    it('escapes CSV fields', () => {
+        const roles = buildAssignment(ASSIGNMENT_MODES.roles, [{ id: 'x', name: 'Smith, Jo' }], [], { roles: ['note "taker"'] });
+        expect(formatAssignment(roles, FORMATS.csv)).toBe('group,name,place\n"note ""taker""","Smith, Jo",');
+    });
+});
@@ -0,0 +1,67 @@
+import { FAIRNESS_POLICIES, getIneligibleIds } from '../fairness';
+
+const OPTIONS = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+// History entries newest first, as the app keeps them
+const makeHistory = (...winnerIds) => winnerIds.map(winnerId => ({ winnerId }));
+
+const getIneligible = (options, history, settings) => [...getIneligibleIds(options, history, settings)].sort();
+
+describe('getIneligibleIds', () => {
+    it('excludes nothing without a policy', () => {
+        expect(getIneligible(OPTIONS, makeHistory('a', 'a'), {})).toEqual([]);
+        expect(getIneligible(OPTIONS, makeHistory('a'), { policy: FAIRNESS_POLICIES.none })).toEqual([]);
+    });
+
+    describe('no repeats', () => {
+        const settings = { policy: FAIRNESS_POLICIES.noRepeat };
+
+        it('sits out the last winner only', () => {
+            expect(getIneligible(OPTIONS, makeHistory('b', 'a'), settings)).toEqual(['b']);
+            expect(getIneligible(OPTIONS, [], settings)).toEqual([]);
+        });
+
+        it('keeps a single option in play', () => {
+            expect(getIneligible([{ id: 'a' }], makeHistory('a'), settings)).toEqual([]);
+        });
+
+        it('ignores a winner that is no longer on the wheel', () => {
+            expect(getIneligible(OPTIONS, makeHistory('gone'), settings)).toEqual([]);
+        });
+    });
+
+    describe('cooldown', () => {
+        it('sits out the winners of the last few spins', () => {
+            const settings = { policy: FAIRNESS_POLICIES.cooldown, cooldownSpins: 2 };
+            expect(getIneligible(OPTIONS, makeHistory('a', 'b', 'c'), settings)).toEqual(['a', 'b']);
+        });
+
+        it('shrinks the window until an option is left to pick', () => {
+            const settings = { policy: FAIRNESS_POLICIES.cooldown, cooldownSpins: 3 };
+            expect(getIneligible(OPTIONS, makeHistory('a', 'b', 'c'), settings)).toEqual(['a', 'b']);
+            expect(getIneligible([{ id: 'a' }, { id: 'b' }], makeHistory('a', 'b', 'a'), settings)).toEqual(['a']);
+        });
+
+        it('never excludes a lone option', () => {
+            const settings = { policy: FAIRNESS_POLICIES.cooldown, cooldownSpins: 2 };
+            expect(getIneligible([{ id: 'a' }], makeHistory('a', 'a'), settings)).toEqual([]);
+        });
+    });
+
+    describe('bag', () => {
+        const settings = { policy: FAIRNESS_POLICIES.bag };
+
+        it('keeps every winner out until each option has won', () => {
+            expect(getIneligible(OPTIONS, makeHistory('b', 'a'), settings)).toEqual(['a', 'b']);
+        });
+
+        it('refills once every option has won', () => {
+            expect(getIneligible(OPTIONS, makeHistory('c', 'b', 'a'), settings)).toEqual([]);
+            expect(getIneligible(OPTIONS, makeHistory('a', 'c', 'b', 'a'), settings)).toEqual(['a']);
+        });
+
+        it('only counts winners that are still on the wheel', () => {
+            expect(getIneligible(OPTIONS, makeHistory('gone', 'a'), settings)).toEqual(['a']);
+        });
+    });
+});
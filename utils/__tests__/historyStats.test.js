@@ -0,0 +1,30 @@
+import { computeHistoryStats } from '../historyStats';
+
+const OPTIONS = [
+    { id: 'a', name: 'A', weight: 3 },
+    { id: 'b', name: 'B', weight: 1 },
+];
+
+// Under "no repeats" two options take turns, whatever their weights
+const makeAlternatingEntries = (count, { recordExclusions }) => Array.from({ length: count }, (_, index) => ({
+    winnerId: index % 2 === 0 ? 'a' : 'b',
+    options: OPTIONS,
+    ...(recordExclusions && index > 0 ? { excludedIds: [index % 2 === 0 ? 'b' : 'a'] } : {}),
+}));
+
+describe('computeHistoryStats', () => {
+    it('expects wins in proportion to the weights', () => {
+        const stats = computeHistoryStats(makeAlternatingEntries(20, { recordExclusions: false }));
+        expect(stats.options.find(option => option.id === 'a').expectedWins).toBeCloseTo(15);
+        expect(stats.isDrifting).toBe(true);
+    });
+
+    it('leaves the options the fairness policy excluded out of each spin', () => {
+        const stats = computeHistoryStats(makeAlternatingEntries(20, { recordExclusions: true }));
+        // Only the first spin, before anything had won, was open to both
+        expect(stats.options.find(option => option.id === 'a').expectedWins).toBeCloseTo(9.75);
+        expect(stats.options.find(option => option.id === 'b').expectedWins).toBeCloseTo(10.25);
+        expect(stats.isDrifting).toBe(false);
+        expect(stats.options.some(option => option.isDrifting)).toBe(false);
+    });
+});
@@ -0,0 +1,143 @@
+import ar from '../../locales/ar';
+import en from '../../locales/en';
+import {
+    createI18n,
+    DEFAULT_LANGUAGE,
+    getDeviceLanguage,
+    LANGUAGES,
+    resolveLanguage,
+    SYSTEM_LANGUAGE,
+    translate,
+} from '../i18n';
+import { IMPORT_ERRORS } from '../importExport';
+import { ROOM_ERRORS } from '../roomProtocol';
+
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const isPlural = message => typeof message === 'object' && Object.keys(message).every(form => PLURAL_FORMS.includes(form));
+
+// Every message in a catalog by its dotted key, plural forms kept together
+const flatten = (catalog, prefix = '') => Object.entries(catalog).flatMap(([name, message]) => {
+    const key = `${prefix}${name}`;
+    return typeof message === 'object' && !isPlural(message) ? flatten(message, `${key}.`) : [[key, message]];
+});
+
+const getPlaceholders = message => new Set(
+    (typeof message === 'string' ? [message] : Object.values(message))
+        .flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))
+);
+
+const mockLocale = (locale) => {
+    jest.spyOn(Intl, 'DateTimeFormat').mockImplementation(() => ({ resolvedOptions: () => ({ locale }) }));
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('translate', () => {
+    it('looks up dotted keys and fills in the params', () => {
+        expect(translate('en', 'common.cancel')).toBe('Cancel');
+        expect(translate('en', 'alerts.duplicateMessage', { name: 'Pizza' })).toBe("'Pizza' is already in the list!");
+        expect(translate('en', 'status.drawn', { count: 2, total: 5 })).toBe('Drawn 2 of 5');
+    });
+
+    it('leaves a placeholder without a param as it is', () => {
+        expect(translate('en', 'assign.team')).toBe('Team {number}');
+    });
+
+    it('picks the English plural form by count', () => {
+        expect(translate('en', 'history.optionCount', { count: 1 })).toBe('1 option');
+        expect(translate('en', 'history.optionCount', { count: 0 })).toBe('0 options');
+        expect(translate('en', 'history.optionCount', { count: 7 })).toBe('7 options');
+    });
+
+    it('picks every Arabic plural form by count', () => {
+        const cases = [[0, 'zero'], [1, 'one'], [2, 'two'], [3, 'few'], [10, 'few'], [11, 'many'], [99, 'many'], [100, 'other']];
+        cases.forEach(([count, form]) => {
+            expect(translate('ar', 'importExport.added', { count }))
+                .toBe(ar.importExport.added[form].replace('{count}', String(count)));
+        });
+    });
+
+    it('falls back to one and other without Intl.PluralRules', () => {
+        jest.spyOn(Intl, 'PluralRules').mockImplementation(() => {
+            throw new Error('PluralRules is not supported');
+        });
+        expect(translate('ar', 'history.optionCount', { count: 1 })).toBe('خيار واحد');
+        expect(translate('ar', 'history.optionCount', { count: 2 })).toBe('الخيارات: 2');
+    });
+
+    it('falls back to English, then to the key', () => {
+        expect(translate('xx', 'common.ok')).toBe('OK');
+        expect(translate('ar', 'common.missing')).toBe('common.missing');
+        expect(translate('en', 'common')).toBe('common');
+    });
+});
+
+describe('resolveLanguage', () => {
+    it('keeps a language with a catalog and falls back to English otherwise', () => {
+        expect(resolveLanguage('ar')).toBe('ar');
+        expect(resolveLanguage('xx')).toBe(DEFAULT_LANGUAGE);
+        expect(resolveLanguage(undefined)).toBe(DEFAULT_LANGUAGE);
+    });
+
+    it('follows the device language for the system setting', () => {
+        mockLocale('ar-EG');
+        expect(getDeviceLanguage()).toBe('ar');
+        expect(resolveLanguage(SYSTEM_LANGUAGE)).toBe('ar');
+        mockLocale('de-DE');
+        expect(resolveLanguage(SYSTEM_LANGUAGE)).toBe(DEFAULT_LANGUAGE);
+    });
+});
+
+describe('createI18n', () => {
+    it('lays Arabic out right to left', () => {
+        expect(createI18n('ar')).toMatchObject({ language: 'ar', isRTL: true, direction: 'rtl' });
+        expect(createI18n('en')).toMatchObject({ language: 'en', isRTL: false, direction: 'ltr' });
+        expect(createI18n('ar').t('common.ok')).toBe('حسنًا');
+    });
+});
+
+describe('catalogs', () => {
+    const englishMessages = new Map(flatten(en));
+
+    it('registers every catalog', () => {
+        expect(LANGUAGES.en.messages).toBe(en);
+        expect(LANGUAGES.ar.messages).toBe(ar);
+    });
+
+    it.each(Object.keys(LANGUAGES))('%s covers every English key', (language) => {
+        const keys = flatten(LANGUAGES[language].messages).map(([key]) => key);
+        expect(keys.sort()).toEqual([...englishMessages.keys()].sort());
+    });
+
+    it.each(Object.keys(LANGUAGES))('%s fills in the same placeholders as English', (language) => {
+        const mismatches = flatten(LANGUAGES[language].messages).flatMap(([key, message]) => {
+            const expected = [...getPlaceholders(englishMessages.get(key))].sort();
+            // A counted form may spell its number out, as in "one option"
+            const forms = isPlural(message) ? Object.values(message) : [message];
+            return forms
+                .map(form => [...getPlaceholders(form)].sort())
+                .filter(found => found.join() !== expected.join() && found.join() !== expected.filter(name => name !== 'count').join())
+                .map(found => `${key}: {${found.join('}, {')}}`);
+        });
+        expect(mismatches).toEqual([]);
+    });
+
+    it.each(Object.keys(LANGUAGES))('%s has an other form for every counted message', (language) => {
+        const missing = flatten(LANGUAGES[language].messages)
+            .filter(([, message]) => isPlural(message) && typeof message.other !== 'string')
+            .map(([key]) => key);
+        expect(missing).toEqual([]);
+    });
+
+    it.each(Object.keys(LANGUAGES))('%s words every relay and import error code', (language) => {
+        const keys = new Set(flatten(LANGUAGES[language].messages).map(([key]) => key));
+        const missing = [
+            ...Object.values(ROOM_ERRORS).map(code => `room.errors.${code}`),
+            ...Object.values(IMPORT_ERRORS).map(code => `importExport.errors.${code}`),
+        ].filter(key => !keys.has(key));
+        expect(missing).toEqual([]);
+    });
+});
@@ -0,0 +1,118 @@
+import {
+    detectFormat,
+    escapeCsvField,
+    exportWheel,
+    FORMATS,
+    IMPORT_ERRORS,
+    mergeImportedOptions,
+    parseImport,
+} from '../importExport';
+
+const WHEEL = {
+    name: 'Lunch',
+    options: [
+        { id: 'a', name: 'Pizza', weight: 3, color: '#FF0000' },
+        { id: 'b', name: 'Fish, chips', weight: 1 },
+        { id: 'c', name: 'Say "cheese"', weight: 1 },
+    ],
+};
+
+const getParseError = (text, format) => {
+    try {
+        parseImport(text, format);
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('detectFormat', () => {
+    it('tells JSON, CSV with a header and plain text apart', () => {
+        expect(detectFormat('  [ "Pizza" ]')).toBe(FORMATS.json);
+        expect(detectFormat('{"options": []}')).toBe(FORMATS.json);
+        expect(detectFormat('name,weight\nPizza,2')).toBe(FORMATS.csv);
+        expect(detectFormat('Pizza\nTacos')).toBe(FORMATS.text);
+    });
+});
+
+describe('parseImport', () => {
+    it('splits pasted text on lines and commas', () => {
+        expect(parseImport('Pizza, Tacos\r\nSushi').options.map(option => option.name.trim()))
+            .toEqual(['Pizza', 'Tacos', 'Sushi']);
+    });
+
+    it('reads quoted CSV fields with commas, quotes and newlines', () => {
+        const { options } = parseImport('name,weight,color\n"Fish, chips",2,#00ff00\n"Say ""hi""\nthere",,not-a-color');
+        expect(options).toEqual([
+            { name: 'Fish, chips', weight: 2, color: '#00ff00' },
+            { name: 'Say "hi"\nthere' },
+        ]);
+    });
+
+    it('accepts a bare JSON list as well as a wheel export', () => {
+        expect(parseImport('["Pizza", {"name": "Tacos", "weight": 2}]')).toEqual({
+            options: [{ name: 'Pizza' }, { name: 'Tacos', weight: 2 }],
+        });
+        expect(parseImport('{"name": "Lunch", "options": ["Pizza"]}')).toEqual({ name: 'Lunch', options: [{ name: 'Pizza' }] });
+    });
+
+    it('rounds weights into the range the list allows and drops ones that are not positive', () => {
+        const { options } = parseImport('[{"name":"A","weight":1000},{"name":"B","weight":0.5},{"name":"C","weight":2.6},'
+            + '{"name":"D","weight":-3},{"name":"E","weight":"heavy"}]');
+        expect(options.map(option => option.weight)).toEqual([20, 1, 3, undefined, undefined]);
+    });
+
+    it('turns malformed entries into blank names', () => {
+        expect(parseImport('[null, 7, {"weight": 2}]').options.map(option => option.name)).toEqual(['', '', '']);
+    });
+
+    it('throws a coded error for text that is not JSON', () => {
+        expect(getParseError('{ not json', FORMATS.auto)).toMatchObject({ code: IMPORT_ERRORS.invalidJson });
+    });
+
+    it('throws a coded error for JSON without an option list', () => {
+        expect(getParseError('{"name": "Lunch"}', FORMATS.auto)).toMatchObject({ code: IMPORT_ERRORS.noOptionList });
+        expect(getParseError('null', FORMATS.json)).toMatchObject({ code: IMPORT_ERRORS.noOptionList });
+    });
+});
+
+describe('mergeImportedOptions', () => {
+    it('adds new names with ids and skips duplicates and blanks', () => {
+        const { options, added, skipped } = mergeImportedOptions(
+            WHEEL.options,
+            [{ name: ' pizza ' }, { name: 'Tacos' }, { name: '  ' }, { name: 'tacos' }],
+            'en'
+        );
+        expect(added).toHaveLength(1);
+        expect(added[0]).toMatchObject({ name: 'Tacos', weight: 1 });
+        expect(typeof added[0].id).toBe('string');
+        expect(skipped).toEqual(['pizza', 'tacos']);
+        expect(options).toHaveLength(WHEEL.options.length + 1);
+    });
+});
+
+describe('exportWheel', () => {
+    it.each([FORMATS.json, FORMATS.csv])('round-trips names, weights and colors through %s', (format) => {
+        // JSON leaves the default weight out
+        const toData = ({ name, weight = 1, color }) => ({ name, weight, color });
+        const { options } = parseImport(exportWheel(WHEEL, format));
+        expect(options.map(toData)).toEqual(WHEEL.options.map(toData));
+    });
+
+    it('keeps the wheel name in JSON', () => {
+        expect(parseImport(exportWheel(WHEEL, FORMATS.json)).name).toBe('Lunch');
+    });
+
+    it('writes one name per line as text', () => {
+        expect(exportWheel(WHEEL, FORMATS.text)).toBe('Pizza\nFish, chips\nSay "cheese"');
+    });
+});
+
+describe('escapeCsvField', () => {
+    it('quotes only fields that need it', () => {
+        expect(escapeCsvField('Pizza')).toBe('Pizza');
+        expect(escapeCsvField('a,b')).toBe('"a,b"');
+        expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(escapeCsvField(undefined)).toBe('');
+    });
+});
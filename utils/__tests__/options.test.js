@@ -0,0 +1,49 @@
+import { isDuplicateName, isSameName } from '../options';
+
+const OPTIONS = [
+    { id: 'a', name: 'Pizza' },
+    { id: 'b', name: 'Crème brûlée' },
+    { id: 'c', name: 'مُحَمَّد' },
+];
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('isSameName', () => {
+    it('ignores case and accents', () => {
+        expect(isSameName('pizza', 'PIZZA', 'en')).toBe(true);
+        expect(isSameName('Pízza', 'pizza', 'en')).toBe(true);
+        expect(isSameName('Pizza', 'Pasta', 'en')).toBe(false);
+    });
+
+    it('ignores Arabic short vowels and hamza marks', () => {
+        expect(isSameName('مُحَمَّد', 'محمد', 'ar')).toBe(true);
+        expect(isSameName('أحمد', 'احمد', 'ar')).toBe(true);
+        expect(isSameName('محمد', 'أحمد', 'ar')).toBe(false);
+    });
+
+    it('folds names the same way without Intl.Collator', () => {
+        jest.spyOn(Intl, 'Collator').mockImplementation(() => {
+            throw new Error('Collator is not supported');
+        });
+        // A locale no other test has used, so no collator is cached for it
+        expect(isSameName('Pízza', 'PIZZA', 'fr')).toBe(true);
+        expect(isSameName('مُحَمَّد', 'محمد', 'fr')).toBe(true);
+        expect(isSameName('أحمد', 'احمد', 'fr')).toBe(true);
+        expect(isSameName('Pizza', 'Pasta', 'fr')).toBe(false);
+    });
+});
+
+describe('isDuplicateName', () => {
+    it('finds a name already in the list', () => {
+        expect(isDuplicateName(OPTIONS, 'creme brulee')).toBe(true);
+        expect(isDuplicateName(OPTIONS, 'محمد', { locale: 'ar' })).toBe(true);
+        expect(isDuplicateName(OPTIONS, 'Tacos')).toBe(false);
+    });
+
+    it('lets an option keep its own name', () => {
+        expect(isDuplicateName(OPTIONS, 'PIZZA', { ignoreId: 'a' })).toBe(false);
+        expect(isDuplicateName(OPTIONS, 'PIZZA', { ignoreId: 'b' })).toBe(true);
+    });
+});
@@ -0,0 +1,45 @@
+import { buildWheelQuery, parseShareLink } from '../shareLink';
+
+const WHEEL = {
+    name: 'Lunch: today, maybe',
+    options: [
+        { name: 'Fish, chips', weight: 3 },
+        { name: 'Ratio 1:2', weight: 1 },
+        { name: 'مُحَمَّد 🍕', weight: 20 },
+    ],
+};
+
+const toLink = wheel => `foodspinnerapp://wheel?${buildWheelQuery(wheel)}`;
+
+describe('parseShareLink', () => {
+    it('round-trips names with commas, colons and emoji, and their weights', () => {
+        expect(parseShareLink(toLink(WHEEL))).toEqual(WHEEL);
+    });
+
+    it('reads the web form with a hash after the query', () => {
+        expect(parseShareLink(`https://example.com/app/?${buildWheelQuery(WHEEL)}#top`)).toEqual(WHEEL);
+    });
+
+    it('leaves the name empty when the link has none', () => {
+        expect(parseShareLink('foodspinnerapp://wheel?v=1&o=Pizza')).toEqual({ name: '', options: [{ name: 'Pizza', weight: 1 }] });
+    });
+
+    it('holds crafted weights to the range the app allows', () => {
+        const { options } = parseShareLink('foodspinnerapp://wheel?v=1&o=A:1000,B:0.5,C:2.6,D:-3,E:heavy,F:');
+        expect(options.map(option => option.weight)).toEqual([20, 1, 3, 1, 1, 1]);
+    });
+
+    it('drops options without a name', () => {
+        expect(parseShareLink('foodspinnerapp://wheel?v=1&o=,Pizza,%20,:4').options).toEqual([{ name: 'Pizza', weight: 1 }]);
+    });
+
+    it.each([
+        ['no link', undefined],
+        ['no query', 'foodspinnerapp://wheel'],
+        ['no options', 'foodspinnerapp://wheel?v=1&t=Lunch'],
+        ['only blank options', 'foodspinnerapp://wheel?v=1&o=,%20'],
+        ['a malformed escape', 'foodspinnerapp://wheel?v=1&o=%E0%A4%A'],
+    ])('returns null for %s', (_, url) => {
+        expect(parseShareLink(url)).toBeNull();
+    });
+});
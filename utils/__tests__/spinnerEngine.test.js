@@ -0,0 +1,281 @@
+import { createSeededRandom } from '../random';
+import {
+    createSpinRandom,
+    describeArc,
+    findSegmentIndex,
+    getIndexUnderPointer,
+    getLandingJitter,
+    getSegments,
+    getTargetAngle,
+    MAX_LANDING_JITTER,
+    pickWeightedIndex,
+    planTargetSpin,
+    spin,
+    validateOptions,
+} from '../spinnerEngine';
+import { getAngleUnderPointer, getButtonSpinSpeed, getPointerTurn, POINTER_POSITIONS } from '../spinPhysics';
+
+const makeOptions = (count, getWeight = () => 1) => Array.from({ length: count }, (_, index) => ({
+    id: `option-${index}`,
+    name: `Option ${index + 1}`,
+    weight: getWeight(index),
+}));
+
+const OPTION_COUNTS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 13, 16, 17, 20, 25, 32, 50, 64, 99, 100];
+// A mix of slow and fast throws in both directions, from where the wheel was left
+const SPEEDS = [-2400, -900, -180, 0, 180, 700, 1400, 1900, 2400];
+const START_ROTATIONS = [0, 45, 179.5, 359.9, 1234.5, -720.25];
+
+describe('validateOptions', () => {
+    it('accepts a well-formed list', () => {
+        expect(validateOptions(makeOptions(3))).toEqual([]);
+    });
+
+    it('rejects anything that is not a non-empty list', () => {
+        expect(validateOptions(null)).toEqual(['Options must be a list.']);
+        expect(validateOptions([])).toEqual(['There are no options to spin.']);
+    });
+
+    it('reports missing ids and names, duplicate ids and bad weights', () => {
+        const problems = validateOptions([
+            { id: 'a', name: 'Pizza' },
+            { name: 'Tacos' },
+            { id: 'a', name: 'Sushi' },
+            { id: 'c', name: '   ' },
+            { id: 'd', name: 'Curry', weight: -2 },
+            { id: 'e', name: 'Soup', weight: 'lots' },
+            'Salad',
+        ]);
+        expect(problems).toEqual([
+            'Option 2 has no id.',
+            'Option 3 has the same id as an earlier option.',
+            'Option 4 has no name.',
+            'Option 5 has a weight that is not a positive number.',
+            'Option 6 has a weight that is not a positive number.',
+            'Option 7 is not an option.',
+        ]);
+    });
+});
+
+describe('getSegments', () => {
+    it('covers the whole wheel in slices proportional to the weights', () => {
+        const segments = getSegments(makeOptions(4, index => index + 1));
+        expect(segments[0].startAngle).toBe(0);
+        expect(segments[3].endAngle).toBeCloseTo(360);
+        expect(segments.map(({ startAngle, endAngle }) => endAngle - startAngle))
+            .toEqual([36, 72, 108, 144].map(sweep => expect.closeTo(sweep)));
+    });
+
+    it('treats missing or invalid weights as the default weight', () => {
+        const segments = getSegments([{ id: 'a', name: 'A' }, { id: 'b', name: 'B', weight: 0 }]);
+        expect(segments[1].startAngle).toBeCloseTo(180);
+    });
+});
+
+describe('pointer mapping', () => {
+    it('finds the slice under the pointer at the bottom of the wheel', () => {
+        const options = makeOptions(4);
+        // The wheel is drawn a quarter turn back, so at rest angle 270 is under the pointer
+        expect(getIndexUnderPointer(options, 0)).toBe(3);
+        // Turning clockwise brings the slices before it down to the pointer
+        expect(getIndexUnderPointer(options, 90)).toBe(2);
+        expect(getIndexUnderPointer(options, 720 + 180)).toBe(1);
+        expect(getIndexUnderPointer(options, -90)).toBe(0);
+    });
+
+    it('finds the slice under a pointer on any side', () => {
+        const options = makeOptions(4);
+        expect(getIndexUnderPointer(options, 0, POINTER_POSITIONS.left)).toBe(0);
+        expect(getIndexUnderPointer(options, 0, POINTER_POSITIONS.top)).toBe(1);
+        expect(getIndexUnderPointer(options, 0, POINTER_POSITIONS.right)).toBe(2);
+        expect(getIndexUnderPointer(options, 0, POINTER_POSITIONS.bottom)).toBe(3);
+    });
+
+    it('turns the wheel by the angle between two pointer positions to keep the same slice under them', () => {
+        Object.values(POINTER_POSITIONS).forEach((from) => {
+            Object.values(POINTER_POSITIONS).forEach((to) => {
+                const rotation = 123.4;
+                expect(getAngleUnderPointer(rotation + getPointerTurn(from, to), to))
+                    .toBeCloseTo(getAngleUnderPointer(rotation, from));
+            });
+        });
+    });
+
+    it('finds nothing on an empty wheel', () => {
+        expect(findSegmentIndex([], 90)).toBe(-1);
+    });
+});
+
+describe('pickWeightedIndex', () => {
+    it('follows the weights', () => {
+        const options = makeOptions(3, index => [1, 2, 1][index]);
+        expect(pickWeightedIndex(options, new Set(), () => 0)).toBe(0);
+        expect(pickWeightedIndex(options, new Set(), () => 0.3)).toBe(1);
+        expect(pickWeightedIndex(options, new Set(), () => 0.74)).toBe(1);
+        expect(pickWeightedIndex(options, new Set(), () => 0.75)).toBe(2);
+        expect(pickWeightedIndex(options, new Set(), () => 0.999999)).toBe(2);
+    });
+
+    it('never picks an excluded option unless every option is excluded', () => {
+        const options = makeOptions(3);
+        const random = createSeededRandom('exclusions');
+        for (let draw = 0; draw < 200; draw++) {
+            expect(pickWeightedIndex(options, new Set(['option-1']), random)).not.toBe(1);
+        }
+        const allExcluded = new Set(options.map(option => option.id));
+        expect(pickWeightedIndex(options, allExcluded, () => 0.5)).toBe(1);
+    });
+
+    it('repeats the same draws for the same seed', () => {
+        const options = makeOptions(10, index => index + 1);
+        const draw = (seed) => {
+            const random = createSpinRandom(seed);
+            return Array.from({ length: 20 }, () => pickWeightedIndex(options, new Set(), random));
+        };
+        expect(draw('friday')).toEqual(draw(' friday '));
+        expect(draw('friday')).not.toEqual(draw('saturday'));
+    });
+
+    it('falls back to Math.random without a seed', () => {
+        expect(createSpinRandom('')).toBe(Math.random);
+        expect(createSpinRandom('   ')).toBe(Math.random);
+        expect(createSpinRandom(undefined)).toBe(Math.random);
+    });
+});
+
+describe('landing on the winner', () => {
+    it.each(OPTION_COUNTS)('puts every option of an even %i-option wheel under the pointer', (count) => {
+        const options = makeOptions(count);
+        options.forEach((_, targetIndex) => {
+            START_ROTATIONS.forEach((currentRotation) => {
+                const speed = SPEEDS[(targetIndex + count) % SPEEDS.length];
+                const { toValue, duration } = planTargetSpin({ options, targetIndex, currentRotation, speed });
+                expect(getIndexUnderPointer(options, toValue)).toBe(targetIndex);
+                expect(duration).toBeGreaterThan(0);
+            });
+        });
+    });
+
+    it.each(OPTION_COUNTS)('puts every option of a weighted %i-option wheel under the pointer', (count) => {
+        const options = makeOptions(count, index => (index * 7) % 20 + 1);
+        options.forEach((_, targetIndex) => {
+            SPEEDS.forEach((speed) => {
+                const { toValue } = planTargetSpin({ options, targetIndex, currentRotation: 37.25, speed });
+                expect(getIndexUnderPointer(options, toValue)).toBe(targetIndex);
+            });
+        });
+    });
+
+    it.each(OPTION_COUNTS)('lands a seeded %i-option spin on the winner it announces', (count) => {
+        const options = makeOptions(count, index => (index % 3) + 1);
+        for (let round = 0; round < 25; round++) {
+            const currentRotation = round * 97.3;
+            const result = spin({ options, currentRotation, speed: SPEEDS[round % SPEEDS.length], seed: `${count}-${round}` });
+            expect(result.winner).toBe(options[result.winnerIndex]);
+            expect(getIndexUnderPointer(options, result.toValue)).toBe(result.winnerIndex);
+        }
+    });
+
+    it.each(Object.values(POINTER_POSITIONS))('lands on the winner with the pointer at the %s', (pointer) => {
+        OPTION_COUNTS.forEach((count) => {
+            const options = makeOptions(count, index => (index % 4) + 1);
+            options.forEach((_, targetIndex) => {
+                const { toValue } = planTargetSpin({ options, targetIndex, currentRotation: 211, speed: 1600, pointer });
+                expect(getIndexUnderPointer(options, toValue, pointer)).toBe(targetIndex);
+            });
+        });
+    });
+
+    it.each(OPTION_COUNTS)('keeps a jittered %i-option landing inside the slice, clear of its edges', (count) => {
+        const options = makeOptions(count, index => (index % 5) + 1);
+        const segments = getSegments(options);
+        const random = createSeededRandom(`jitter-${count}`);
+        options.forEach((_, targetIndex) => {
+            [-MAX_LANDING_JITTER, MAX_LANDING_JITTER, getLandingJitter(random), getLandingJitter(random)].forEach((jitter) => {
+                const { toValue } = planTargetSpin({ options, targetIndex, currentRotation: 15, speed: -1300, jitter });
+                const { startAngle, endAngle } = segments[targetIndex];
+                const margin = (0.5 - MAX_LANDING_JITTER) * (endAngle - startAngle);
+                const angle = getAngleUnderPointer(toValue);
+                // A slice covering the whole wheel has nothing to stay clear of
+                if (count > 1) {
+                    expect(angle).toBeGreaterThanOrEqual(startAngle + margin - 1e-9);
+                    expect(angle).toBeLessThanOrEqual(endAngle - margin + 1e-9);
+                }
+                expect(getIndexUnderPointer(options, toValue)).toBe(targetIndex);
+            });
+        });
+    });
+
+    it('keeps jitter within its bounds', () => {
+        expect(getLandingJitter(() => 0)).toBeCloseTo(-MAX_LANDING_JITTER);
+        expect(getLandingJitter(() => 0.5)).toBeCloseTo(0);
+        expect(getLandingJitter(() => 0.999999)).toBeLessThan(MAX_LANDING_JITTER);
+        const options = makeOptions(4);
+        expect(getTargetAngle(options, 0, { jitter: 5 })).toBeCloseTo(getTargetAngle(options, 0, { jitter: MAX_LANDING_JITTER }));
+    });
+
+    it('turns the wheel at least once, in the direction it was thrown', () => {
+        const options = makeOptions(8);
+        SPEEDS.forEach((speed) => {
+            const { toValue } = planTargetSpin({ options, targetIndex: 3, currentRotation: 100, speed });
+            const travel = toValue - 100;
+            expect(Math.abs(travel)).toBeGreaterThanOrEqual(360);
+            expect(Math.sign(travel)).toBe(speed < 0 ? -1 : 1);
+        });
+    });
+
+    it('aims at the middle of the slice', () => {
+        const options = makeOptions(4);
+        // Slice 0 spans 0°–90°, and its middle, 45°, is 225° short of the pointer
+        expect(getTargetAngle(options, 0)).toBeCloseTo(225);
+    });
+});
+
+describe('spin', () => {
+    it('is repeatable for a seed', () => {
+        const options = makeOptions(12);
+        const run = () => spin({ options, currentRotation: 10, speed: 1500, seed: 'lunch' });
+        expect(run()).toEqual(run());
+    });
+
+    it('respects excluded options', () => {
+        const options = makeOptions(2);
+        const result = spin({ options, speed: 1500, excludedIds: new Set(['option-0']), random: () => 0 });
+        expect(result.winnerIndex).toBe(1);
+    });
+
+    it('throws the wheel like the SPIN button without a speed', () => {
+        const options = makeOptions(6);
+        const result = spin({ options, seed: 'lunch' });
+        expect(Number.isFinite(result.toValue)).toBe(true);
+        expect(Number.isFinite(result.duration)).toBe(true);
+        // The winner first, then the speed, then the landing jitter
+        const random = createSpinRandom('lunch');
+        const winnerIndex = pickWeightedIndex(options, new Set(), random);
+        expect(result).toMatchObject({ winnerIndex, speed: getButtonSpinSpeed(random), jitter: getLandingJitter(random) });
+    });
+
+    it('throws the first problem with the options', () => {
+        expect(() => spin({ options: [], speed: 1500 })).toThrow('There are no options to spin.');
+    });
+
+    it('draws the same button speed from the same seed', () => {
+        const speeds = () => {
+            const random = createSpinRandom('lunch');
+            return [getButtonSpinSpeed(random), getButtonSpinSpeed(random)];
+        };
+        expect(speeds()).toEqual(speeds());
+        expect(getButtonSpinSpeed(() => 0)).toBeLessThan(getButtonSpinSpeed(() => 0.99));
+    });
+});
+
+describe('describeArc', () => {
+    it('draws a full circle for a single option', () => {
+        expect(describeArc(100, 100, 50, 0, 360)).toBe('M 50 100 A 50 50 0 1 0 150 100 A 50 50 0 1 0 50 100 Z');
+    });
+
+    it('uses the large arc flag only for slices over half the wheel', () => {
+        expect(describeArc(100, 100, 50, 0, 90).split(' ')[7]).toBe('0');
+        expect(describeArc(100, 100, 50, 0, 270).split(' ')[7]).toBe('1');
+    });
+});
@@ -0,0 +1,97 @@
+import {
+    addBallot,
+    applyVotes,
+    formatTally,
+    formatVoteCounts,
+    getLocalVoterId,
+    getTallyLeaders,
+    MIN_VOTED_WEIGHT,
+    tallyVotes,
+    VOTES,
+} from '../voting';
+
+const OPTIONS = [
+    { id: 'a', name: 'Pizza', weight: 2 },
+    { id: 'b', name: 'Tacos' },
+    { id: 'c', name: 'Sushi', weight: 1 },
+];
+
+const makeBallot = (voter, votes) => ({ voterId: getLocalVoterId(voter), voter, votes });
+
+describe('tallyVotes', () => {
+    it('counts each kind of vote per option', () => {
+        const tally = tallyVotes(OPTIONS, [
+            makeBallot('Ana', { a: VOTES.up, b: VOTES.down }),
+            makeBallot('Ben', { a: VOTES.up, c: VOTES.veto }),
+        ]);
+        expect(tally.map(({ option, ...counts }) => [option.id, counts])).toEqual([
+            ['a', { up: 2, down: 0, vetoes: 0, score: 2 }],
+            ['b', { up: 0, down: 1, vetoes: 0, score: -1 }],
+            ['c', { up: 0, down: 0, vetoes: 1, score: 0 }],
+        ]);
+    });
+
+    it('ignores votes for options that are not on the wheel', () => {
+        const tally = tallyVotes(OPTIONS, [makeBallot('Ana', { gone: VOTES.up })]);
+        expect(tally.every(({ score, vetoes }) => score === 0 && vetoes === 0)).toBe(true);
+    });
+});
+
+describe('applyVotes', () => {
+    it('moves weights by the score, leaves vetoed options off and keeps a small chance', () => {
+        const ballots = [
+            makeBallot('Ana', { a: VOTES.up, b: VOTES.down, c: VOTES.veto }),
+            makeBallot('Ben', { b: VOTES.down }),
+        ];
+        expect(applyVotes(OPTIONS, ballots).map(({ id, weight }) => [id, weight])).toEqual([
+            ['a', 3],
+            ['b', MIN_VOTED_WEIGHT],
+        ]);
+    });
+
+    it('leaves the options alone without ballots', () => {
+        expect(applyVotes(OPTIONS, []).map(option => option.weight)).toEqual([2, 1, 1]);
+    });
+});
+
+describe('getTallyLeaders', () => {
+    it('picks the best score nobody vetoed', () => {
+        const tally = tallyVotes(OPTIONS, [makeBallot('Ana', { a: VOTES.veto, b: VOTES.up })]);
+        expect(getTallyLeaders(tally).map(({ option }) => option.id)).toEqual(['b']);
+    });
+
+    it('returns every option sharing the best score as a tie', () => {
+        const tally = tallyVotes(OPTIONS, [makeBallot('Ana', { a: VOTES.up }), makeBallot('Ben', { c: VOTES.up })]);
+        expect(getTallyLeaders(tally).map(({ option }) => option.id)).toEqual(['a', 'c']);
+    });
+
+    it('returns nothing when everything was vetoed', () => {
+        const vetoAll = { a: VOTES.veto, b: VOTES.veto, c: VOTES.veto };
+        expect(getTallyLeaders(tallyVotes(OPTIONS, [makeBallot('Ana', vetoAll)]))).toEqual([]);
+    });
+});
+
+describe('addBallot', () => {
+    it('replaces an earlier ballot from the same voter id', () => {
+        const first = makeBallot('Ana', { a: VOTES.up });
+        const second = makeBallot('Ana', { a: VOTES.down });
+        expect(addBallot([first], second)).toEqual([second]);
+    });
+
+    it('keeps voters with the same name apart by their ids', () => {
+        const local = makeBallot('Ana', { a: VOTES.up });
+        const guest = { voterId: 'relay-socket-1', voter: 'Ana', votes: { a: VOTES.down } };
+        expect(addBallot([local], guest)).toEqual([local, guest]);
+    });
+});
+
+describe('formatTally', () => {
+    it('shows the counts, or the vetoes when there are any', () => {
+        const tally = tallyVotes(OPTIONS.slice(0, 2), [
+            makeBallot('Ana', { a: VOTES.up, b: VOTES.veto }),
+            makeBallot('Ben', { a: VOTES.down }),
+        ]);
+        expect(formatTally(tally)).toBe('Pizza: ▲ 1  ▼ 1\nTacos: vetoed ×1');
+        expect(formatVoteCounts(tally[1], count => `فيتو ×${count}`)).toBe('فيتو ×1');
+    });
+});
@@ -0,0 +1,103 @@
+import { escapeCsvField, FORMATS } from './importExport';
+
+// Turning the options into assignments for people: balanced teams, several
+// winners drawn without replacement, or one role per person. The draws
+// themselves are spun on the wheel; these helpers decide what each draw means
+
+export const ASSIGNMENT_MODES = {
+    teams: 'teams',
+    winners: 'winners',
+    roles: 'roles',
+};
+
+export const MIN_TEAMS = 2;
+
+// Names of the groups people are drawn into; the app passes translated ones as `labels`
+export const DEFAULT_GROUP_LABELS = {
+    team: number => `Team ${number}`,
+    winners: 'Winners',
+    noRole: 'No role',
+};
+
+// Roles may be typed one per line or separated with commas
+// Split on lines and on commas, the Arabic comma included
+export const parseRoles = (text) => text.split(/[\r\n,،]+/).map(role => role.trim()).filter(Boolean);
+
+// Everyone is drawn into a team; for winners and roles the drawing stops once they run out
+export const getDrawCount = (mode, peopleCount, { winnerCount, roles }) => {
+    if (mode === ASSIGNMENT_MODES.winners) {
+        return Math.min(peopleCount, winnerCount);
+    }
+    if (mode === ASSIGNMENT_MODES.roles) {
+        return Math.min(peopleCount, roles.length);
+    }
+    return peopleCount;
+};
+
+// What the draw at `drawIndex` assigns. Teams are filled in turn, which keeps
+// their sizes within one of each other
+export const getDrawLabel = (mode, drawIndex, { teamCount, roles, labels = DEFAULT_GROUP_LABELS }) => {
+    if (mode === ASSIGNMENT_MODES.winners) {
+        return `#${drawIndex + 1}`;
+    }
+    if (mode === ASSIGNMENT_MODES.roles) {
+        return roles[drawIndex];
+    }
+    return labels.team((drawIndex % teamCount) + 1);
+};
+
+/**
+ * Groups the drawn people by what they were assigned, in draw order.
+ * Returns `{ mode, groups: [{ label, members }] }`; with roles, anyone left
+ * over once the roles ran out ends up in a final "No role" group. Group names
+ * come from `settings.labels`, in English unless given.
+ */
+export const buildAssignment = (mode, drawnPeople, allPeople, settings) => {
+    const labels = settings.labels || DEFAULT_GROUP_LABELS;
+    const groups = [];
+    const addMember = (label, name) => {
+        let group = groups.find(item => item.label === label);
+        if (!group) {
+            group = { label, members: [] };
+            groups.push(group);
+        }
+        group.members.push(name);
+    };
+
+    if (mode === ASSIGNMENT_MODES.teams) {
+        // Every team is listed, even when there are fewer people than teams
+        for (let team = 0; team < settings.teamCount; team++) {
+            groups.push({ label: labels.team(team + 1), members: [] });
+        }
+    }
+    if (mode === ASSIGNMENT_MODES.winners) {
+        groups.push({ label: labels.winners, members: drawnPeople.map(person => person.name) });
+    } else {
+        drawnPeople.forEach((person, index) => addMember(getDrawLabel(mode, index, settings), person.name));
+    }
+    if (mode === ASSIGNMENT_MODES.roles) {
+        const drawnIds = new Set(drawnPeople.map(person => person.id));
+        allPeople
+            .filter(person => !drawnIds.has(person.id))
+            .forEach(person => addMember(labels.noRole, person.name));
+    }
+    return { mode, groups };
+};
+
+export const formatAssignment = (assignment, format) => {
+    if (format === FORMATS.csv) {
+        const rows = assignment.groups.flatMap(({ label, members }) => (
+            members.map((name, index) => [
+                escapeCsvField(label),
+                escapeCsvField(name),
+                assignment.mode === ASSIGNMENT_MODES.winners ? index + 1 : '',
+            ].join(','))
+        ));
+        return ['group,name,place', ...rows].join('\n');
+    }
+    return assignment.groups.map(({ label, members }) => (
+        assignment.mode === ASSIGNMENT_MODES.winners
+            ? members.map((name, index) => `${index + 1}. ${name}`).join('\n')
+            : `${label}: ${members.join(', ') || '—'}`
+    )).join('\n');
+};
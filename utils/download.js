@@ -0,0 +1,10 @@
+// Saves text as a file through the browser's download prompt; web only
+export const downloadFile = (fileName, contents) => {
+    const blob = new Blob([contents], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,8 @@
+// Chrome extension integration. Native builds never run as an extension; the web
+// build's version is in extension.web.js
+export const isExtension = false;
+export const isExtensionPopup = false;
+
+export const openInTab = () => {};
+
+export const reloadApp = () => {};
@@ -0,0 +1,33 @@
+// Chrome extension integration for the web build. The same bundle runs as a web page,
+// as the extension's toolbar popup and as the extension opened in a full tab
+export const POPUP_PAGE = 'popup.html';
+export const TAB_PAGE = 'index.html';
+
+// Chrome sizes a popup to its content, while the app fills whatever it is given
+const POPUP_WIDTH = 420;
+const POPUP_HEIGHT = 600;
+
+// Only extension pages get the chrome.runtime of an installed extension
+const getChrome = () => (globalThis.chrome?.runtime?.id ? globalThis.chrome : null);
+
+export const isExtension = !!getChrome();
+export const isExtensionPopup = isExtension && window.location.pathname.endsWith(`/${POPUP_PAGE}`);
+
+if (isExtensionPopup) {
+    document.documentElement.style.width = `${POPUP_WIDTH}px`;
+    document.documentElement.style.height = `${POPUP_HEIGHT}px`;
+}
+
+// Opens the extension in a tab of its own and closes the popup
+export const openInTab = () => {
+    const chrome = getChrome();
+    if (!chrome) {
+        return;
+    }
+    chrome.tabs.create({ url: chrome.runtime.getURL(TAB_PAGE) });
+    window.close();
+};
+
+export const reloadApp = () => {
+    window.location.reload();
+};
@@ -0,0 +1,60 @@
+// Fairness policies decide which options may not win the next spin, based on
+// the wheel's past results
+
+export const FAIRNESS_POLICIES = {
+    none: 'none',
+    noRepeat: 'noRepeat',
+    cooldown: 'cooldown',
+    bag: 'bag',
+};
+
+export const DEFAULT_COOLDOWN_SPINS = 2;
+
+// Winners of the most recent spins, newest first
+const getRecentWinnerIds = (wheelHistory, spinCount) => (
+    wheelHistory.slice(0, Math.max(0, spinCount)).map(entry => entry.winnerId)
+);
+
+// Replays the history oldest first: an option that won goes out of the bag,
+// and the bag is refilled once every current option has won
+const getBagWinnerIds = (candidateIds, wheelHistory) => {
+    const drawnIds = new Set();
+    for (let index = wheelHistory.length - 1; index >= 0; index--) {
+        const winnerId = wheelHistory[index].winnerId;
+        if (candidateIds.includes(winnerId)) {
+            drawnIds.add(winnerId);
+        }
+        if (drawnIds.size >= candidateIds.length) {
+            drawnIds.clear();
+        }
+    }
+    return Array.from(drawnIds);
+};
+
+/**
+ * Returns the ids of the options that may not win the next spin.
+ * `wheelHistory` holds the wheel's entries newest first. The rules never
+ * exclude every option: with too few options they relax until one is left.
+ */
+export const getIneligibleIds = (options, wheelHistory, { policy = FAIRNESS_POLICIES.none, cooldownSpins = DEFAULT_COOLDOWN_SPINS } = {}) => {
+    const candidateIds = options.map(option => option.id);
+    // At least one option has to stay eligible
+    const maxExcluded = candidateIds.length - 1;
+
+    let excludedIds = [];
+    if (policy === FAIRNESS_POLICIES.noRepeat) {
+        excludedIds = getRecentWinnerIds(wheelHistory, Math.min(1, maxExcluded));
+    } else if (policy === FAIRNESS_POLICIES.cooldown) {
+        // Repeated winners within the window mean the window may cover more spins
+        // than distinct options, so shrink it until something is left to pick
+        let spinCount = cooldownSpins;
+        do {
+            excludedIds = getRecentWinnerIds(wheelHistory, spinCount);
+            spinCount -= 1;
+        } while (spinCount >= 0 && candidateIds.every(id => excludedIds.includes(id)));
+    } else if (policy === FAIRNESS_POLICIES.bag) {
+        excludedIds = getBagWinnerIds(candidateIds, wheelHistory);
+    }
+
+    return new Set(excludedIds.filter(id => candidateIds.includes(id)));
+};
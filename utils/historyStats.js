@@ -0,0 +1,90 @@
+// Win counts and drift detection for the spin history
+
+import { getOptionWeight } from './spinnerEngine';
+
+// Fewer spins than this carry too little information to call anything unusual
+const MIN_SPINS_FOR_DRIFT = 10;
+
+// A per-option deviation beyond this many standard deviations is flagged
+const OPTION_DRIFT_Z_SCORE = 2;
+
+// 95th percentile z-value, used for the chi-square critical value
+const Z_95 = 1.645;
+
+// Wilson–Hilferty approximation of the chi-square distribution's 95th percentile
+const chiSquareCriticalValue = (degreesOfFreedom) => {
+    const k = degreesOfFreedom;
+    const term = 1 - (2 / (9 * k)) + Z_95 * Math.sqrt(2 / (9 * k));
+    return k * term * term * term;
+};
+
+/**
+ * Summarises history entries per option. Each spin contributes the option's
+ * probability at the time (weight / total weight of the snapshot) to its
+ * expected win count, so lists that changed over time are still compared fairly.
+ * Options the fairness policy excluded from a spin had no chance of winning it.
+ */
+export const computeHistoryStats = (entries) => {
+    const byOption = new Map();
+
+    entries.forEach((entry) => {
+        const excludedIds = new Set(entry.excludedIds || []);
+        const getEligibleWeight = option => (excludedIds.has(option.id) ? 0 : getOptionWeight(option));
+        const totalWeight = entry.options.reduce((sum, option) => sum + getEligibleWeight(option), 0);
+        entry.options.forEach((option) => {
+            const probability = totalWeight > 0 ? getEligibleWeight(option) / totalWeight : 0;
+            const stat = byOption.get(option.id) || {
+                id: option.id,
+                name: option.name,
+                wins: 0,
+                expectedWins: 0,
+                variance: 0,
+            };
+            stat.expectedWins += probability;
+            stat.variance += probability * (1 - probability);
+            byOption.set(option.id, stat);
+        });
+
+        const winnerStat = byOption.get(entry.winnerId);
+        if (winnerStat) {
+            winnerStat.wins += 1;
+        }
+    });
+
+    const totalSpins = entries.length;
+    const hasEnoughSpins = totalSpins >= MIN_SPINS_FOR_DRIFT;
+
+    const options = Array.from(byOption.values())
+        .map((stat) => {
+            const zScore = stat.variance > 0 ? (stat.wins - stat.expectedWins) / Math.sqrt(stat.variance) : 0;
+            return {
+                id: stat.id,
+                name: stat.name,
+                wins: stat.wins,
+                frequency: totalSpins > 0 ? stat.wins / totalSpins : 0,
+                expectedWins: stat.expectedWins,
+                expectedFrequency: totalSpins > 0 ? stat.expectedWins / totalSpins : 0,
+                zScore,
+                isDrifting: hasEnoughSpins && Math.abs(zScore) > OPTION_DRIFT_Z_SCORE,
+            };
+        })
+        .sort((a, b) => b.wins - a.wins || b.expectedWins - a.expectedWins);
+
+    // Pearson's chi-square goodness of fit over every option that could have won
+    const candidates = options.filter(option => option.expectedWins > 0);
+    const chiSquare = candidates.reduce(
+        (sum, option) => sum + ((option.wins - option.expectedWins) ** 2) / option.expectedWins,
+        0
+    );
+    const degreesOfFreedom = candidates.length - 1;
+    const criticalValue = degreesOfFreedom > 0 ? chiSquareCriticalValue(degreesOfFreedom) : Infinity;
+
+    return {
+        totalSpins,
+        options,
+        chiSquare,
+        criticalValue,
+        hasEnoughSpins,
+        isDrifting: hasEnoughSpins && chiSquare > criticalValue,
+    };
+};
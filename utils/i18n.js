@@ -0,0 +1,78 @@
+import ar from '../locales/ar';
+import en from '../locales/en';
+
+// Message catalogs and the lookups that turn a key into text. Keys are dotted paths
+// into a catalog, such as 'settings.title'. `{name}` in a message is filled in from
+// the params, and a message with plural forms ({ one, other, … }) is picked by the
+// `count` param. Anything a catalog lacks falls back to English
+
+export const DEFAULT_LANGUAGE = 'en';
+// Follows the device's language when the app has a catalog for it
+export const SYSTEM_LANGUAGE = 'system';
+
+export const LANGUAGES = {
+    en: { name: 'English', isRTL: false, messages: en },
+    ar: { name: 'العربية', isRTL: true, messages: ar },
+};
+
+export const getDeviceLanguage = () => {
+    let locale = '';
+    try {
+        locale = Intl.DateTimeFormat().resolvedOptions().locale || '';
+    } catch {
+        // Engines without Intl fall back to English
+    }
+    const language = locale.split('-')[0].toLowerCase();
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+};
+
+export const resolveLanguage = (setting) => {
+    if (setting === SYSTEM_LANGUAGE) {
+        return getDeviceLanguage();
+    }
+    return LANGUAGES[setting] ? setting : DEFAULT_LANGUAGE;
+};
+
+const lookUp = (messages, key) => key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    messages
+);
+
+// Hermes has no Intl.PluralRules, so without it only English-style one/other is told apart
+const getPluralCategory = (language, count) => {
+    try {
+        return new Intl.PluralRules(language).select(count);
+    } catch {
+        return count === 1 ? 'one' : 'other';
+    }
+};
+
+const fillIn = (message, params) => message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+));
+
+const findMessage = (language, key, params) => {
+    const message = lookUp(LANGUAGES[language]?.messages, key);
+    if (typeof message === 'string') {
+        return message;
+    }
+    if (message && typeof message === 'object' && typeof params.count === 'number') {
+        return message[getPluralCategory(language, params.count)] ?? message.other;
+    }
+    return undefined;
+};
+
+// The message for `key` in `language`, or the key itself when no catalog has it
+export const translate = (language, key, params = {}) => {
+    const message = findMessage(language, key, params) ?? findMessage(DEFAULT_LANGUAGE, key, params);
+    return message === undefined ? key : fillIn(message, params);
+};
+
+// What the app's I18nContext holds
+export const createI18n = (language) => ({
+    language,
+    isRTL: !!LANGUAGES[language]?.isRTL,
+    // For a view's `direction` style, which lays out its rows to match
+    direction: LANGUAGES[language]?.isRTL ? 'rtl' : 'ltr',
+    t: (key, params) => translate(language, key, params),
+});
@@ -0,0 +1,3 @@
+// Unique enough for locally created wheels and options, even when several are
+// created within the same millisecond
+export const createId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
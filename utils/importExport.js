@@ -0,0 +1,208 @@
+import { createId } from './ids';
+import { isDuplicateName } from './options';
+import { clampWeight } from './spinnerEngine';
+
+// Formats for importing and exporting a wheel's option list
+export const FORMATS = {
+    auto: 'auto',
+    text: 'text',
+    csv: 'csv',
+    json: 'json',
+};
+
+// Why an import could not be read, as the `code` of the error parseImport throws
+export const IMPORT_ERRORS = {
+    invalidJson: 'invalidJson',
+    noOptionList: 'noOptionList',
+};
+
+const createImportError = (code, message) => Object.assign(new Error(message), { code });
+
+const CSV_COLUMNS = ['name', 'weight', 'color'];
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const toOptionData = (raw) => {
+    if (typeof raw === 'string') {
+        return { name: raw };
+    }
+    if (!raw || typeof raw !== 'object') {
+        return { name: '' };
+    }
+    const data = { name: String(raw.name ?? '') };
+    const weight = Number(raw.weight);
+    if (raw.weight !== undefined && raw.weight !== '' && Number.isFinite(weight) && weight > 0) {
+        data.weight = clampWeight(weight);
+    }
+    if (typeof raw.color === 'string' && COLOR_PATTERN.test(raw.color.trim())) {
+        data.color = raw.color.trim();
+    }
+    return data;
+};
+
+// Splits a pasted block on newlines and commas: "Pizza, Tacos" and one name per line both work
+const parseText = (text) => text.split(/[\r\n,]+/).map(name => ({ name }));
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, newlines and "" escapes
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+const parseCsv = (text) => {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) {
+        return [];
+    }
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.includes('name');
+    const columns = hasHeader ? header : CSV_COLUMNS;
+    return (hasHeader ? rows.slice(1) : rows).map((cells) => {
+        const raw = {};
+        columns.forEach((column, index) => {
+            if (cells[index] !== undefined) {
+                raw[column] = cells[index].trim();
+            }
+        });
+        return raw;
+    });
+};
+
+// Accepts a wheel export ({ name, options }) or a bare array of names or options
+const parseJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw createImportError(IMPORT_ERRORS.invalidJson, error.message);
+    }
+    if (Array.isArray(data)) {
+        return { options: data };
+    }
+    if (data && Array.isArray(data.options)) {
+        return { name: typeof data.name === 'string' ? data.name : undefined, options: data.options };
+    }
+    throw createImportError(IMPORT_ERRORS.noOptionList, 'Expected a list of options or an object with an "options" list.');
+};
+
+export const detectFormat = (text) => {
+    const trimmedText = text.trim();
+    if (trimmedText.startsWith('{') || trimmedText.startsWith('[')) {
+        return FORMATS.json;
+    }
+    const firstLine = trimmedText.split(/\r?\n/)[0].toLowerCase();
+    if (/^"?name"?\s*,/.test(firstLine)) {
+        return FORMATS.csv;
+    }
+    return FORMATS.text;
+};
+
+/**
+ * Parses imported text into `{ name, options }`, where `name` is only set for
+ * JSON wheel exports and `options` holds `{ name, weight?, color? }` entries.
+ * Weights are rounded into the range the option list allows.
+ * Throws an error with one of IMPORT_ERRORS as its `code` when JSON cannot be read.
+ */
+export const parseImport = (text, format = FORMATS.auto) => {
+    const resolvedFormat = format === FORMATS.auto ? detectFormat(text) : format;
+    if (resolvedFormat === FORMATS.json) {
+        const { name, options } = parseJson(text);
+        return { name, options: options.map(toOptionData) };
+    }
+    const rawOptions = resolvedFormat === FORMATS.csv ? parseCsv(text) : parseText(text);
+    return { options: rawOptions.map(toOptionData) };
+};
+
+/**
+ * Adds imported options to an existing list using the same duplicate check as
+ * typing an option by hand, in the given locale. Returns the new list and the
+ * names that were left out.
+ */
+export const mergeImportedOptions = (existingOptions, importedOptions, locale) => {
+    const merged = [...existingOptions];
+    const added = [];
+    const skipped = [];
+
+    importedOptions.forEach((data) => {
+        const name = data.name.trim();
+        if (!name) {
+            return;
+        }
+        if (isDuplicateName(merged, name, { locale })) {
+            skipped.push(name);
+            return;
+        }
+        const option = { ...data, id: createId(), name, weight: data.weight ?? 1 };
+        merged.push(option);
+        added.push(option);
+    });
+
+    return { options: merged, added, skipped };
+};
+
+export const escapeCsvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const exportWheel = (wheel, format) => {
+    if (format === FORMATS.csv) {
+        const rows = wheel.options.map(option => CSV_COLUMNS.map(column => escapeCsvField(option[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+    if (format === FORMATS.text) {
+        return wheel.options.map(option => option.name).join('\n');
+    }
+    const options = wheel.options.map(({ name, weight, color }) => {
+        const data = { name };
+        if (weight !== undefined && weight !== 1) {
+            data.weight = weight;
+        }
+        if (color) {
+            data.color = color;
+        }
+        return data;
+    });
+    return JSON.stringify({ name: wheel.name, options }, null, 2);
+};
+
+export const EXPORT_FILE_EXTENSIONS = {
+    [FORMATS.json]: 'json',
+    [FORMATS.csv]: 'csv',
+    [FORMATS.text]: 'txt',
+};
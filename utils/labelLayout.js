@@ -0,0 +1,122 @@
+// Fits slice labels into their wedge: wraps onto several lines, shrinks the
+// font and finally truncates with an ellipsis. Text is not measured; widths are
+// estimated from the character count, which is close enough for bold labels
+
+const CHAR_WIDTH_RATIO = 0.6;
+const LINE_HEIGHT_RATIO = 1.15;
+const MAX_LINES = 3;
+const MIN_VISIBLE_CHARS = 3;
+const ELLIPSIS = '…';
+
+// Labels run along the radius from an inner fraction of it to just short of the rim.
+// Thin slices start further out, where the wedge is wider
+const LABEL_INNER_RATIOS = [0.3, 0.5];
+const LABEL_OUTER_RATIO = 0.92;
+
+// Code points rather than UTF-16 units, so an emoji counts as one character
+const toChars = (text) => Array.from(text);
+
+const splitLongWord = (word, maxChars) => {
+    const chars = toChars(word);
+    const pieces = [];
+    for (let start = 0; start < chars.length; start += maxChars) {
+        pieces.push(chars.slice(start, start + maxChars).join(''));
+    }
+    return pieces;
+};
+
+// Greedy word wrap; words longer than a whole line are broken up
+export const wrapText = (text, maxChars) => {
+    const lines = [];
+    let current = '';
+    text.trim().split(/\s+/).filter(Boolean).forEach((word) => {
+        const pieces = toChars(word).length > maxChars ? splitLongWord(word, maxChars) : [word];
+        pieces.forEach((piece) => {
+            const candidate = current ? `${current} ${piece}` : piece;
+            if (toChars(candidate).length <= maxChars) {
+                current = candidate;
+            } else {
+                if (current) {
+                    lines.push(current);
+                }
+                current = piece;
+            }
+        });
+    });
+    if (current) {
+        lines.push(current);
+    }
+    return lines;
+};
+
+const truncateLines = (lines, maxLines, maxChars) => {
+    const kept = lines.slice(0, maxLines);
+    const lastChars = toChars(kept[kept.length - 1]);
+    const lastLine = lastChars.length < maxChars
+        ? lastChars.join('')
+        : lastChars.slice(0, maxChars - 1).join('').trimEnd();
+    kept[kept.length - 1] = `${lastLine}${ELLIPSIS}`;
+    return kept;
+};
+
+/**
+ * Lays out a label for a slice. `width` is the room along the radius and
+ * `height` the room across the slice. Returns `{ fontSize, lineHeight, lines, isTruncated }`,
+ * or null when the slice is too thin for even a few characters.
+ */
+export const fitLabel = (text, { width, height, maxFontSize, minFontSize }) => {
+    for (let fontSize = Math.floor(maxFontSize); fontSize >= minFontSize; fontSize--) {
+        const lineHeight = fontSize * LINE_HEIGHT_RATIO;
+        const maxLines = Math.min(MAX_LINES, Math.floor(height / lineHeight));
+        const maxChars = Math.floor(width / (fontSize * CHAR_WIDTH_RATIO));
+        if (maxLines < 1 || maxChars < MIN_VISIBLE_CHARS) {
+            continue;
+        }
+
+        const lines = wrapText(text, maxChars);
+        if (lines.length <= maxLines) {
+            return { fontSize, lineHeight, lines, isTruncated: false };
+        }
+        // Out of sizes to try, so keep what fits
+        if (fontSize - 1 < minFontSize) {
+            return { fontSize, lineHeight, lines: truncateLines(lines, maxLines, maxChars), isTruncated: true };
+        }
+    }
+    return null;
+};
+
+// Room for a label in a slice of the given sweep, measured at the inner end where the wedge is narrowest
+const getSliceLabelBox = (radius, sweepAngle, innerRatio) => {
+    const innerRadius = radius * innerRatio;
+    const halfSweep = Math.min(sweepAngle, 180) / 2 * Math.PI / 180;
+    return {
+        width: radius * (LABEL_OUTER_RATIO - innerRatio),
+        // A slice of half the wheel or more is only limited by the radius
+        height: sweepAngle >= 180 ? radius : 2 * innerRadius * Math.sin(halfSweep) * 0.9,
+    };
+};
+
+/**
+ * Fits a label into a slice, preferring the layout that shows the whole text.
+ * Adds `textRadius`, the distance from the center to the middle of the label.
+ * Returns null when the slice is too thin to label.
+ */
+export const layoutSliceLabel = (text, { radius, sweepAngle, maxFontSize, minFontSize }) => {
+    let fallback = null;
+    for (const innerRatio of LABEL_INNER_RATIOS) {
+        const layout = fitLabel(text, {
+            ...getSliceLabelBox(radius, sweepAngle, innerRatio),
+            maxFontSize,
+            minFontSize,
+        });
+        if (!layout) {
+            continue;
+        }
+        const placed = { ...layout, textRadius: radius * (innerRatio + LABEL_OUTER_RATIO) / 2 };
+        if (!placed.isTruncated) {
+            return placed;
+        }
+        fallback = fallback || placed;
+    }
+    return fallback;
+};
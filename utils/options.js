@@ -0,0 +1,43 @@
+// Helpers shared by everything that adds options to a wheel
+
+const nameCollators = new Map();
+
+// Compares at the base letter only, so case and accents make no difference
+const getNameCollator = (locale) => {
+    if (!nameCollators.has(locale)) {
+        let collator = null;
+        try {
+            collator = new Intl.Collator(locale, { usage: 'search', sensitivity: 'base' });
+        } catch {
+            // An unknown locale, or an engine without Intl, uses the fallback below
+        }
+        nameCollators.set(locale, collator);
+    }
+    return nameCollators.get(locale);
+};
+
+// Without a collator: strip the combining accents, Arabic short vowels and hamza marks
+// and the tatweel, then lower-case by the locale's rules
+const foldName = (name, locale) => name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u0640\u064b-\u065f\u0670]/g, '')
+    .toLocaleLowerCase(locale);
+
+// Whether two option names count as the same in `locale`: "pizza", "Pizza" and "Pízza" do
+export const isSameName = (name, otherName, locale) => {
+    const collator = getNameCollator(locale);
+    return collator ? collator.compare(name, otherName) === 0 : foldName(name, locale) === foldName(otherName, locale);
+};
+
+// Pass `ignoreId` when renaming, so an option doesn't clash with its own name
+export const isDuplicateName = (options, name, { ignoreId = null, locale } = {}) => (
+    options.some(item => item.id !== ignoreId && isSameName(item.name, name, locale))
+);
+
+// Returns a copy of the list with one item moved to a new position
+export const moveItem = (list, fromIndex, toIndex) => {
+    const moved = [...list];
+    const [item] = moved.splice(fromIndex, 1);
+    moved.splice(toIndex, 0, item);
+    return moved;
+};
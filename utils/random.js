@@ -0,0 +1,31 @@
+// Seeded randomness so that a spin can be re-run and verified
+
+// 32-bit FNV-1a hash of a string
+export const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Mulberry32: a small, fast PRNG that returns floats in [0, 1) like Math.random
+const mulberry32 = (state) => () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Text and numbers both work as seeds: "42" and 42 produce the same sequence
+export const createSeededRandom = (seed) => mulberry32(hashString(String(seed).trim()));
+
+/**
+ * Short fingerprint of the option list a draw was made from. It covers names,
+ * order and the weights used in the draw, so any change to the list changes it.
+ */
+export const getOptionsHash = (options) => {
+    const canonical = options.map(option => `${option.name}\u0000${option.weight}`).join('\u0001');
+    return hashString(canonical).toString(16).padStart(8, '0');
+};
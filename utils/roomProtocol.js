@@ -0,0 +1,47 @@
+// Messages exchanged with the room relay in server/relay.js. Every message is a
+// JSON object with a `type`; the relay checks roles, the app trusts what it gets
+
+export const ROOM_MESSAGES = {
+    // Sent by the app
+    create: 'create',
+    join: 'join',
+    leave: 'leave',
+    wheel: 'wheel',
+    spin: 'spin',
+    propose: 'propose',
+    vote: 'vote',
+    // Sent by the relay
+    created: 'created',
+    joined: 'joined',
+    presence: 'presence',
+    proposal: 'proposal',
+    ballot: 'ballot',
+    closed: 'closed',
+    error: 'error',
+};
+
+// Why the relay refused a message or closed the room. `error` and `closed` messages
+// carry one as `errorCode`, with any `params`, for the app to put in its own words
+// next to the relay's English `message` or `reason`
+export const ROOM_ERRORS = {
+    notJson: 'notJson',
+    unknownType: 'unknownType',
+    failed: 'failed',
+    noRoom: 'noRoom',
+    hostLeft: 'hostLeft',
+};
+
+// Where `npm run relay` listens; phones on the same network need the computer's address instead
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+
+export const normalizeRoomCode = (text) => text.replace(/\s+/g, '').toUpperCase();
+
+// The part of a wheel guests need to draw it exactly like the host does, and
+// whether the host is collecting votes on it
+export const toSharedWheel = ({ name, options, colorsById, dimmedIds, isVoteOpen = false }) => ({
+    name,
+    isVoteOpen,
+    options: options.map(({ id, name: optionName, weight, emoji }) => ({ id, name: optionName, weight, emoji })),
+    colorsById: Object.fromEntries(options.map(option => [option.id, colorsById[option.id]])),
+    dimmedIds: options.filter(option => dimmedIds.has(option.id)).map(option => option.id),
+});
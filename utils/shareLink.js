@@ -0,0 +1,90 @@
+import * as Linking from 'expo-linking';
+import { Platform } from 'react-native';
+import { clampWeight, DEFAULT_WEIGHT } from './spinnerEngine';
+
+// Shared wheels travel in the query string: `t` is the title and `o` the
+// options, separated by commas with an optional `:weight` suffix. Names are
+// percent-encoded, so commas and colons inside them survive the round trip.
+// Weights from a link are held to the range the app could have shared.
+const LINK_VERSION = '1';
+const WHEEL_PATH = 'wheel';
+
+const encodeOption = (option) => {
+    const name = encodeURIComponent(option.name);
+    const weight = Number(option.weight);
+    return Number.isFinite(weight) && weight > 0 && weight !== 1 ? `${name}:${weight}` : name;
+};
+
+const decodeOption = (encoded) => {
+    const [rawName, rawWeight] = encoded.split(':');
+    const name = decodeURIComponent(rawName || '').trim();
+    const weight = Number(rawWeight);
+    return rawWeight !== undefined && Number.isFinite(weight) && weight > 0
+        ? { name, weight: clampWeight(weight) }
+        : { name, weight: DEFAULT_WEIGHT };
+};
+
+export const buildWheelQuery = (wheel) => [
+    `v=${LINK_VERSION}`,
+    `t=${encodeURIComponent(wheel.name)}`,
+    `o=${wheel.options.map(encodeOption).join(',')}`,
+].join('&');
+
+/**
+ * Link that opens the wheel: the current page with a query string on the
+ * static web build, the foodspinnerapp:// scheme on native.
+ */
+export const createShareLink = (wheel) => {
+    const query = buildWheelQuery(wheel);
+    if (Platform.OS === 'web' && typeof window !== 'undefined') {
+        const { origin, pathname } = window.location;
+        return `${origin}${pathname}?${query}`;
+    }
+    return `${Linking.createURL(WHEEL_PATH)}?${query}`;
+};
+
+/**
+ * Reads a shared wheel from either link form. Returns `{ name, options }` or
+ * null when the URL does not carry a wheel. `name` is empty when the link has
+ * none, for the app to name the wheel in its own language.
+ */
+export const parseShareLink = (url) => {
+    if (!url) {
+        return null;
+    }
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+        return null;
+    }
+    const query = url.slice(queryStart + 1).split('#')[0];
+    const params = {};
+    query.split('&').forEach((pair) => {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            params[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+    });
+    if (!params.o) {
+        return null;
+    }
+
+    try {
+        const options = params.o.split(',').map(decodeOption).filter(option => option.name);
+        if (options.length === 0) {
+            return null;
+        }
+        const name = params.t ? decodeURIComponent(params.t).trim() : '';
+        return { name, options };
+    } catch {
+        // decodeURIComponent throws on malformed escapes
+        return null;
+    }
+};
+
+// Drops the wheel from the address bar once it is loaded, so a reload doesn't import it again
+export const clearShareLinkFromLocation = () => {
+    if (Platform.OS === 'web' && typeof window !== 'undefined' && window.history?.replaceState) {
+        const { pathname, hash } = window.location;
+        window.history.replaceState(window.history.state, '', `${pathname}${hash}`);
+    }
+};
@@ -0,0 +1,102 @@
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+import * as FileSystem from 'expo-file-system';
+import { SOUNDS } from '../constants/sounds';
+
+// Native sound effects: each sound is rendered once to a WAV file in the cache
+// directory and played through expo-audio. See sound.web.js for the browser version
+const SAMPLE_RATE = 22050;
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const players = {};
+let preparing = null;
+
+const encodeBase64 = (bytes) => {
+    let output = '';
+    for (let index = 0; index < bytes.length; index += 3) {
+        const chunk = (bytes[index] << 16) | ((bytes[index + 1] || 0) << 8) | (bytes[index + 2] || 0);
+        output += BASE64_CHARS[(chunk >> 18) & 63] + BASE64_CHARS[(chunk >> 12) & 63];
+        output += index + 1 < bytes.length ? BASE64_CHARS[(chunk >> 6) & 63] : '=';
+        output += index + 2 < bytes.length ? BASE64_CHARS[chunk & 63] : '=';
+    }
+    return output;
+};
+
+// Triangle-wave notes with a quick attack and an exponential fade, matching the web version
+const renderSamples = ({ volume, notes }) => {
+    const length = Math.ceil(Math.max(...notes.map(note => note.start + note.duration)) * SAMPLE_RATE);
+    const samples = new Float32Array(length);
+    notes.forEach(({ frequency, start, duration }) => {
+        const first = Math.floor(start * SAMPLE_RATE);
+        const count = Math.floor(duration * SAMPLE_RATE);
+        for (let offset = 0; offset < count && first + offset < length; offset++) {
+            const time = offset / SAMPLE_RATE;
+            const phase = (time * frequency) % 1;
+            const triangle = 1 - 4 * Math.abs(phase - 0.5);
+            const envelope = Math.min(1, time / 0.005) * Math.pow(0.0001, time / duration);
+            samples[first + offset] += triangle * envelope * volume;
+        }
+    });
+    return samples;
+};
+
+// 16-bit mono PCM in a RIFF container
+const encodeWav = (samples) => {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        for (let index = 0; index < text.length; index++) {
+            view.setUint8(offset + index, text.charCodeAt(index));
+        }
+    };
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, index) => {
+        view.setInt16(44 + index * 2, Math.max(-1, Math.min(1, sample)) * 0x7fff, true);
+    });
+    return new Uint8Array(buffer);
+};
+
+const loadPlayer = async (name) => {
+    const uri = `${FileSystem.cacheDirectory}sound-${name}.wav`;
+    const wav = encodeWav(renderSamples(SOUNDS[name]));
+    await FileSystem.writeAsStringAsync(uri, encodeBase64(wav), { encoding: FileSystem.EncodingType.Base64 });
+    players[name] = createAudioPlayer({ uri });
+};
+
+export const prepareSound = () => {
+    if (!preparing) {
+        preparing = (async () => {
+            // Effects respect the ringer switch instead of interrupting other audio
+            await setAudioModeAsync({ playsInSilentMode: false, interruptionMode: 'mixWithOthers' });
+            await Promise.all(Object.keys(SOUNDS).map(loadPlayer));
+        })().catch((error) => {
+            console.warn('Could not prepare sound effects', error);
+        });
+    }
+    return preparing;
+};
+
+const playSound = (name) => {
+    const player = players[name];
+    if (!player) {
+        return;
+    }
+    // Restart rather than overlap, so fast ticks don't pile up
+    player.seekTo(0);
+    player.play();
+};
+
+export const playTick = () => playSound('tick');
+
+export const playFanfare = () => playSound('fanfare');
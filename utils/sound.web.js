@@ -0,0 +1,46 @@
+import { SOUNDS } from '../constants/sounds';
+
+// Web Audio synthesis for the web and Chrome extension builds. Browsers only
+// allow audio once the page has had a user gesture, so prepareSound() is called
+// from the SPIN press or the drag that starts a spin
+let audioContext = null;
+
+const getAudioContext = () => {
+    if (!audioContext && typeof window !== 'undefined') {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = AudioContextClass ? new AudioContextClass() : null;
+    }
+    return audioContext;
+};
+
+export const prepareSound = async () => {
+    const context = getAudioContext();
+    if (context && context.state === 'suspended') {
+        await context.resume().catch(() => {});
+    }
+};
+
+const playSound = ({ volume, notes }) => {
+    const context = getAudioContext();
+    if (!context || context.state !== 'running') {
+        return;
+    }
+    const now = context.currentTime;
+    notes.forEach(({ frequency, start, duration }) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = frequency;
+        // Quick attack and an exponential fade, like a plucked note
+        gain.gain.setValueAtTime(0.0001, now + start);
+        gain.gain.exponentialRampToValueAtTime(volume, now + start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + start + duration);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(now + start);
+        oscillator.stop(now + start + duration + 0.01);
+    });
+};
+
+export const playTick = () => playSound(SOUNDS.tick);
+
+export const playFanfare = () => playSound(SOUNDS.fanfare);
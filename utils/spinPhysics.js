@@ -0,0 +1,98 @@
+// Spin motion: a flick sets the initial angular speed and constant friction
+// slows the wheel down. The winner is drawn before the wheel moves; the physics
+// only decide how far and how long it turns, so a gesture cannot bias the result
+
+// Angular deceleration in degrees per second squared
+export const FRICTION = 400;
+// Slower releases just leave the wheel where it was dragged
+export const MIN_FLICK_SPEED = 180;
+export const MAX_FLICK_SPEED = 2400;
+// The SPIN button throws the wheel at a random speed in this range
+const BUTTON_MIN_SPEED = 1400;
+const BUTTON_MAX_SPEED = 1900;
+// Every spin turns the wheel at least once so the result isn't obvious from the start
+const MIN_SPIN_DISTANCE = 360;
+
+const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+
+// Where the pointer sits around the wheel
+export const POINTER_POSITIONS = {
+    top: 'top',
+    right: 'right',
+    bottom: 'bottom',
+    left: 'left',
+};
+
+export const DEFAULT_POINTER_POSITION = POINTER_POSITIONS.bottom;
+
+// Screen angle of each pointer position, clockwise from the top
+const POINTER_SCREEN_ANGLES = {
+    [POINTER_POSITIONS.top]: 0,
+    [POINTER_POSITIONS.right]: 90,
+    [POINTER_POSITIONS.bottom]: 180,
+    [POINTER_POSITIONS.left]: 270,
+};
+
+// The slices are drawn turned back a quarter, so wheel angle 0 starts on the left
+export const WHEEL_DRAWING_ROTATION = -90;
+
+const getPointerScreenAngle = (pointer) => (
+    POINTER_SCREEN_ANGLES[pointer] ?? POINTER_SCREEN_ANGLES[DEFAULT_POINTER_POSITION]
+);
+
+// The wheel angle sitting under the pointer at a given rotation. A wheel angle shows up on
+// screen at angle + WHEEL_DRAWING_ROTATION + rotation; everything else is derived from this
+export const getAngleUnderPointer = (rotation, pointer = DEFAULT_POINTER_POSITION) => (
+    normalizeAngle(getPointerScreenAngle(pointer) - WHEEL_DRAWING_ROTATION - rotation)
+);
+
+// The inverse: rotation, modulo 360, that puts the given wheel angle under the pointer
+export const getLandingAngle = (targetAngle, pointer = DEFAULT_POINTER_POSITION) => (
+    getAngleUnderPointer(targetAngle, pointer)
+);
+
+// How much further a wheel has to turn so that the slice under one pointer position
+// ends up under another, such as when a room guest keeps the pointer elsewhere
+export const getPointerTurn = (fromPointer, toPointer) => (
+    getPointerScreenAngle(toPointer) - getPointerScreenAngle(fromPointer)
+);
+
+// `random` may be a seeded PRNG, so a seeded button spin turns the same way every time
+export const getButtonSpinSpeed = (random = Math.random) => (
+    BUTTON_MIN_SPEED + random() * (BUTTON_MAX_SPEED - BUTTON_MIN_SPEED)
+);
+
+// Angular speed in degrees per second, clockwise positive, of a pointer at offset (dx, dy)
+// from the wheel center moving with velocity (vx, vy) in screen coordinates
+export const getAngularVelocity = (dx, dy, vx, vy) => {
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared < 1) {
+        return 0;
+    }
+    const speed = (dx * vy - dy * vx) / distanceSquared * 180 / Math.PI;
+    return Math.max(-MAX_FLICK_SPEED, Math.min(MAX_FLICK_SPEED, speed));
+};
+
+/**
+ * Plans a spin from `currentRotation` that comes to rest at `landingAngle` (mod 360).
+ * The signed `speed` in degrees per second sets the direction and, through friction,
+ * roughly how far the wheel travels; the distance is adjusted by less than a turn to
+ * reach the landing angle. The duration is that of decelerating over the distance at
+ * FRICTION, to be paired with Easing.out(Easing.quad).
+ */
+export const planSpin = ({ currentRotation, landingAngle, speed }) => {
+    const direction = speed < 0 ? -1 : 1;
+    const initialSpeed = Math.min(MAX_FLICK_SPEED, Math.max(MIN_FLICK_SPEED, Math.abs(speed)));
+    const naturalDistance = Math.max(MIN_SPIN_DISTANCE, initialSpeed * initialSpeed / (2 * FRICTION));
+
+    const desiredRotation = currentRotation + direction * naturalDistance;
+    let toValue = landingAngle + 360 * Math.round((desiredRotation - landingAngle) / 360);
+    if (direction * (toValue - currentRotation) < MIN_SPIN_DISTANCE) {
+        toValue += direction * 360;
+    }
+
+    // Uniform deceleration from v to rest covers v² / 2a, which takes 2 · distance / v
+    const distance = Math.abs(toValue - currentRotation);
+    const startSpeed = Math.sqrt(2 * FRICTION * distance);
+    return { toValue, duration: Math.round(2 * distance / startSpeed * 1000) };
+};
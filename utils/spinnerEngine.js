@@ -0,0 +1,209 @@
+// The spinner engine: everything a spin decides, apart from drawing and animating it.
+// It is plain JavaScript with no React imports, so tools outside the app can embed it
+// and the tests can run it directly. Slice angles and rotations are in degrees,
+// clockwise; which slice sits under the pointer follows getAngleUnderPointer
+
+import { createSeededRandom } from './random';
+import { DEFAULT_POINTER_POSITION, getAngleUnderPointer, getButtonSpinSpeed, getLandingAngle, planSpin } from './spinPhysics';
+
+// Option weights
+export const DEFAULT_WEIGHT = 1;
+export const MIN_WEIGHT = 1;
+export const MAX_WEIGHT = 20;
+
+export const getOptionWeight = (option) => {
+    const weight = Number(option.weight);
+    return Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_WEIGHT;
+};
+
+// The whole-number weight in MIN_WEIGHT..MAX_WEIGHT that the option list can show and edit
+export const clampWeight = weight => Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, Math.round(weight)));
+
+/**
+ * Returns the problems that keep a list from being spun, as readable messages.
+ * An empty list means it can be spun. Options need a unique `id` and a `name`;
+ * a `weight`, when given, must be a positive number.
+ */
+export const validateOptions = (options) => {
+    if (!Array.isArray(options)) {
+        return ['Options must be a list.'];
+    }
+    if (options.length === 0) {
+        return ['There are no options to spin.'];
+    }
+    const problems = [];
+    const seenIds = new Set();
+    options.forEach((option, index) => {
+        const label = `Option ${index + 1}`;
+        if (!option || typeof option !== 'object') {
+            problems.push(`${label} is not an option.`);
+            return;
+        }
+        if (option.id === undefined || option.id === null || option.id === '') {
+            problems.push(`${label} has no id.`);
+        } else if (seenIds.has(option.id)) {
+            problems.push(`${label} has the same id as an earlier option.`);
+        } else {
+            seenIds.add(option.id);
+        }
+        if (typeof option.name !== 'string' || !option.name.trim()) {
+            problems.push(`${label} has no name.`);
+        }
+        if (option.weight !== undefined && !(Number(option.weight) > 0 && Number.isFinite(Number(option.weight)))) {
+            problems.push(`${label} has a weight that is not a positive number.`);
+        }
+    });
+    return problems;
+};
+
+// Splits the wheel into slices whose angles are proportional to each option's weight
+export const getSegments = (options) => {
+    const totalWeight = options.reduce((sum, option) => sum + getOptionWeight(option), 0);
+    let startAngle = 0;
+    return options.map((option) => {
+        const sweep = totalWeight > 0 ? (getOptionWeight(option) / totalWeight) * 360 : 0;
+        const segment = { option, startAngle, endAngle: startAngle + sweep };
+        startAngle += sweep;
+        return segment;
+    });
+};
+
+// Index of the segment covering a wheel angle in [0, 360), or -1 for an empty wheel
+export const findSegmentIndex = (segments, angle) => (
+    segments.findIndex(({ startAngle, endAngle }) => angle >= startAngle && angle < endAngle)
+);
+
+// Index of the option under the pointer when the wheel rests at `rotation`
+export const getIndexUnderPointer = (options, rotation, pointer = DEFAULT_POINTER_POSITION) => (
+    findSegmentIndex(getSegments(options), getAngleUnderPointer(rotation, pointer))
+);
+
+// A blank seed means an unseeded spin
+export const createSpinRandom = (seed) => {
+    const trimmedSeed = seed === undefined || seed === null ? '' : String(seed).trim();
+    return trimmedSeed ? createSeededRandom(trimmedSeed) : Math.random;
+};
+
+// Picks an index with probability proportional to the option's weight,
+// skipping options excluded by the fairness policy. `random` may be a seeded PRNG
+export const pickWeightedIndex = (options, excludedIds = new Set(), random = Math.random) => {
+    const getEligibleWeight = option => (excludedIds.has(option.id) ? 0 : getOptionWeight(option));
+    const totalWeight = options.reduce((sum, option) => sum + getEligibleWeight(option), 0);
+    if (totalWeight <= 0) {
+        return pickWeightedIndex(options, new Set(), random);
+    }
+    let threshold = random() * totalWeight;
+    for (let index = 0; index < options.length; index++) {
+        threshold -= getEligibleWeight(options[index]);
+        if (threshold < 0) {
+            return index;
+        }
+    }
+    return options.length - 1;
+};
+
+// A spin stops somewhere inside the winning slice rather than dead on its middle. Jitter
+// is the offset from the middle as a share of the slice, kept clear of the edges
+export const MAX_LANDING_JITTER = 0.35;
+
+export const getLandingJitter = (random = Math.random) => (random() * 2 - 1) * MAX_LANDING_JITTER;
+
+// Rotation, modulo 360, that puts the option's slice under the pointer: its middle, or
+// `jitter` of the slice away from it
+export const getTargetAngle = (options, index, { pointer = DEFAULT_POINTER_POSITION, jitter = 0 } = {}) => {
+    const { startAngle, endAngle } = getSegments(options)[index];
+    const offset = Math.max(-MAX_LANDING_JITTER, Math.min(MAX_LANDING_JITTER, jitter)) * (endAngle - startAngle);
+    return getLandingAngle((startAngle + endAngle) / 2 + offset, pointer);
+};
+
+/**
+ * Plans the motion that brings the option at `targetIndex` under the pointer,
+ * starting from `currentRotation` and thrown at the signed `speed`. Returns
+ * `{ toValue, duration }` as `planSpin` does.
+ */
+export const planTargetSpin = ({ options, targetIndex, currentRotation, speed, pointer, jitter }) => planSpin({
+    currentRotation,
+    landingAngle: getTargetAngle(options, targetIndex, { pointer, jitter }),
+    speed,
+});
+
+/**
+ * Runs a whole spin without animating it: validates the options, draws the
+ * winner and plans the rotation that lands on it. `seed` makes the draw
+ * repeatable; `random` overrides it with any function returning [0, 1).
+ * Without a `speed` the wheel is thrown like the SPIN button does it. The
+ * speed and the landing jitter are drawn after the winner, in that order, from
+ * the same source unless they are given.
+ * Throws with the first problem when the options can't be spun.
+ */
+export const spin = ({
+    options,
+    currentRotation = 0,
+    speed,
+    excludedIds = new Set(),
+    pointer = DEFAULT_POINTER_POSITION,
+    jitter,
+    seed,
+    random,
+}) => {
+    const problems = validateOptions(options);
+    if (problems.length > 0) {
+        throw new Error(problems[0]);
+    }
+    const draw = random || createSpinRandom(seed);
+    const winnerIndex = pickWeightedIndex(options, excludedIds, draw);
+    const spinSpeed = speed ?? getButtonSpinSpeed(draw);
+    const landingJitter = jitter ?? getLandingJitter(draw);
+    const { toValue, duration } = planTargetSpin({
+        options,
+        targetIndex: winnerIndex,
+        currentRotation,
+        speed: spinSpeed,
+        pointer,
+        jitter: landingJitter,
+    });
+    return {
+        winnerIndex,
+        winner: options[winnerIndex],
+        toValue,
+        duration,
+        speed: spinSpeed,
+        jitter: landingJitter,
+    };
+};
+
+// SVG geometry for drawing the wheel
+export const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
+    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
+    return {
+        x: centerX + (radius * Math.cos(angleInRadians)),
+        y: centerY + (radius * Math.sin(angleInRadians)),
+    };
+};
+
+export const describeArc = (x, y, radius, startAngle, endAngle) => {
+    // A single option covers the whole wheel; an arc whose start and end
+    // points coincide renders nothing, so draw a full circle instead
+    if (endAngle - startAngle >= 360) {
+        return [
+            'M', x - radius, y,
+            'A', radius, radius, 0, 1, 0, x + radius, y,
+            'A', radius, radius, 0, 1, 0, x - radius, y,
+            'Z',
+        ].join(' ');
+    }
+
+    const start = polarToCartesian(x, y, radius, endAngle);
+    const end = polarToCartesian(x, y, radius, startAngle);
+
+    const largeArcFlag = endAngle - startAngle <= 180 ? '0' : '1';
+
+    const d = [
+        'M', start.x, start.y,
+        'A', radius, radius, 0, largeArcFlag, 0, end.x, end.y,
+        'L', x, y,
+        'Z',
+    ].join(' ');
+
+    return d;
+};
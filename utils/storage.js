@@ -0,0 +1,45 @@
+import * as FileSystem from 'expo-file-system';
+
+// File-based storage for native builds: every key is stored as its own JSON
+// file inside the app's document directory
+const STORAGE_DIRECTORY = `${FileSystem.documentDirectory}decision-spinner/`;
+
+const getFileUri = (key) => `${STORAGE_DIRECTORY}${encodeURIComponent(key)}.json`;
+
+const ensureDirectory = async () => {
+    const info = await FileSystem.getInfoAsync(STORAGE_DIRECTORY);
+    if (!info.exists) {
+        await FileSystem.makeDirectoryAsync(STORAGE_DIRECTORY, { intermediates: true });
+    }
+};
+
+export const loadItem = async (key, fallbackValue = null) => {
+    try {
+        const uri = getFileUri(key);
+        const info = await FileSystem.getInfoAsync(uri);
+        if (!info.exists) {
+            return fallbackValue;
+        }
+        const contents = await FileSystem.readAsStringAsync(uri);
+        return JSON.parse(contents);
+    } catch (error) {
+        console.warn(`Could not load '${key}' from storage`, error);
+        return fallbackValue;
+    }
+};
+
+export const saveItem = async (key, value) => {
+    try {
+        await ensureDirectory();
+        await FileSystem.writeAsStringAsync(getFileUri(key), JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save '${key}' to storage`, error);
+    }
+};
+
+// Syncing across browsers is only offered by the Chrome extension; see storage.web.js
+export const isSyncAvailable = () => false;
+
+export const loadSyncEnabled = async () => false;
+
+export const setSyncEnabled = async () => {};
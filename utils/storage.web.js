@@ -0,0 +1,195 @@
+// Storage for the web and Chrome extension builds. Web pages use localStorage; the
+// extension uses chrome.storage.local, and with sync turned on chrome.storage.sync as
+// well, so wheels follow the user to their other browsers. The API is async to match
+// the file-based native implementation in storage.js
+const KEY_PREFIX = 'decision-spinner:';
+
+// What sync covers; history stays with each browser
+const SYNCED_KEYS = ['wheels', 'settings'];
+const SYNC_ENABLED_KEY = `${KEY_PREFIX}syncEnabled`;
+
+// Sync storage caps every item at 8 KB, so values are split over several items.
+// A character takes at most three bytes, which keeps a chunk under the cap
+const SYNC_CHUNK_LENGTH = 2400;
+// Sync storage also limits writes per minute, so edits in quick succession are
+// synced together once they settle
+const SYNC_DELAY_MS = 2000;
+
+const getLocalStorage = () => {
+    try {
+        return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch {
+        // Accessing localStorage throws when storage is disabled by the browser
+        return null;
+    }
+};
+
+// Only extension pages have chrome.storage
+const getExtensionStorage = () => globalThis.chrome?.storage || null;
+
+const loadFromLocalStorage = (key, fallbackValue) => {
+    const storage = getLocalStorage();
+    if (!storage) {
+        return fallbackValue;
+    }
+    const contents = storage.getItem(KEY_PREFIX + key);
+    return contents === null ? fallbackValue : JSON.parse(contents);
+};
+
+const readArea = async (area, storageKey) => (await area.get(storageKey))[storageKey];
+
+// Every copy remembers when it was saved, and the newer of the local and synced copies wins
+const getSavedAtKey = storageKey => `${storageKey}@savedAt`;
+
+// In sync storage `key` holds `{ chunkCount, savedAt }` and `key#0`, `key#1`… the JSON text
+const getChunkKeys = (storageKey, from, to) => (
+    Array.from({ length: Math.max(0, to - from) }, (_, index) => `${storageKey}#${from + index}`)
+);
+
+const loadSyncedValue = async (sync, storageKey, chunkCount) => {
+    const chunkKeys = getChunkKeys(storageKey, 0, chunkCount);
+    const chunks = await sync.get(chunkKeys);
+    return JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey] ?? '').join(''));
+};
+
+// Splits text into chunks without cutting an emoji's surrogate pair in half
+const splitIntoChunks = (text) => {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(text.length, start + SYNC_CHUNK_LENGTH);
+        const lastCode = text.charCodeAt(end - 1);
+        if (end < text.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+            end -= 1;
+        }
+        chunks.push(text.slice(start, end));
+        start = end;
+    }
+    return chunks;
+};
+
+// A value that can't be synced, such as one over the sync quota, is taken out of sync
+// altogether so no browser picks up an outdated copy; it is still saved locally
+const saveSyncedValue = async (sync, storageKey, value, savedAt) => {
+    const previousCount = (await readArea(sync, storageKey).catch(() => null))?.chunkCount || 0;
+    const chunks = splitIntoChunks(JSON.stringify(value));
+    const chunkKeys = getChunkKeys(storageKey, 0, chunks.length);
+    try {
+        await sync.set({
+            ...Object.fromEntries(chunkKeys.map((chunkKey, index) => [chunkKey, chunks[index]])),
+            [storageKey]: { chunkCount: chunks.length, savedAt },
+        });
+        // Chunks left over from a longer earlier value
+        if (previousCount > chunks.length) {
+            await sync.remove(getChunkKeys(storageKey, chunks.length, previousCount));
+        }
+    } catch (error) {
+        console.warn(`Could not sync '${storageKey}'`, error);
+        const chunkCount = Math.max(previousCount, chunks.length);
+        await sync.remove([storageKey, ...getChunkKeys(storageKey, 0, chunkCount)]).catch(() => {});
+    }
+};
+
+const pendingSyncs = new Map();
+
+const scheduleSync = (sync, storageKey, value, savedAt) => {
+    clearTimeout(pendingSyncs.get(storageKey));
+    pendingSyncs.set(storageKey, setTimeout(() => {
+        pendingSyncs.delete(storageKey);
+        saveSyncedValue(sync, storageKey, value, savedAt);
+    }, SYNC_DELAY_MS));
+};
+
+// Brings the local and synced copies of a key together and returns the newer value.
+// A browser that was closed before its last edit synced uploads it here
+const reconcile = async ({ local, sync }, storageKey, { isUploadDelayed }) => {
+    const savedAtKey = getSavedAtKey(storageKey);
+    const [syncedMeta, localItems] = await Promise.all([
+        readArea(sync, storageKey),
+        local.get([storageKey, savedAtKey]),
+    ]);
+    const localSavedAt = localItems[savedAtKey] || 0;
+    if (syncedMeta && syncedMeta.savedAt > localSavedAt) {
+        const syncedValue = await loadSyncedValue(sync, storageKey, syncedMeta.chunkCount);
+        await local.set({ [storageKey]: syncedValue, [savedAtKey]: syncedMeta.savedAt });
+        return syncedValue;
+    }
+    const localValue = localItems[storageKey];
+    if (localValue !== undefined && (!syncedMeta || syncedMeta.savedAt < localSavedAt)) {
+        if (isUploadDelayed) {
+            scheduleSync(sync, storageKey, localValue, localSavedAt);
+        } else {
+            await saveSyncedValue(sync, storageKey, localValue, localSavedAt);
+        }
+    }
+    return localValue;
+};
+
+export const isSyncAvailable = () => !!getExtensionStorage()?.sync;
+
+export const loadSyncEnabled = async () => {
+    const extensionStorage = getExtensionStorage();
+    if (!extensionStorage) {
+        return false;
+    }
+    try {
+        return (await readArea(extensionStorage.local, SYNC_ENABLED_KEY)) === true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Turns syncing on or off for this browser. Turning it on keeps whichever is newer,
+ * this browser's data or what other browsers synced, in both places. Reload
+ * afterwards so that the app doesn't keep showing, and then saving, older data.
+ * Throws when the browser's storage can't be read or written.
+ */
+export const setSyncEnabled = async (enabled) => {
+    const extensionStorage = getExtensionStorage();
+    if (!extensionStorage) {
+        throw new Error('Sync needs the storage of the Chrome extension.');
+    }
+    if (enabled) {
+        for (const key of SYNCED_KEYS) {
+            await reconcile(extensionStorage, KEY_PREFIX + key, { isUploadDelayed: false });
+        }
+    }
+    await extensionStorage.local.set({ [SYNC_ENABLED_KEY]: enabled });
+};
+
+export const loadItem = async (key, fallbackValue = null) => {
+    try {
+        const extensionStorage = getExtensionStorage();
+        if (!extensionStorage) {
+            return loadFromLocalStorage(key, fallbackValue);
+        }
+        const storageKey = KEY_PREFIX + key;
+        const value = SYNCED_KEYS.includes(key) && await loadSyncEnabled()
+            ? await reconcile(extensionStorage, storageKey, { isUploadDelayed: true })
+            : await readArea(extensionStorage.local, storageKey);
+        // Earlier extension builds kept everything in localStorage
+        return value === undefined ? loadFromLocalStorage(key, fallbackValue) : value;
+    } catch (error) {
+        console.warn(`Could not load '${key}' from storage`, error);
+        return fallbackValue;
+    }
+};
+
+export const saveItem = async (key, value) => {
+    try {
+        const extensionStorage = getExtensionStorage();
+        if (!extensionStorage) {
+            getLocalStorage()?.setItem(KEY_PREFIX + key, JSON.stringify(value));
+            return;
+        }
+        const storageKey = KEY_PREFIX + key;
+        const savedAt = Date.now();
+        await extensionStorage.local.set({ [storageKey]: value, [getSavedAtKey(storageKey)]: savedAt });
+        if (SYNCED_KEYS.includes(key) && await loadSyncEnabled()) {
+            scheduleSync(extensionStorage.sync, storageKey, value, savedAt);
+        }
+    } catch (error) {
+        console.warn(`Could not save '${key}' to storage`, error);
+    }
+};
@@ -0,0 +1,60 @@
+// Voting rounds: every participant casts a ballot of up, down or veto votes,
+// `{ voterId, voter, votes: { [optionId]: vote } }`. `voterId` tells voters apart;
+// `voter` is only the name shown. The ballots either decide on their own or turn
+// into the weights of the next spin
+
+import { getOptionWeight } from './spinnerEngine';
+
+export const VOTES = {
+    up: 'up',
+    down: 'down',
+    veto: 'veto',
+};
+
+// However many downvotes an option gets, it keeps a small chance on the wheel
+export const MIN_VOTED_WEIGHT = 0.5;
+
+export const tallyVotes = (options, ballots) => options.map((option) => {
+    const votes = ballots.map(ballot => ballot.votes[option.id]);
+    const up = votes.filter(vote => vote === VOTES.up).length;
+    const down = votes.filter(vote => vote === VOTES.down).length;
+    const vetoes = votes.filter(vote => vote === VOTES.veto).length;
+    return { option, up, down, vetoes, score: up - down };
+});
+
+// The wheel for a voted round: vetoed options are left off it, and each upvote or
+// downvote moves an option's weight up or down by one
+export const applyVotes = (options, ballots) => tallyVotes(options, ballots)
+    .filter(({ vetoes }) => vetoes === 0)
+    .map(({ option, score }) => ({ ...option, weight: Math.max(MIN_VOTED_WEIGHT, getOptionWeight(option) + score) }));
+
+// The options with the best score that nobody vetoed; more than one means a tie
+export const getTallyLeaders = (tally) => {
+    const eligible = tally.filter(({ vetoes }) => vetoes === 0);
+    if (eligible.length === 0) {
+        return [];
+    }
+    const bestScore = Math.max(...eligible.map(({ score }) => score));
+    return eligible.filter(({ score }) => score === bestScore);
+};
+
+const formatVetoesInEnglish = count => `vetoed ×${count}`;
+
+// `formatVetoes(count)` words the vetoes, for showing the counts in another language
+export const formatVoteCounts = ({ up, down, vetoes }, formatVetoes = formatVetoesInEnglish) => (
+    vetoes > 0 ? formatVetoes(vetoes) : `▲ ${up}  ▼ ${down}`
+);
+
+export const formatTally = (tally, formatVetoes) => tally
+    .map(entry => `${entry.option.name}: ${formatVoteCounts(entry, formatVetoes)}`)
+    .join('\n');
+
+// People voting in turn on one device are told apart by the name they type. Room
+// guests get their ids from the relay, which never start like this
+export const getLocalVoterId = voter => `local:${voter}`;
+
+// A voter who votes again replaces their earlier ballot
+export const addBallot = (ballots, ballot) => [
+    ...ballots.filter(existing => existing.voterId !== ballot.voterId),
+    ballot,
+];
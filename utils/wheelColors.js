@@ -0,0 +1,42 @@
+// Slice colors: an option's own color wins, everything else is taken from the
+// palette so that no two neighbouring slices share a color
+
+export const getSliceColors = (options, paletteColors) => {
+    const colors = [];
+    options.forEach((option, index) => {
+        if (option.color) {
+            colors.push(option.color);
+            return;
+        }
+        const previous = colors[index - 1];
+        // The last slice also touches the first one
+        const next = index === options.length - 1 && index > 0 ? colors[0] : undefined;
+        let color = paletteColors[index % paletteColors.length];
+        for (let offset = 1; offset < paletteColors.length && (color === previous || color === next); offset++) {
+            color = paletteColors[(index + offset) % paletteColors.length];
+        }
+        colors.push(color);
+    });
+    return colors;
+};
+
+// Relative luminance per WCAG, used to keep labels readable on light slices
+const getLuminance = (hexColor) => {
+    let hex = hexColor.replace('#', '');
+    if (hex.length === 3) {
+        hex = hex.split('').map(char => char + char).join('');
+    }
+    const [r, g, b] = [0, 2, 4].map((start) => {
+        const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const getLabelColor = (backgroundColor) => {
+    try {
+        return getLuminance(backgroundColor) > 0.45 ? '#333333' : '#FFFFFF';
+    } catch {
+        return '#FFFFFF';
+    }
+};